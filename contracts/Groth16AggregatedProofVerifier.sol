@@ -0,0 +1,118 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./IAggregatedProofVerifier.sol";
+
+/**
+ * @title Groth16AggregatedProofVerifier
+ * @dev BN254 Groth16 verifier for the SNARKtor final circuit, configured with its verification key
+ * The key and proof use the layout of snarkjs-generated Solidity verifiers: G2 coordinates are
+ * ordered [[x1, x0], [y1, y0]] and proofs are abi.encode(uint256[2] a, uint256[2][2] b, uint256[2] c).
+ * The SNARKtor clients produce both (formatGroth16VerifierKey, encodeGroth16Proof).
+ */
+contract Groth16AggregatedProofVerifier is IAggregatedProofVerifier {
+    // BN254 base and scalar field moduli
+    uint256 private constant P = 21888242871839275222246405745257275088696311157297823662689037894645226208583;
+    uint256 private constant R = 21888242871839275222246405745257275088548364400416034343698204186575808495617;
+
+    uint256[2] public alpha;
+    uint256[2][2] public beta;
+    uint256[2][2] public gamma;
+    uint256[2][2] public delta;
+    uint256[2][] private ic;
+
+    /**
+     * @param _alpha vk_alpha_1
+     * @param _beta vk_beta_2
+     * @param _gamma vk_gamma_2
+     * @param _delta vk_delta_2
+     * @param _ic IC points; one more than the number of public inputs
+     */
+    constructor(
+        uint256[2] memory _alpha,
+        uint256[2][2] memory _beta,
+        uint256[2][2] memory _gamma,
+        uint256[2][2] memory _delta,
+        uint256[2][] memory _ic
+    ) {
+        require(_ic.length > 0, "IC must not be empty");
+        alpha = _alpha;
+        beta = _beta;
+        gamma = _gamma;
+        delta = _delta;
+        for (uint256 i = 0; i < _ic.length; i++) {
+            ic.push(_ic[i]);
+        }
+    }
+
+    /**
+     * @dev Number of public inputs the verification key expects
+     */
+    function publicInputCount() external view returns (uint256) {
+        return ic.length - 1;
+    }
+
+    /**
+     * @inheritdoc IAggregatedProofVerifier
+     */
+    function verifyAggregatedProof(
+        bytes calldata _proof,
+        uint256[] calldata _publicInputs
+    ) external view override returns (bool) {
+        if (_proof.length != 256 || _publicInputs.length + 1 != ic.length) {
+            return false;
+        }
+        (uint256[2] memory a, uint256[2][2] memory b, uint256[2] memory c) =
+            abi.decode(_proof, (uint256[2], uint256[2][2], uint256[2]));
+        if (a[1] >= P) {
+            return false;
+        }
+
+        // vk_x = IC[0] + sum(publicInputs[i] * IC[i + 1])
+        uint256[2] memory vkX = ic[0];
+        for (uint256 i = 0; i < _publicInputs.length; i++) {
+            if (_publicInputs[i] >= R) {
+                return false;
+            }
+            (bool mulOk, uint256[2] memory term) = _ecMul(ic[i + 1], _publicInputs[i]);
+            if (!mulOk) {
+                return false;
+            }
+            bool addOk;
+            (addOk, vkX) = _ecAdd(vkX, term);
+            if (!addOk) {
+                return false;
+            }
+        }
+
+        // e(-A, B) * e(alpha, beta) * e(vk_x, gamma) * e(C, delta) == 1
+        uint256[24] memory input = [
+            a[0], a[1] == 0 ? 0 : P - a[1], b[0][0], b[0][1], b[1][0], b[1][1],
+            alpha[0], alpha[1], beta[0][0], beta[0][1], beta[1][0], beta[1][1],
+            vkX[0], vkX[1], gamma[0][0], gamma[0][1], gamma[1][0], gamma[1][1],
+            c[0], c[1], delta[0][0], delta[0][1], delta[1][0], delta[1][1]
+        ];
+        uint256[1] memory result;
+        bool success;
+        assembly {
+            success := staticcall(gas(), 0x08, input, 768, result, 32)
+        }
+        return success && result[0] == 1;
+    }
+
+    // Internal functions
+
+    function _ecAdd(uint256[2] memory _p1, uint256[2] memory _p2) private view returns (bool success, uint256[2] memory sum) {
+        uint256[4] memory input = [_p1[0], _p1[1], _p2[0], _p2[1]];
+        assembly {
+            success := staticcall(gas(), 0x06, input, 128, sum, 64)
+        }
+    }
+
+    function _ecMul(uint256[2] memory _point, uint256 _scalar) private view returns (bool success, uint256[2] memory product) {
+        uint256[3] memory input = [_point[0], _point[1], _scalar];
+        assembly {
+            success := staticcall(gas(), 0x07, input, 96, product, 64)
+        }
+    }
+}
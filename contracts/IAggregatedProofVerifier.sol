@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title IAggregatedProofVerifier
+ * @dev Verifies the recursive proof produced by the SNARKtor final circuit
+ * SnarktorVerifier passes the merkle root of the aggregated proof tree as public inputs,
+ * split into two 128-bit limbs so each fits the scalar field: [uint256(root) >> 128, uint128(root)].
+ */
+interface IAggregatedProofVerifier {
+    /**
+     * @dev Verify an aggregated proof against its public inputs
+     * @param _proof Encoded proof, in the format the implementation expects
+     * @param _publicInputs Public inputs, starting with the merkle root limbs
+     * @return bool True if the proof is valid
+     */
+    function verifyAggregatedProof(
+        bytes calldata _proof,
+        uint256[] calldata _publicInputs
+    ) external view returns (bool);
+}
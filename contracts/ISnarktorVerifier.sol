@@ -37,6 +37,11 @@ interface ISnarktorVerifier {
     event ProofVerified(bytes32 indexed proofHash, address indexed submitter, uint256 timestamp);
     event AggregatedProofSubmitted(bytes32 indexed aggregatedHash, uint256 baseProofCount);
     event MerkleRootValidated(bytes32 indexed merkleRoot, bytes32[] includedProofs);
+    event BaseProofRelayed(bytes32 indexed proofHash, address indexed user, address indexed relayer);
+    event Deposited(address indexed user, uint256 amount);
+    event Withdrawn(address indexed user, uint256 amount);
+    event FeesSettled(bytes32 indexed aggregatedHash, uint256 currentFee, uint256 inclusionFee, uint256 carriedFee);
+    event RewardsClaimed(address indexed account, uint256 amount);
 
     // Core Functions
     function submitBaseProof(
@@ -47,6 +52,15 @@ interface ISnarktorVerifier {
         bytes calldata _signature
     ) external payable;
 
+    function submitBaseProofFor(
+        address _user,
+        bytes calldata _proofData,
+        bytes32 _publicInput,
+        bytes32 _verificationKey,
+        uint256 _fee,
+        bytes calldata _signature
+    ) external;
+
     function submitAggregatedProof(
         bytes calldata _aggregatedProofData,
         bytes32 _merkleRoot,
@@ -54,6 +68,15 @@ interface ISnarktorVerifier {
         bytes32[] calldata _disabledNodes
     ) external;
 
+    function submitAggregatedProofWithPayees(
+        bytes calldata _aggregatedProofData,
+        bytes32 _merkleRoot,
+        BaseProof[] calldata _provenData,
+        bytes32[] calldata _disabledNodes,
+        address[] calldata _provers,
+        address _scheduler
+    ) external;
+
     function verifyProofInclusion(
         bytes32 _baseProofHash,
         bytes32 _aggregatedHash,
@@ -62,6 +85,15 @@ interface ISnarktorVerifier {
 
     function verifyMerkleRoot(bytes32 _merkleRoot, bytes32[] calldata _proofs) external pure returns (bool);
 
+    // Chained Inclusion
+    function verifyChainedInclusion(
+        bytes32 _baseProofHash,
+        bytes32 _aggregatedHash,
+        MerkleProof[] calldata _chain
+    ) external view returns (bool);
+    function aggregatedIn(bytes32 _proofHash) external view returns (bytes32);
+    function parentAggregation(bytes32 _aggregatedHash) external view returns (bytes32);
+
     // Getter Functions
     function getBaseProof(bytes32 _proofHash) external view returns (BaseProof memory);
     function getAggregatedProof(bytes32 _aggregatedHash) external view returns (AggregatedProof memory);
@@ -72,4 +104,9 @@ interface ISnarktorVerifier {
     function withdraw(uint256 _amount) external;
     function userBalances(address _user) external view returns (uint256);
     function userNonces(address _user) external view returns (uint256);
+
+    // Fee Settlement
+    function pendingRewards(address _account) external view returns (uint256);
+    function carriedFees(bytes32 _aggregatedHash) external view returns (uint256);
+    function claimRewards() external;
 }
\ No newline at end of file
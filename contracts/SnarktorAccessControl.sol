@@ -0,0 +1,125 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title SnarktorAccessControl
+ * @dev Enumerable role-based access control with a pause switch
+ * Admins grant and revoke every role, data providers write verification data and pausers
+ * stop and resume those writes. The deployer starts with all three roles.
+ */
+abstract contract SnarktorAccessControl {
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
+    event Paused(address account);
+    event Unpaused(address account);
+
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    bytes32 public constant DATA_PROVIDER_ROLE = keccak256("DATA_PROVIDER_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+
+    bool public paused;
+
+    mapping(bytes32 => address[]) private roleMembers;
+    // 1-based position of each member in roleMembers (0 = not a member)
+    mapping(bytes32 => mapping(address => uint256)) private memberPositions;
+
+    modifier onlyRole(bytes32 _role) {
+        require(hasRole(_role, msg.sender), "Caller lacks required role");
+        _;
+    }
+
+    modifier whenNotPaused() {
+        require(!paused, "Contract is paused");
+        _;
+    }
+
+    constructor() {
+        _grantRole(ADMIN_ROLE, msg.sender);
+        _grantRole(DATA_PROVIDER_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+    }
+
+    /**
+     * @dev Check if an account holds a role
+     */
+    function hasRole(bytes32 _role, address _account) public view returns (bool) {
+        return memberPositions[_role][_account] != 0;
+    }
+
+    /**
+     * @dev Get every account holding a role
+     */
+    function getRoleMembers(bytes32 _role) public view returns (address[] memory) {
+        return roleMembers[_role];
+    }
+
+    /**
+     * @dev Grant a role to an account (admin only)
+     */
+    function grantRole(bytes32 _role, address _account) external onlyRole(ADMIN_ROLE) {
+        require(_account != address(0), "Invalid account");
+        _grantRole(_role, _account);
+    }
+
+    /**
+     * @dev Revoke a role from an account (admin only)
+     * The last admin cannot be removed, so the contract always stays manageable
+     */
+    function revokeRole(bytes32 _role, address _account) external onlyRole(ADMIN_ROLE) {
+        _revokeRole(_role, _account);
+    }
+
+    /**
+     * @dev Give up a role held by the caller
+     */
+    function renounceRole(bytes32 _role) external {
+        _revokeRole(_role, msg.sender);
+    }
+
+    /**
+     * @dev Stop data providers from writing verification data (pauser only)
+     */
+    function pause() external onlyRole(PAUSER_ROLE) {
+        require(!paused, "Contract is paused");
+        paused = true;
+        emit Paused(msg.sender);
+    }
+
+    /**
+     * @dev Resume writes (pauser only)
+     */
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        require(paused, "Contract is not paused");
+        paused = false;
+        emit Unpaused(msg.sender);
+    }
+
+    // Internal functions
+
+    function _grantRole(bytes32 _role, address _account) internal {
+        if (hasRole(_role, _account)) {
+            return;
+        }
+        roleMembers[_role].push(_account);
+        memberPositions[_role][_account] = roleMembers[_role].length;
+        emit RoleGranted(_role, _account, msg.sender);
+    }
+
+    function _revokeRole(bytes32 _role, address _account) internal virtual {
+        uint256 position = memberPositions[_role][_account];
+        if (position == 0) {
+            return;
+        }
+        require(_role != ADMIN_ROLE || roleMembers[_role].length > 1, "Cannot remove the last admin");
+
+        // Swap-and-pop keeps the member list dense
+        address[] storage members = roleMembers[_role];
+        address last = members[members.length - 1];
+        members[position - 1] = last;
+        memberPositions[_role][last] = position;
+        members.pop();
+        delete memberPositions[_role][_account];
+
+        emit RoleRevoked(_role, _account, msg.sender);
+    }
+}
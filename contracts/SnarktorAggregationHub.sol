@@ -0,0 +1,325 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./SnarktorMerkle.sol";
+import "./SnarktorSubmission.sol";
+import "./SnarktorUtils.sol";
+
+/**
+ * @title SnarktorAggregationHub
+ * @dev On-chain SNARKtor submission flow behind ISnarktorVerifier
+ * Users submit signed base proofs with their fee (or through a relayer, paid from their deposit);
+ * aggregators then submit aggregated proofs covering submitted base proofs. Aggregated proof
+ * trees use legacy Merkle hashing over the newly proven base proofs followed by the disabled
+ * nodes: roots of earlier aggregated proofs whose subtrees are reused rather than re-proven.
+ *
+ * Each aggregation settles a fee pool: the fees of its newly proven base proofs plus the amounts
+ * carried forward by its disabled nodes. Per SnarktorUtils.calculateFeeDistribution, 40% is split
+ * between the scheduler and the provers, 5% goes to the submitter and 55% is carried forward to
+ * the aggregation that later includes this one as a disabled node. Payouts accrue as claimable
+ * rewards.
+ */
+contract SnarktorAggregationHub is SnarktorSubmission {
+    bytes32 public constant AGGREGATOR_ROLE = keccak256("AGGREGATOR_ROLE");
+
+    struct AggregatedRecord {
+        bytes32 merkleRoot;
+        bytes32[] disabledNodes;
+        bytes32[] provenProofs;     // Hashes of the base proofs proven by this aggregation
+        uint256 totalFee;
+        address submitter;
+        uint256 timestamp;
+    }
+
+    mapping(bytes32 => BaseProof) private baseProofs;
+    mapping(bytes32 => AggregatedRecord) private aggregatedProofs;
+
+    // Aggregated proof each base proof was first proven in (zero while queued)
+    mapping(bytes32 => bytes32) public override aggregatedIn;
+    // Aggregated proof hash by merkle root, so later trees can reference it as a disabled node
+    mapping(bytes32 => bytes32) public aggregatedByRoot;
+    // Aggregated proof that included each aggregated proof as a disabled node (zero while top-level)
+    mapping(bytes32 => bytes32) public override parentAggregation;
+
+    // Fee share each aggregated proof carries forward, until a later aggregation includes it
+    mapping(bytes32 => uint256) public override carriedFees;
+    // Settled fees each account can claim
+    mapping(address => uint256) public override pendingRewards;
+
+    constructor() {
+        _grantRole(AGGREGATOR_ROLE, msg.sender);
+    }
+
+    /**
+     * @dev Submit a base proof, paying its fee with the transaction
+     * @param _proofData Raw proof bytes; their keccak256 identifies the proof
+     * @param _publicInput Public input hash
+     * @param _verificationKey Verification key hash
+     * @param _fee Aggregation fee, which must equal msg.value
+     * @param _signature Submission signature of the sender (see SnarktorSubmission)
+     */
+    function submitBaseProof(
+        bytes calldata _proofData,
+        bytes32 _publicInput,
+        bytes32 _verificationKey,
+        uint256 _fee,
+        bytes calldata _signature
+    ) external payable override {
+        require(msg.value == _fee, "Fee does not match value");
+        _submitBaseProof(msg.sender, _proofData, _publicInput, _verificationKey, _fee, _signature);
+    }
+
+    /**
+     * @dev Submit an aggregated proof (aggregators only), acting as its scheduler
+     * Only the proof hashes of _provenData are used; the remaining fields are read from the
+     * submitted base proofs. Every disabled node must be the root of an earlier aggregated proof
+     * that no other aggregation included yet. The whole current-level fee goes to the sender.
+     * @param _aggregatedProofData Aggregated proof bytes; their keccak256 identifies the proof
+     * @param _merkleRoot Legacy-mode root over the proven base proofs followed by the disabled nodes
+     * @param _provenData Base proofs newly proven by this aggregation
+     * @param _disabledNodes Roots of earlier aggregated proofs included as subtrees
+     */
+    function submitAggregatedProof(
+        bytes calldata _aggregatedProofData,
+        bytes32 _merkleRoot,
+        BaseProof[] calldata _provenData,
+        bytes32[] calldata _disabledNodes
+    ) external override onlyRole(AGGREGATOR_ROLE) whenNotPaused {
+        bytes32 aggregatedHash = _aggregatedHashOf(_aggregatedProofData);
+        uint256 pool = _recordAggregatedProof(aggregatedHash, _merkleRoot, _provenData, _disabledNodes);
+        _settleFees(aggregatedHash, pool, new address[](0), msg.sender);
+    }
+
+    /**
+     * @dev Submit an aggregated proof (aggregators only), naming who earns the current-level fee
+     * The current-level fee is split equally between the scheduler and each prover, with any
+     * rounding remainder going to the scheduler.
+     * @param _provers Provers of this aggregation level (may repeat to weight a prover)
+     * @param _scheduler Scheduler of this aggregation level
+     */
+    function submitAggregatedProofWithPayees(
+        bytes calldata _aggregatedProofData,
+        bytes32 _merkleRoot,
+        BaseProof[] calldata _provenData,
+        bytes32[] calldata _disabledNodes,
+        address[] calldata _provers,
+        address _scheduler
+    ) external override onlyRole(AGGREGATOR_ROLE) whenNotPaused {
+        bytes32 aggregatedHash = _aggregatedHashOf(_aggregatedProofData);
+        uint256 pool = _recordAggregatedProof(aggregatedHash, _merkleRoot, _provenData, _disabledNodes);
+        _settleFees(aggregatedHash, pool, _provers, _scheduler);
+    }
+
+    /**
+     * @dev Withdraw the caller's settled rewards
+     */
+    function claimRewards() external override {
+        uint256 amount = pendingRewards[msg.sender];
+        require(amount > 0, "No rewards to claim");
+        pendingRewards[msg.sender] = 0;
+
+        (bool sent, ) = payable(msg.sender).call{value: amount}("");
+        require(sent, "Reward transfer failed");
+        emit RewardsClaimed(msg.sender, amount);
+    }
+
+    /**
+     * @dev Verify that a submitted base proof is a leaf of an aggregated proof's tree
+     */
+    function verifyProofInclusion(
+        bytes32 _baseProofHash,
+        bytes32 _aggregatedHash,
+        MerkleProof calldata _merkleProof
+    ) external view override returns (bool) {
+        require(aggregatedProofs[_aggregatedHash].submitter != address(0), "Aggregated proof data not available");
+        require(baseProofs[_baseProofHash].user != address(0), "Base proof data not available");
+
+        return SnarktorMerkle.verify(
+            SnarktorMerkle.MODE_LEGACY,
+            _merkleProof.path,
+            _merkleProof.index,
+            _baseProofHash,
+            aggregatedProofs[_aggregatedHash].merkleRoot
+        );
+    }
+
+    /**
+     * @dev Verify that a submitted base proof is inside an aggregated proof through the aggregations
+     * whose roots were included as disabled nodes on the way up
+     * Each step proves the root reached by the previous step as a leaf of the next tree.
+     */
+    function verifyChainedInclusion(
+        bytes32 _baseProofHash,
+        bytes32 _aggregatedHash,
+        MerkleProof[] calldata _chain
+    ) external view override returns (bool) {
+        require(aggregatedProofs[_aggregatedHash].submitter != address(0), "Aggregated proof data not available");
+        require(baseProofs[_baseProofHash].user != address(0), "Base proof data not available");
+        require(_chain.length > 0, "Empty inclusion chain");
+
+        bytes32 node = _baseProofHash;
+        for (uint256 i = 0; i < _chain.length; i++) {
+            node = SnarktorMerkle.processProof(SnarktorMerkle.MODE_LEGACY, _chain[i].path, _chain[i].index, node);
+        }
+        return node == aggregatedProofs[_aggregatedHash].merkleRoot;
+    }
+
+    /**
+     * @dev Check a legacy-mode merkle root against a list of leaves
+     */
+    function verifyMerkleRoot(bytes32 _merkleRoot, bytes32[] calldata _proofs) external pure override returns (bool) {
+        return _proofs.length > 0 && SnarktorMerkle.computeRoot(SnarktorMerkle.MODE_LEGACY, _proofs) == _merkleRoot;
+    }
+
+    /**
+     * @dev Get a submitted base proof
+     */
+    function getBaseProof(bytes32 _proofHash) external view override returns (BaseProof memory) {
+        require(baseProofs[_proofHash].user != address(0), "Base proof data not available");
+        return baseProofs[_proofHash];
+    }
+
+    /**
+     * @dev Get a submitted aggregated proof with the base proofs it proved
+     */
+    function getAggregatedProof(bytes32 _aggregatedHash) external view override returns (AggregatedProof memory) {
+        AggregatedRecord storage record = aggregatedProofs[_aggregatedHash];
+        require(record.submitter != address(0), "Aggregated proof data not available");
+
+        BaseProof[] memory provenData = new BaseProof[](record.provenProofs.length);
+        for (uint256 i = 0; i < provenData.length; i++) {
+            provenData[i] = baseProofs[record.provenProofs[i]];
+        }
+
+        return AggregatedProof({
+            aggregatedHash: _aggregatedHash,
+            merkleRoot: record.merkleRoot,
+            disabledNodes: record.disabledNodes,
+            provenData: provenData,
+            totalFee: record.totalFee,
+            submitter: record.submitter,
+            timestamp: record.timestamp
+        });
+    }
+
+    /**
+     * @dev Check if a base proof has been submitted
+     */
+    function isProofSubmitted(bytes32 _proofHash) external view override returns (bool) {
+        return baseProofs[_proofHash].user != address(0);
+    }
+
+    // Internal functions
+
+    function _aggregatedHashOf(bytes calldata _aggregatedProofData) private view returns (bytes32 aggregatedHash) {
+        require(_aggregatedProofData.length > 0, "Empty aggregated proof");
+        aggregatedHash = keccak256(_aggregatedProofData);
+        require(aggregatedProofs[aggregatedHash].submitter == address(0), "Aggregated proof already submitted");
+    }
+
+    /**
+     * @dev Validate and store an aggregated proof, consuming the carried fees of its disabled nodes
+     * @return pool Fees to settle: the proven base proof fees plus the consumed carried fees
+     */
+    function _recordAggregatedProof(
+        bytes32 _aggregatedHash,
+        bytes32 _merkleRoot,
+        BaseProof[] calldata _provenData,
+        bytes32[] calldata _disabledNodes
+    ) private returns (uint256 pool) {
+        require(_provenData.length > 0, "No base proofs provided");
+        require(aggregatedByRoot[_merkleRoot] == bytes32(0), "Merkle root already submitted");
+
+        bytes32[] memory leaves = new bytes32[](_provenData.length + _disabledNodes.length);
+        AggregatedRecord storage record = aggregatedProofs[_aggregatedHash];
+
+        for (uint256 i = 0; i < _provenData.length; i++) {
+            bytes32 proofHash = _provenData[i].proofHash;
+            require(baseProofs[proofHash].user != address(0), "Base proof not submitted");
+            require(aggregatedIn[proofHash] == bytes32(0), "Base proof already aggregated");
+
+            aggregatedIn[proofHash] = _aggregatedHash;
+            record.provenProofs.push(proofHash);
+            record.totalFee += baseProofs[proofHash].fee;
+            leaves[i] = proofHash;
+        }
+        pool = record.totalFee;
+
+        for (uint256 i = 0; i < _disabledNodes.length; i++) {
+            bytes32 childHash = aggregatedByRoot[_disabledNodes[i]];
+            require(childHash != bytes32(0), "Unknown disabled node");
+            require(parentAggregation[childHash] == bytes32(0), "Disabled node already aggregated");
+
+            parentAggregation[childHash] = _aggregatedHash;
+            pool += carriedFees[childHash];
+            carriedFees[childHash] = 0;
+            leaves[_provenData.length + i] = _disabledNodes[i];
+        }
+        require(
+            SnarktorMerkle.computeRoot(SnarktorMerkle.MODE_LEGACY, leaves) == _merkleRoot,
+            "Merkle root mismatch"
+        );
+
+        record.merkleRoot = _merkleRoot;
+        record.disabledNodes = _disabledNodes;
+        record.submitter = msg.sender;
+        record.timestamp = block.timestamp;
+        aggregatedByRoot[_merkleRoot] = _aggregatedHash;
+
+        emit AggregatedProofSubmitted(_aggregatedHash, _provenData.length);
+        emit MerkleRootValidated(_merkleRoot, leaves);
+    }
+
+    /**
+     * @dev Split an aggregation's fee pool into claimable rewards and the carried-forward share
+     */
+    function _settleFees(
+        bytes32 _aggregatedHash,
+        uint256 _pool,
+        address[] memory _provers,
+        address _scheduler
+    ) private {
+        require(_scheduler != address(0), "Invalid scheduler");
+        (uint256 currentFee, uint256 inclusionFee, uint256 aggregationFee) =
+            SnarktorUtils.calculateFeeDistribution(_pool);
+
+        uint256 share = currentFee / (_provers.length + 1);
+        for (uint256 i = 0; i < _provers.length; i++) {
+            require(_provers[i] != address(0), "Invalid prover");
+            pendingRewards[_provers[i]] += share;
+        }
+        pendingRewards[_scheduler] += currentFee - share * _provers.length;
+        pendingRewards[msg.sender] += inclusionFee;
+        carriedFees[_aggregatedHash] = aggregationFee;
+
+        emit FeesSettled(_aggregatedHash, currentFee, inclusionFee, aggregationFee);
+    }
+
+    function _submitBaseProof(
+        address _user,
+        bytes calldata _proofData,
+        bytes32 _publicInput,
+        bytes32 _verificationKey,
+        uint256 _fee,
+        bytes calldata _signature
+    ) internal override whenNotPaused returns (bytes32 proofHash) {
+        require(_proofData.length > 0, "Empty proof data");
+        proofHash = keccak256(_proofData);
+        require(baseProofs[proofHash].user == address(0), "Proof already submitted");
+
+        uint256 nonce = userNonces(_user);
+        _consumeSubmissionSignature(_user, proofHash, _publicInput, _verificationKey, _fee, _signature);
+
+        baseProofs[proofHash] = BaseProof({
+            proofHash: proofHash,
+            user: _user,
+            fee: _fee,
+            nonce: nonce,
+            publicInput: _publicInput,
+            verificationKey: _verificationKey,
+            signature: _signature
+        });
+
+        emit ProofVerified(proofHash, _user, block.timestamp);
+    }
+}
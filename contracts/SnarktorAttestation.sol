@@ -0,0 +1,182 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./SnarktorAccessControl.sol";
+import "./SnarktorSignatures.sol";
+
+/**
+ * @title SnarktorAttestation
+ * @dev M-of-N EIP-712 attestation of aggregated proof records
+ * Accounts holding ATTESTOR_ROLE sign the (aggregatedHash, merkleRoot, includedProofs, treeMode)
+ * tuple off-chain; anyone can submit the signatures. A record is finalized once it collects the
+ * attestation threshold in force when it was added. A threshold of 0 finalizes records immediately.
+ * Only accounts still holding ATTESTOR_ROLE count towards a record, and attestors cannot be
+ * removed while that would leave fewer of them than the current threshold.
+ */
+abstract contract SnarktorAttestation is SnarktorAccessControl {
+    event AttestationThresholdUpdated(uint256 threshold);
+    event AggregatedProofAttested(bytes32 indexed aggregatedHash, address indexed attestor, uint256 attestations);
+    event AggregatedProofFinalized(bytes32 indexed aggregatedHash);
+
+    struct AttestationStatus {
+        uint256 attestations;     // Attestations collected so far from current attestors
+        uint256 required;         // Threshold in force when the record was added, capped at the attestor count
+        bool finalized;           // Whether the threshold has been reached
+    }
+
+    bytes32 public constant ATTESTOR_ROLE = keccak256("ATTESTOR_ROLE");
+
+    bytes32 public constant ATTESTATION_TYPEHASH = keccak256(
+        "AggregatedProofAttestation(bytes32 aggregatedHash,bytes32 merkleRoot,bytes32[] includedProofs,uint8 treeMode)"
+    );
+
+    bytes32 private constant DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+    );
+
+    // Attestations required for records added from now on
+    uint256 public attestationThreshold;
+
+    mapping(bytes32 => AttestationStatus) private attestationStatuses;
+    mapping(bytes32 => mapping(address => bool)) public hasAttested;
+
+    /**
+     * @dev Set the number of attestations new records need (admin only)
+     * Records already added keep the threshold they were added with
+     * @param _threshold Required attestations; 0 disables attestation
+     */
+    function setAttestationThreshold(uint256 _threshold) external onlyRole(ADMIN_ROLE) {
+        require(_threshold <= getRoleMembers(ATTESTOR_ROLE).length, "Threshold exceeds attestor count");
+        attestationThreshold = _threshold;
+        emit AttestationThresholdUpdated(_threshold);
+    }
+
+    /**
+     * @dev Get the attestation progress of an aggregated proof record
+     */
+    function getAttestationStatus(bytes32 _aggregatedHash) external view returns (AttestationStatus memory status) {
+        status = attestationStatuses[_aggregatedHash];
+        (status.attestations, status.required) = _liveAttestations(_aggregatedHash, status.required);
+    }
+
+    /**
+     * @dev Check if an aggregated proof record has collected its required attestations
+     */
+    function isAggregatedProofFinalized(bytes32 _aggregatedHash) public view returns (bool) {
+        return attestationStatuses[_aggregatedHash].finalized;
+    }
+
+    /**
+     * @dev EIP-712 domain separator ("SnarktorVerifier", version "1")
+     */
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            DOMAIN_TYPEHASH,
+            keccak256(bytes("SnarktorVerifier")),
+            keccak256(bytes("1")),
+            block.chainid,
+            address(this)
+        ));
+    }
+
+    /**
+     * @dev EIP-712 digest attestors sign for an aggregated proof record
+     */
+    function attestationDigest(
+        bytes32 _aggregatedHash,
+        bytes32 _merkleRoot,
+        bytes32[] memory _includedProofs,
+        uint8 _treeMode
+    ) public view returns (bytes32) {
+        bytes32 structHash = keccak256(abi.encode(
+            ATTESTATION_TYPEHASH,
+            _aggregatedHash,
+            _merkleRoot,
+            keccak256(abi.encodePacked(_includedProofs)),
+            _treeMode
+        ));
+        return keccak256(abi.encodePacked("\x19\x01", domainSeparator(), structHash));
+    }
+
+    // Internal functions
+
+    /**
+     * @dev Start collecting attestations for a new record, snapshotting the current threshold
+     */
+    function _openAttestation(bytes32 _aggregatedHash) internal {
+        bool finalized = attestationThreshold == 0;
+        attestationStatuses[_aggregatedHash] = AttestationStatus({
+            attestations: 0,
+            required: attestationThreshold,
+            finalized: finalized
+        });
+        if (finalized) {
+            emit AggregatedProofFinalized(_aggregatedHash);
+        }
+    }
+
+    /**
+     * @dev Count attestor signatures over a record's digest
+     * Every signature must come from a distinct attestor that has not attested this record yet
+     */
+    function _attest(bytes32 _aggregatedHash, bytes32 _digest, bytes[] calldata _signatures) internal {
+        AttestationStatus storage status = attestationStatuses[_aggregatedHash];
+
+        for (uint256 i = 0; i < _signatures.length; i++) {
+            address attestor = _recover(_digest, _signatures[i]);
+            require(hasRole(ATTESTOR_ROLE, attestor), "Signer is not an attestor");
+            require(!hasAttested[_aggregatedHash][attestor], "Duplicate attestation");
+
+            hasAttested[_aggregatedHash][attestor] = true;
+            status.attestations++;
+            emit AggregatedProofAttested(_aggregatedHash, attestor, status.attestations);
+        }
+
+        (uint256 attestations, uint256 required) = _liveAttestations(_aggregatedHash, status.required);
+        if (!status.finalized && attestations > 0 && attestations >= required) {
+            status.finalized = true;
+            emit AggregatedProofFinalized(_aggregatedHash);
+        }
+    }
+
+    /**
+     * @dev Count a record's attestations from accounts that still hold ATTESTOR_ROLE
+     * @return attestations Attestations from current attestors
+     * @return required The record's threshold, capped at the current attestor count
+     */
+    function _liveAttestations(bytes32 _aggregatedHash, uint256 _required)
+        private
+        view
+        returns (uint256 attestations, uint256 required)
+    {
+        address[] memory attestors = getRoleMembers(ATTESTOR_ROLE);
+        for (uint256 i = 0; i < attestors.length; i++) {
+            if (hasAttested[_aggregatedHash][attestors[i]]) {
+                attestations++;
+            }
+        }
+        required = _required < attestors.length ? _required : attestors.length;
+    }
+
+    /**
+     * @dev Keep at least as many attestors as the current threshold requires
+     */
+    function _revokeRole(bytes32 _role, address _account) internal virtual override {
+        if (_role == ATTESTOR_ROLE && hasRole(_role, _account)) {
+            require(getRoleMembers(_role).length > attestationThreshold, "Threshold exceeds attestor count");
+        }
+        super._revokeRole(_role, _account);
+    }
+
+    /**
+     * @dev Recover the signer of a digest from a 65-byte (r, s, v) signature
+     * Rejects high-s signatures so each attestation has a single valid encoding
+     */
+    function _recover(bytes32 _digest, bytes calldata _signature) private pure returns (address) {
+        require(_signature.length == 65, "Invalid signature length");
+
+        address signer = SnarktorSignatures.tryRecover(_digest, _signature);
+        require(signer != address(0), "Invalid signature");
+        return signer;
+    }
+}
@@ -0,0 +1,232 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title SnarktorMerkle
+ * @dev Merkle hashing primitives shared by the SNARKtor contracts
+ *
+ * Tree modes:
+ * - LEGACY: leaves are used as-is and nodes are keccak256(left || right). Kept so roots
+ *   published before domain separation can still be verified.
+ * - DOMAIN_SEPARATED: leaves are keccak256(0x00 || leaf) and nodes keccak256(0x01 || left || right),
+ *   so an internal node can never be presented as a leaf (second-preimage protection).
+ * - SORTED_PAIR: leaves are used as-is and nodes are keccak256(min(a, b) || max(a, b)), the
+ *   commutative hashing of OpenZeppelin's MerkleProof. Proofs need no index and verify with
+ *   MerkleProof.verify; leaves should be double-hashed by the caller if they are untrusted.
+ *
+ * In every mode an odd node at the end of a level is promoted unchanged.
+ */
+library SnarktorMerkle {
+    uint8 internal constant MODE_LEGACY = 0;
+    uint8 internal constant MODE_DOMAIN_SEPARATED = 1;
+    uint8 internal constant MODE_SORTED_PAIR = 2;
+
+    bytes1 internal constant LEAF_PREFIX = 0x00;
+    bytes1 internal constant NODE_PREFIX = 0x01;
+
+    function isValidMode(uint8 _mode) internal pure returns (bool) {
+        return _mode <= MODE_SORTED_PAIR;
+    }
+
+    function hashLeaf(uint8 _mode, bytes32 _leaf) internal pure returns (bytes32) {
+        if (_mode != MODE_DOMAIN_SEPARATED) {
+            return _leaf;
+        }
+        return keccak256(abi.encodePacked(LEAF_PREFIX, _leaf));
+    }
+
+    function hashNode(uint8 _mode, bytes32 _left, bytes32 _right) internal pure returns (bytes32) {
+        if (_mode == MODE_LEGACY) {
+            return keccak256(abi.encodePacked(_left, _right));
+        }
+        if (_mode == MODE_SORTED_PAIR) {
+            return _left < _right
+                ? keccak256(abi.encodePacked(_left, _right))
+                : keccak256(abi.encodePacked(_right, _left));
+        }
+        return keccak256(abi.encodePacked(NODE_PREFIX, _left, _right));
+    }
+
+    /**
+     * @dev Compute the root of the tree built from the given leaves
+     */
+    function computeRoot(uint8 _mode, bytes32[] memory _leaves) internal pure returns (bytes32) {
+        require(_leaves.length > 0, "Empty leaves array");
+
+        bytes32[] memory currentLevel = new bytes32[](_leaves.length);
+        for (uint256 i = 0; i < _leaves.length; i++) {
+            currentLevel[i] = hashLeaf(_mode, _leaves[i]);
+        }
+
+        while (currentLevel.length > 1) {
+            bytes32[] memory nextLevel = new bytes32[]((currentLevel.length + 1) / 2);
+
+            for (uint256 i = 0; i < currentLevel.length; i += 2) {
+                if (i + 1 < currentLevel.length) {
+                    nextLevel[i / 2] = hashNode(_mode, currentLevel[i], currentLevel[i + 1]);
+                } else {
+                    // Odd number of nodes, promote the last one
+                    nextLevel[i / 2] = currentLevel[i];
+                }
+            }
+
+            currentLevel = nextLevel;
+        }
+
+        return currentLevel[0];
+    }
+
+    /**
+     * @dev Verify an inclusion proof (the index is ignored in the sorted-pair mode)
+     */
+    function verify(
+        uint8 _mode,
+        bytes32[] memory _path,
+        uint256 _index,
+        bytes32 _leaf,
+        bytes32 _root
+    ) internal pure returns (bool) {
+        return processProof(_mode, _path, _index, _leaf) == _root;
+    }
+
+    /**
+     * @dev Compute the root an inclusion proof leads to
+     */
+    function processProof(
+        uint8 _mode,
+        bytes32[] memory _path,
+        uint256 _index,
+        bytes32 _leaf
+    ) internal pure returns (bytes32) {
+        bytes32 computedHash = hashLeaf(_mode, _leaf);
+
+        for (uint256 i = 0; i < _path.length; i++) {
+            if (_index % 2 == 0) {
+                // Current node is left child
+                computedHash = hashNode(_mode, computedHash, _path[i]);
+            } else {
+                // Current node is right child
+                computedHash = hashNode(_mode, _path[i], computedHash);
+            }
+
+            _index = _index / 2;
+        }
+
+        return computedHash;
+    }
+
+    // Working state of a multiproof verification, kept in memory to limit stack usage
+    struct MultiProofState {
+        uint8 mode;
+        bytes32[] nodes;
+        uint256[] positions;
+        bytes32[] proof;
+        bool[] proofFlags;
+        uint256 proofPos;
+        uint256 flagPos;
+        bool failed;
+    }
+
+    /**
+     * @dev Verify a multiproof for several leaves of a tree with `_leafCount` leaves
+     * Leaves must be given in strictly increasing index order. Each hashing step consumes
+     * one flag: true takes the sibling from the proven set, false from `_proof`. Nodes
+     * promoted on odd-sized levels consume no flag.
+     */
+    function verifyMulti(
+        uint8 _mode,
+        bytes32[] memory _leaves,
+        uint256[] memory _indices,
+        bytes32[] memory _proof,
+        bool[] memory _proofFlags,
+        uint256 _leafCount,
+        bytes32 _root
+    ) internal pure returns (bool) {
+        uint256 count = _leaves.length;
+        if (count == 0 || count != _indices.length) {
+            return false;
+        }
+
+        MultiProofState memory state = MultiProofState({
+            mode: _mode,
+            nodes: new bytes32[](count),
+            positions: new uint256[](count),
+            proof: _proof,
+            proofFlags: _proofFlags,
+            proofPos: 0,
+            flagPos: 0,
+            failed: false
+        });
+
+        for (uint256 i = 0; i < count; i++) {
+            if (_indices[i] >= _leafCount || (i > 0 && _indices[i] <= _indices[i - 1])) {
+                return false;
+            }
+            state.nodes[i] = hashLeaf(_mode, _leaves[i]);
+            state.positions[i] = _indices[i];
+        }
+
+        for (uint256 width = _leafCount; width > 1; width = (width + 1) / 2) {
+            count = _hashMultiLevel(state, count, width);
+            if (state.failed) {
+                return false;
+            }
+        }
+
+        return state.proofPos == _proof.length
+            && state.flagPos == _proofFlags.length
+            && state.nodes[0] == _root;
+    }
+
+    /**
+     * @dev Hash one level of a multiproof in place, returning the number of parent nodes
+     */
+    function _hashMultiLevel(
+        MultiProofState memory _state,
+        uint256 _count,
+        uint256 _width
+    ) private pure returns (uint256 nextCount) {
+        // Parents are written in place; nextCount never overtakes i
+        for (uint256 i = 0; i < _count; i++) {
+            uint256 position = _state.positions[i];
+            bytes32 node = _state.nodes[i];
+
+            if (position % 2 == 1) {
+                // Right child whose left sibling is not in the proven set
+                if (_nextFlag(_state) != 0 || _state.proofPos >= _state.proof.length) {
+                    _state.failed = true;
+                    return 0;
+                }
+                node = hashNode(_state.mode, _state.proof[_state.proofPos++], node);
+            } else if (position + 1 < _width) {
+                bool siblingKnown = i + 1 < _count && _state.positions[i + 1] == position + 1;
+                if (_nextFlag(_state) != (siblingKnown ? 1 : 0)) {
+                    _state.failed = true;
+                    return 0;
+                }
+                if (siblingKnown) {
+                    node = hashNode(_state.mode, node, _state.nodes[++i]);
+                } else if (_state.proofPos < _state.proof.length) {
+                    node = hashNode(_state.mode, node, _state.proof[_state.proofPos++]);
+                } else {
+                    _state.failed = true;
+                    return 0;
+                }
+            }
+
+            _state.nodes[nextCount] = node;
+            _state.positions[nextCount] = position / 2;
+            nextCount++;
+        }
+    }
+
+    /**
+     * @dev Consume the next flag: 1 for true, 0 for false, 2 when flags are exhausted
+     */
+    function _nextFlag(MultiProofState memory _state) private pure returns (uint8) {
+        if (_state.flagPos >= _state.proofFlags.length) {
+            return 2;
+        }
+        return _state.proofFlags[_state.flagPos++] ? 1 : 0;
+    }
+}
@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title SnarktorSignatures
+ * @dev ECDSA recovery shared by the attestation and submission signature checks
+ */
+library SnarktorSignatures {
+    // secp256k1n / 2; larger s values are the malleable twin of a valid signature
+    uint256 private constant MAX_S = 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0;
+
+    /**
+     * @dev Recover the signer of a digest from a 65-byte (r, s, v) signature
+     * Returns the zero address for malformed or high-s signatures instead of reverting,
+     * so callers can try several digests against one signature
+     */
+    function tryRecover(bytes32 _digest, bytes calldata _signature) internal pure returns (address) {
+        if (_signature.length != 65) {
+            return address(0);
+        }
+
+        bytes32 r = bytes32(_signature[0:32]);
+        bytes32 s = bytes32(_signature[32:64]);
+        uint8 v = uint8(_signature[64]);
+        if (v < 27) {
+            v += 27;
+        }
+        if (uint256(s) > MAX_S) {
+            return address(0);
+        }
+        return ecrecover(_digest, v, r, s);
+    }
+}
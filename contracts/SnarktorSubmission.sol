@@ -0,0 +1,193 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./ISnarktorVerifier.sol";
+import "./SnarktorAccessControl.sol";
+import "./SnarktorSignatures.sol";
+
+/**
+ * @title SnarktorSubmission
+ * @dev Signature checks, nonces and fee deposits for base proof submissions
+ * Users sign a BaseProofSubmission as EIP-712 typed data, binding the proof hash, chain and
+ * contract so a signature cannot be replayed on another deployment or for other proof bytes.
+ * Each accepted signature consumes the user's nonce. The original personal_sign scheme over
+ * (fee, nonce, publicInput, verificationKey) is only accepted while an admin enables it, and only
+ * from the user themselves, since it does not cover the proof bytes.
+ *
+ * Signed submissions can also be relayed: anyone holding an EIP-712 signature submits it through
+ * submitBaseProofFor and pays the gas, while the fee comes out of the user's deposit.
+ */
+abstract contract SnarktorSubmission is ISnarktorVerifier, SnarktorAccessControl {
+    event LegacySignaturesUpdated(bool enabled);
+
+    bytes32 public constant SUBMISSION_TYPEHASH = keccak256(
+        "BaseProofSubmission(address user,bytes32 proofHash,bytes32 publicInput,bytes32 verificationKey,uint256 fee,uint256 nonce)"
+    );
+
+    bytes32 private constant DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+    );
+
+    mapping(address => uint256) private nonces;
+    mapping(address => uint256) private balances;
+
+    // Whether personal_sign signatures of the pre-EIP-712 scheme are still accepted
+    bool public legacySignaturesEnabled;
+
+    /**
+     * @dev Nonce the next submission signed by a user must carry
+     */
+    function userNonces(address _user) public view override returns (uint256) {
+        return nonces[_user];
+    }
+
+    /**
+     * @dev Deposit available to pay the fees of relayed submissions
+     */
+    function userBalances(address _user) public view override returns (uint256) {
+        return balances[_user];
+    }
+
+    /**
+     * @dev Add to the caller's deposit
+     */
+    function deposit() external payable override {
+        require(msg.value > 0, "Deposit must be positive");
+        balances[msg.sender] += msg.value;
+        emit Deposited(msg.sender, msg.value);
+    }
+
+    /**
+     * @dev Withdraw from the caller's deposit
+     */
+    function withdraw(uint256 _amount) external override {
+        require(balances[msg.sender] >= _amount, "Insufficient balance");
+        balances[msg.sender] -= _amount;
+
+        (bool sent, ) = payable(msg.sender).call{value: _amount}("");
+        require(sent, "Withdrawal failed");
+        emit Withdrawn(msg.sender, _amount);
+    }
+
+    /**
+     * @dev Submit a base proof signed by another user, paying its fee from their deposit
+     * The caller pays the gas; the signature and the user's nonce prevent replays. The signature
+     * must be EIP-712, so the relayer cannot swap in other proof bytes.
+     */
+    function submitBaseProofFor(
+        address _user,
+        bytes calldata _proofData,
+        bytes32 _publicInput,
+        bytes32 _verificationKey,
+        uint256 _fee,
+        bytes calldata _signature
+    ) external override {
+        require(balances[_user] >= _fee, "Insufficient balance");
+        balances[_user] -= _fee;
+
+        bytes32 proofHash = _submitBaseProof(_user, _proofData, _publicInput, _verificationKey, _fee, _signature);
+        emit BaseProofRelayed(proofHash, _user, msg.sender);
+    }
+
+    /**
+     * @dev Accept or reject legacy submission signatures (admin only)
+     */
+    function setLegacySignaturesEnabled(bool _enabled) external onlyRole(ADMIN_ROLE) {
+        legacySignaturesEnabled = _enabled;
+        emit LegacySignaturesUpdated(_enabled);
+    }
+
+    /**
+     * @dev EIP-712 domain separator for submissions ("SnarktorSubmission", version "1")
+     */
+    function submissionDomainSeparator() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            DOMAIN_TYPEHASH,
+            keccak256(bytes("SnarktorSubmission")),
+            keccak256(bytes("1")),
+            block.chainid,
+            address(this)
+        ));
+    }
+
+    /**
+     * @dev EIP-712 digest a user signs to submit a base proof
+     */
+    function submissionDigest(
+        address _user,
+        bytes32 _proofHash,
+        bytes32 _publicInput,
+        bytes32 _verificationKey,
+        uint256 _fee,
+        uint256 _nonce
+    ) public view returns (bytes32) {
+        bytes32 structHash = keccak256(abi.encode(
+            SUBMISSION_TYPEHASH,
+            _user,
+            _proofHash,
+            _publicInput,
+            _verificationKey,
+            _fee,
+            _nonce
+        ));
+        return keccak256(abi.encodePacked("\x19\x01", submissionDomainSeparator(), structHash));
+    }
+
+    /**
+     * @dev personal_sign digest of the legacy scheme
+     */
+    function legacySubmissionDigest(
+        bytes32 _publicInput,
+        bytes32 _verificationKey,
+        uint256 _fee,
+        uint256 _nonce
+    ) public pure returns (bytes32) {
+        bytes32 message = keccak256(abi.encodePacked(_fee, _nonce, _publicInput, _verificationKey));
+        return keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n32", message));
+    }
+
+    // Internal functions
+
+    /**
+     * @dev Record a base proof whose fee has been paid
+     * Implementations must check the signature with _consumeSubmissionSignature.
+     * @return proofHash Hash of the recorded proof
+     */
+    function _submitBaseProof(
+        address _user,
+        bytes calldata _proofData,
+        bytes32 _publicInput,
+        bytes32 _verificationKey,
+        uint256 _fee,
+        bytes calldata _signature
+    ) internal virtual returns (bytes32 proofHash);
+
+    /**
+     * @dev Check a user's submission signature against their current nonce and consume it
+     * Legacy signatures are only accepted when the user submits directly
+     */
+    function _consumeSubmissionSignature(
+        address _user,
+        bytes32 _proofHash,
+        bytes32 _publicInput,
+        bytes32 _verificationKey,
+        uint256 _fee,
+        bytes calldata _signature
+    ) internal {
+        uint256 nonce = nonces[_user];
+
+        address signer = SnarktorSignatures.tryRecover(
+            submissionDigest(_user, _proofHash, _publicInput, _verificationKey, _fee, nonce),
+            _signature
+        );
+        if (signer != _user && legacySignaturesEnabled && _user == msg.sender) {
+            signer = SnarktorSignatures.tryRecover(
+                legacySubmissionDigest(_publicInput, _verificationKey, _fee, nonce),
+                _signature
+            );
+        }
+        require(_user != address(0) && signer == _user, "Invalid signature");
+
+        nonces[_user] = nonce + 1;
+    }
+}
@@ -1,6 +1,8 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
+import "./SnarktorMerkle.sol";
+
 /**
  * @title SnarktorUtils
  * @dev Utility library for SNARKtor proof processing and Merkle tree operations
@@ -34,91 +36,47 @@ library SnarktorUtils {
 
     /**
      * @dev Build merkle tree from array of proof hashes
-     * Returns the merkle root of the tree
+     * Returns the merkle root of the tree (legacy tree mode)
      */
     function buildMerkleTree(bytes32[] memory _leaves) external pure returns (bytes32) {
-        require(_leaves.length > 0, "Empty leaves array");
-        
-        if (_leaves.length == 1) {
-            return _leaves[0];
-        }
+        return SnarktorMerkle.computeRoot(SnarktorMerkle.MODE_LEGACY, _leaves);
+    }
 
-        bytes32[] memory currentLevel = _leaves;
-        
-        while (currentLevel.length > 1) {
-            bytes32[] memory nextLevel = new bytes32[]((currentLevel.length + 1) / 2);
-            
-            for (uint i = 0; i < currentLevel.length; i += 2) {
-                if (i + 1 < currentLevel.length) {
-                    nextLevel[i / 2] = keccak256(abi.encodePacked(currentLevel[i], currentLevel[i + 1]));
-                } else {
-                    // Odd number of leaves, promote the last one
-                    nextLevel[i / 2] = currentLevel[i];
-                }
-            }
-            
-            currentLevel = nextLevel;
-        }
-        
-        return currentLevel[0];
+    /**
+     * @dev Build merkle tree from array of proof hashes using the given tree mode
+     * Returns the merkle root of the tree
+     */
+    function buildMerkleTree(bytes32[] memory _leaves, uint8 _mode) external pure returns (bytes32) {
+        require(SnarktorMerkle.isValidMode(_mode), "Unsupported tree mode");
+        return SnarktorMerkle.computeRoot(_mode, _leaves);
     }
 
     /**
      * @dev Generate merkle proof for a specific leaf
-     * Returns path and index needed to verify inclusion
+     * Returns path and index needed to verify inclusion (legacy tree mode)
      */
     function generateMerkleProof(
         bytes32[] memory _leaves,
         uint256 _leafIndex
     ) external pure returns (bytes32[] memory path, uint256 index) {
-        require(_leafIndex < _leaves.length, "Leaf index out of bounds");
-        
-        bytes32[] memory currentLevel = _leaves;
-        path = new bytes32[](0);
-        index = _leafIndex;
-        uint256 pathIndex = 0;
-        
-        while (currentLevel.length > 1) {
-            // Resize path array
-            bytes32[] memory newPath = new bytes32[](path.length + 1);
-            for (uint i = 0; i < path.length; i++) {
-                newPath[i] = path[i];
-            }
-            
-            // Add sibling to path
-            if (index % 2 == 0) {
-                // Left child, sibling is right
-                if (index + 1 < currentLevel.length) {
-                    newPath[pathIndex] = currentLevel[index + 1];
-                }
-            } else {
-                // Right child, sibling is left
-                newPath[pathIndex] = currentLevel[index - 1];
-            }
-            
-            path = newPath;
-            pathIndex++;
-            
-            // Build next level
-            bytes32[] memory nextLevel = new bytes32[]((currentLevel.length + 1) / 2);
-            
-            for (uint i = 0; i < currentLevel.length; i += 2) {
-                if (i + 1 < currentLevel.length) {
-                    nextLevel[i / 2] = keccak256(abi.encodePacked(currentLevel[i], currentLevel[i + 1]));
-                } else {
-                    nextLevel[i / 2] = currentLevel[i];
-                }
-            }
-            
-            currentLevel = nextLevel;
-            index = index / 2;
-        }
-        
-        return (path, _leafIndex);
+        return _generateMerkleProof(_leaves, _leafIndex, SnarktorMerkle.MODE_LEGACY);
+    }
+
+    /**
+     * @dev Generate merkle proof for a specific leaf using the given tree mode
+     * Returns path and index needed to verify inclusion
+     */
+    function generateMerkleProof(
+        bytes32[] memory _leaves,
+        uint256 _leafIndex,
+        uint8 _mode
+    ) external pure returns (bytes32[] memory path, uint256 index) {
+        require(SnarktorMerkle.isValidMode(_mode), "Unsupported tree mode");
+        return _generateMerkleProof(_leaves, _leafIndex, _mode);
     }
 
     /**
-     * @dev Verify a merkle proof
+     * @dev Verify a merkle proof (legacy tree mode)
      */
     function verifyMerkleProof(
         bytes32[] memory _path,
@@ -126,28 +84,27 @@ library SnarktorUtils {
         bytes32 _leaf,
         bytes32 _root
     ) external pure returns (bool) {
-        bytes32 computedHash = _leaf;
-        
-        for (uint256 i = 0; i < _path.length; i++) {
-            bytes32 proofElement = _path[i];
-            
-            if (_index % 2 == 0) {
-                // Current node is left child
-                computedHash = keccak256(abi.encodePacked(computedHash, proofElement));
-            } else {
-                // Current node is right child
-                computedHash = keccak256(abi.encodePacked(proofElement, computedHash));
-            }
-            
-            _index = _index / 2;
-        }
-        
-        return computedHash == _root;
+        return SnarktorMerkle.verify(SnarktorMerkle.MODE_LEGACY, _path, _index, _leaf, _root);
+    }
+
+    /**
+     * @dev Verify a merkle proof built with the given tree mode
+     */
+    function verifyMerkleProof(
+        bytes32[] memory _path,
+        uint256 _index,
+        bytes32 _leaf,
+        bytes32 _root,
+        uint8 _mode
+    ) external pure returns (bool) {
+        require(SnarktorMerkle.isValidMode(_mode), "Unsupported tree mode");
+        return SnarktorMerkle.verify(_mode, _path, _index, _leaf, _root);
     }
 
     /**
      * @dev Calculate fee distribution according to SNARKtor protocol
      * Returns (currentLevelFee, inclusionFee, aggregationFee)
+     * Rounding dust stays with the aggregation share, so the three always sum to _totalFee
      */
     function calculateFeeDistribution(uint256 _totalFee) 
         external 
@@ -156,7 +113,7 @@ library SnarktorUtils {
     {
         currentFee = (_totalFee * 40) / 100;      // 40% for provers and schedulers
         inclusionFee = (_totalFee * 5) / 100;     // 5% for submitter
-        aggregationFee = (_totalFee * 55) / 100;  // 55% for further aggregation
+        aggregationFee = _totalFee - currentFee - inclusionFee;  // 55% for further aggregation
         
         return (currentFee, inclusionFee, aggregationFee);
     }
@@ -201,6 +158,64 @@ library SnarktorUtils {
     }
 
     // Internal helper functions
+
+    /**
+     * @dev Levels where the node is promoted contribute no sibling, so the index only carries the
+     * left/right bits of levels that are in the path, as SnarktorMerkle.verify expects
+     */
+    function _generateMerkleProof(
+        bytes32[] memory _leaves,
+        uint256 _leafIndex,
+        uint8 _mode
+    ) internal pure returns (bytes32[] memory path, uint256 index) {
+        require(_leafIndex < _leaves.length, "Leaf index out of bounds");
+        
+        bytes32[] memory currentLevel = new bytes32[](_leaves.length);
+        for (uint i = 0; i < _leaves.length; i++) {
+            currentLevel[i] = SnarktorMerkle.hashLeaf(_mode, _leaves[i]);
+        }
+
+        // At most one sibling per level
+        uint256 depth = 0;
+        for (uint256 width = _leaves.length; width > 1; width = (width + 1) / 2) {
+            depth++;
+        }
+        bytes32[] memory siblings = new bytes32[](depth);
+        uint256 siblingCount = 0;
+        uint256 position = _leafIndex;
+        
+        while (currentLevel.length > 1) {
+            if (position % 2 == 1) {
+                // Right child, sibling is left
+                index |= 1 << siblingCount;
+                siblings[siblingCount++] = currentLevel[position - 1];
+            } else if (position + 1 < currentLevel.length) {
+                // Left child, sibling is right
+                siblings[siblingCount++] = currentLevel[position + 1];
+            }
+            
+            // Build next level
+            bytes32[] memory nextLevel = new bytes32[]((currentLevel.length + 1) / 2);
+            
+            for (uint i = 0; i < currentLevel.length; i += 2) {
+                if (i + 1 < currentLevel.length) {
+                    nextLevel[i / 2] = SnarktorMerkle.hashNode(_mode, currentLevel[i], currentLevel[i + 1]);
+                } else {
+                    nextLevel[i / 2] = currentLevel[i];
+                }
+            }
+            
+            currentLevel = nextLevel;
+            position = position / 2;
+        }
+
+        path = new bytes32[](siblingCount);
+        for (uint i = 0; i < siblingCount; i++) {
+            path[i] = siblings[i];
+        }
+        
+        return (path, index);
+    }
     
     function _hexStringToBytes32(string calldata _hexString) internal pure returns (bytes32) {
         bytes memory hexBytes = bytes(_hexString);
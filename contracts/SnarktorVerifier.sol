@@ -1,15 +1,23 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
+import "./SnarktorMerkle.sol";
+import "./SnarktorAttestation.sol";
+import "./IAggregatedProofVerifier.sol";
+
 /**
  * @title SnarktorVerifier
  * @dev A verification-only library that validates inclusion of proofs within SNARKtor aggregated proofs
  * This contract does NOT handle proof submission to EVM - it only verifies proof inclusion
+ * Verification data is written once by accounts holding DATA_PROVIDER_ROLE, and aggregated
+ * proofs can only be verified against once finalized by attestors (see SnarktorAttestation)
  */
-contract SnarktorVerifier {
+contract SnarktorVerifier is SnarktorAttestation {
     // Events for verification activities only
     event ProofInclusionVerified(bytes32 indexed baseProofHash, bytes32 indexed aggregatedHash, bool verified);
     event MerkleRootValidated(bytes32 indexed merkleRoot, bool isValid);
+    event MultiProofInclusionVerified(bytes32 indexed aggregatedHash, uint256 proofCount, bool verified);
+    event AggregatedProofVerifierUpdated(address indexed verifier);
 
     // Structs for verification data (read-only)
     struct BaseProof {
@@ -23,6 +31,7 @@ contract SnarktorVerifier {
         bytes32 aggregatedHash;   // Hash of the aggregated proof
         bytes32 merkleRoot;       // Root of the proof tree
         bytes32[] includedProofs; // Hashes of proofs included in aggregation
+        uint8 treeMode;           // Merkle tree mode the root was built with (see SnarktorMerkle)
         bool exists;              // Whether this aggregated proof data is available
     }
 
@@ -32,12 +41,31 @@ contract SnarktorVerifier {
         bytes32 leaf;             // Leaf value being proven
     }
 
+    struct MultiProof {
+        bytes32[] leaves;         // Base proof hashes being proven, in index order
+        uint256[] indices;        // Leaf positions of those proofs in the tree
+        bytes32[] proof;          // Sibling hashes not derivable from the proven leaves
+        bool[] proofFlags;        // Per hashing step: sibling from proven set (true) or proof (false)
+    }
+
+    // Merkle tree modes accepted for aggregated proofs
+    uint8 public constant TREE_MODE_LEGACY = SnarktorMerkle.MODE_LEGACY;
+    uint8 public constant TREE_MODE_DOMAIN_SEPARATED = SnarktorMerkle.MODE_DOMAIN_SEPARATED;
+    uint8 public constant TREE_MODE_SORTED_PAIR = SnarktorMerkle.MODE_SORTED_PAIR;
+
+    // Sentinels stored in place of a hash when a proof has no public input or verification key
+    bytes32 public constant NO_PUBLIC_INPUT = keccak256("SNARKTOR_NO_PUBLIC_INPUT");
+    bytes32 public constant NO_VERIFICATION_KEY = keccak256("SNARKTOR_NO_VERIFICATION_KEY");
+
     // Storage for verification data (populated externally or through data feeds)
     mapping(bytes32 => BaseProof) public baseProofs;
     mapping(bytes32 => AggregatedProof) public aggregatedProofs;
 
+    // Verifier of the SNARKtor final circuit; when set, every aggregated proof record needs a valid proof
+    IAggregatedProofVerifier public aggregatedProofVerifier;
+
     /**
-     * @dev Add base proof data for verification purposes (called by authorized data providers)
+     * @dev Add base proof data for verification purposes (data providers only, write-once)
      * @param _proofHash Hash of the proof
      * @param _publicInput Public input hash
      * @param _verificationKey Verification key hash
@@ -46,8 +74,8 @@ contract SnarktorVerifier {
         bytes32 _proofHash,
         bytes32 _publicInput,
         bytes32 _verificationKey
-    ) external {
-        // In production, this would have access controls for authorized data providers
+    ) external onlyRole(DATA_PROVIDER_ROLE) whenNotPaused {
+        require(!baseProofs[_proofHash].exists, "Base proof data already exists");
         baseProofs[_proofHash] = BaseProof({
             proofHash: _proofHash,
             publicInput: _publicInput,
@@ -57,7 +85,8 @@ contract SnarktorVerifier {
     }
 
     /**
-     * @dev Add aggregated proof data for verification purposes (called by authorized data providers)
+     * @dev Add aggregated proof data for verification purposes (data providers only, write-once)
+     * The merkle root is interpreted with the legacy (non domain-separated) tree mode
      * @param _aggregatedHash Hash of the aggregated proof
      * @param _merkleRoot Merkle root of the proof tree
      * @param _includedProofs Array of proof hashes included in the aggregation
@@ -66,14 +95,104 @@ contract SnarktorVerifier {
         bytes32 _aggregatedHash,
         bytes32 _merkleRoot,
         bytes32[] calldata _includedProofs
-    ) external {
-        // In production, this would have access controls for authorized data providers
-        aggregatedProofs[_aggregatedHash] = AggregatedProof({
-            aggregatedHash: _aggregatedHash,
-            merkleRoot: _merkleRoot,
-            includedProofs: _includedProofs,
-            exists: true
-        });
+    ) external onlyRole(DATA_PROVIDER_ROLE) whenNotPaused {
+        require(address(aggregatedProofVerifier) == address(0), "Aggregated proof verification required");
+        _addAggregatedProofData(_aggregatedHash, _merkleRoot, _includedProofs, TREE_MODE_LEGACY);
+    }
+
+    /**
+     * @dev Add aggregated proof data whose merkle root was built with a specific tree mode
+     * @param _aggregatedHash Hash of the aggregated proof
+     * @param _merkleRoot Merkle root of the proof tree
+     * @param _includedProofs Array of proof hashes included in the aggregation
+     * @param _treeMode Tree mode used to build the root
+     */
+    function addAggregatedProofDataWithMode(
+        bytes32 _aggregatedHash,
+        bytes32 _merkleRoot,
+        bytes32[] calldata _includedProofs,
+        uint8 _treeMode
+    ) external onlyRole(DATA_PROVIDER_ROLE) whenNotPaused {
+        require(address(aggregatedProofVerifier) == address(0), "Aggregated proof verification required");
+        _addAggregatedProofData(_aggregatedHash, _merkleRoot, _includedProofs, _treeMode);
+    }
+
+    /**
+     * @dev Add aggregated proof data together with the aggregated proof that commits to its merkle root
+     * The proof is checked by aggregatedProofVerifier with the root limbs as public inputs. The record
+     * must be keyed by the proof's own hash, and its root must be the root of the included proofs.
+     * @param _aggregatedHash Hash of the aggregated proof (keccak256 of _proof)
+     * @param _merkleRoot Merkle root of the proof tree
+     * @param _includedProofs Array of proof hashes included in the aggregation
+     * @param _treeMode Tree mode used to build the root
+     * @param _proof Aggregated proof, encoded for aggregatedProofVerifier
+     */
+    function addVerifiedAggregatedProofData(
+        bytes32 _aggregatedHash,
+        bytes32 _merkleRoot,
+        bytes32[] calldata _includedProofs,
+        uint8 _treeMode,
+        bytes calldata _proof
+    ) external onlyRole(DATA_PROVIDER_ROLE) whenNotPaused {
+        require(address(aggregatedProofVerifier) != address(0), "No aggregated proof verifier");
+        require(_aggregatedHash == keccak256(_proof), "Aggregated hash does not match proof");
+        require(SnarktorMerkle.isValidMode(_treeMode), "Unsupported tree mode");
+        require(
+            _includedProofs.length > 0 && SnarktorMerkle.computeRoot(_treeMode, _includedProofs) == _merkleRoot,
+            "Merkle root does not match included proofs"
+        );
+
+        bool verified;
+        try aggregatedProofVerifier.verifyAggregatedProof(_proof, aggregatedProofPublicInputs(_merkleRoot)) returns (bool result) {
+            verified = result;
+        } catch {
+            verified = false;
+        }
+        require(verified, "Aggregated proof verification failed");
+
+        _addAggregatedProofData(_aggregatedHash, _merkleRoot, _includedProofs, _treeMode);
+    }
+
+    /**
+     * @dev Set the verifier aggregated proof records must pass (admin only)
+     * Setting the zero address goes back to accepting records without a proof
+     * @param _verifier IAggregatedProofVerifier implementation
+     */
+    function setAggregatedProofVerifier(address _verifier) external onlyRole(ADMIN_ROLE) {
+        aggregatedProofVerifier = IAggregatedProofVerifier(_verifier);
+        emit AggregatedProofVerifierUpdated(_verifier);
+    }
+
+    /**
+     * @dev Public inputs binding a merkle root to the aggregated proof: its high and low 128 bits
+     * @param _merkleRoot Merkle root of the proof tree
+     */
+    function aggregatedProofPublicInputs(bytes32 _merkleRoot) public pure returns (uint256[] memory inputs) {
+        inputs = new uint256[](2);
+        inputs[0] = uint256(_merkleRoot) >> 128;
+        inputs[1] = uint256(_merkleRoot) & type(uint128).max;
+    }
+
+    /**
+     * @dev Submit attestor signatures for an aggregated proof record
+     * Each signature is an EIP-712 signature over attestationDigest of the stored record
+     * @param _aggregatedHash Hash of the aggregated proof
+     * @param _signatures Signatures from distinct attestors
+     */
+    function submitAttestations(
+        bytes32 _aggregatedHash,
+        bytes[] calldata _signatures
+    ) external whenNotPaused {
+        AggregatedProof storage aggregated = aggregatedProofs[_aggregatedHash];
+        require(aggregated.exists, "Aggregated proof data not available");
+
+        bytes32 digest = attestationDigest(
+            _aggregatedHash,
+            aggregated.merkleRoot,
+            aggregated.includedProofs,
+            aggregated.treeMode
+        );
+        _attest(_aggregatedHash, digest, _signatures);
     }
 
     /**
@@ -89,55 +208,141 @@ contract SnarktorVerifier {
         MerkleProof calldata _merkleProof
     ) external returns (bool) {
         require(aggregatedProofs[_aggregatedHash].exists, "Aggregated proof data not available");
+        require(isAggregatedProofFinalized(_aggregatedHash), "Aggregated proof not finalized");
         require(baseProofs[_baseProofHash].exists, "Base proof data not available");
         
         AggregatedProof memory aggregated = aggregatedProofs[_aggregatedHash];
         
-        // Verify the merkle proof
-        bool verified = _verifyMerkleProof(_merkleProof.path, _merkleProof.index, _baseProofHash, aggregated.merkleRoot);
+        // Verify the merkle proof using the tree mode the root was built with
+        bool verified = SnarktorMerkle.verify(
+            aggregated.treeMode,
+            _merkleProof.path,
+            _merkleProof.index,
+            _baseProofHash,
+            aggregated.merkleRoot
+        );
         
         emit ProofInclusionVerified(_baseProofHash, _aggregatedHash, verified);
         return verified;
     }
 
     /**
-     * @dev Verify that a merkle root is valid for a given set of proofs
+     * @dev Verify that several base proofs are included in an aggregated proof with one multiproof
+     * The tree size is taken from the stored list of included proofs
+     * @param _aggregatedHash Hash of the aggregated proof
+     * @param _multiProof Multiproof covering all proven leaves
+     * @return bool True if every leaf is included
+     */
+    function verifyMultiProofInclusion(
+        bytes32 _aggregatedHash,
+        MultiProof calldata _multiProof
+    ) external returns (bool) {
+        require(aggregatedProofs[_aggregatedHash].exists, "Aggregated proof data not available");
+        require(isAggregatedProofFinalized(_aggregatedHash), "Aggregated proof not finalized");
+        for (uint256 i = 0; i < _multiProof.leaves.length; i++) {
+            require(baseProofs[_multiProof.leaves[i]].exists, "Base proof data not available");
+        }
+
+        AggregatedProof storage aggregated = aggregatedProofs[_aggregatedHash];
+        bool verified = SnarktorMerkle.verifyMulti(
+            aggregated.treeMode,
+            _multiProof.leaves,
+            _multiProof.indices,
+            _multiProof.proof,
+            _multiProof.proofFlags,
+            aggregated.includedProofs.length,
+            aggregated.merkleRoot
+        );
+
+        emit MultiProofInclusionVerified(_aggregatedHash, _multiProof.leaves.length, verified);
+        return verified;
+    }
+
+    /**
+     * @dev Verify inclusion with an OpenZeppelin-style proof (sibling hashes only, no index)
+     * Only applies to aggregated proofs built with the sorted-pair tree mode
+     * @param _baseProofHash Hash of the base proof to verify
+     * @param _aggregatedHash Hash of the aggregated proof
+     * @param _proof Sibling hashes from leaf to root
+     * @return bool True if the proof is included
+     */
+    function verifySortedProofInclusion(
+        bytes32 _baseProofHash,
+        bytes32 _aggregatedHash,
+        bytes32[] calldata _proof
+    ) external returns (bool) {
+        require(aggregatedProofs[_aggregatedHash].exists, "Aggregated proof data not available");
+        require(isAggregatedProofFinalized(_aggregatedHash), "Aggregated proof not finalized");
+        require(baseProofs[_baseProofHash].exists, "Base proof data not available");
+        require(aggregatedProofs[_aggregatedHash].treeMode == TREE_MODE_SORTED_PAIR, "Not a sorted-pair tree");
+
+        bool verified = SnarktorMerkle.verify(
+            TREE_MODE_SORTED_PAIR,
+            _proof,
+            0,
+            _baseProofHash,
+            aggregatedProofs[_aggregatedHash].merkleRoot
+        );
+
+        emit ProofInclusionVerified(_baseProofHash, _aggregatedHash, verified);
+        return verified;
+    }
+
+    /**
+     * @dev Verify that a base proof is included in an aggregated proof through intermediate aggregations
+     * Each step proves the root reached by the previous step (the base proof for the first) as a
+     * leaf of the next tree, so intermediate aggregations need no record of their own. Every tree
+     * in the chain must use the tree mode of the final aggregated proof.
+     * @param _baseProofHash Hash of the base proof to verify
+     * @param _aggregatedHash Hash of the final aggregated proof
+     * @param _chain Merkle proofs from the base proof's tree up to the final tree
+     * @return bool True if the chain leads to the final aggregated proof's root
+     */
+    function verifyChainedInclusion(
+        bytes32 _baseProofHash,
+        bytes32 _aggregatedHash,
+        MerkleProof[] calldata _chain
+    ) external returns (bool) {
+        require(aggregatedProofs[_aggregatedHash].exists, "Aggregated proof data not available");
+        require(isAggregatedProofFinalized(_aggregatedHash), "Aggregated proof not finalized");
+        require(baseProofs[_baseProofHash].exists, "Base proof data not available");
+        require(_chain.length > 0, "Empty inclusion chain");
+
+        uint8 treeMode = aggregatedProofs[_aggregatedHash].treeMode;
+        bytes32 node = _baseProofHash;
+        for (uint256 i = 0; i < _chain.length; i++) {
+            node = SnarktorMerkle.processProof(treeMode, _chain[i].path, _chain[i].index, node);
+        }
+        bool verified = node == aggregatedProofs[_aggregatedHash].merkleRoot;
+
+        emit ProofInclusionVerified(_baseProofHash, _aggregatedHash, verified);
+        return verified;
+    }
+
+    /**
+     * @dev Verify that a merkle root is valid for a given set of proofs (legacy tree mode)
      * @param _merkleRoot The merkle root to verify
      * @param _proofs Array of proof hashes
      * @return bool True if the merkle root is valid
      */
     function verifyMerkleRoot(bytes32 _merkleRoot, bytes32[] calldata _proofs) external returns (bool) {
-        if (_proofs.length == 0) {
-            emit MerkleRootValidated(_merkleRoot, false);
-            return false;
-        }
-        
-        if (_proofs.length == 1) {
-            bool isValid = _merkleRoot == _proofs[0];
-            emit MerkleRootValidated(_merkleRoot, isValid);
-            return isValid;
-        }
+        return _verifyMerkleRoot(_merkleRoot, _proofs, TREE_MODE_LEGACY);
+    }
 
-        // Build merkle tree bottom-up
-        bytes32[] memory currentLevel = _proofs;
-        
-        while (currentLevel.length > 1) {
-            bytes32[] memory nextLevel = new bytes32[]((currentLevel.length + 1) / 2);
-            
-            for (uint i = 0; i < currentLevel.length; i += 2) {
-                if (i + 1 < currentLevel.length) {
-                    nextLevel[i / 2] = keccak256(abi.encodePacked(currentLevel[i], currentLevel[i + 1]));
-                } else {
-                    nextLevel[i / 2] = currentLevel[i];
-                }
-            }
-            
-            currentLevel = nextLevel;
-        }
-        
-        bool isValid = currentLevel[0] == _merkleRoot;
-        emit MerkleRootValidated(_merkleRoot, isValid);
-        return isValid;
+    /**
+     * @dev Verify that a merkle root is valid for a given set of proofs and tree mode
+     * @param _merkleRoot The merkle root to verify
+     * @param _proofs Array of proof hashes
+     * @param _treeMode Tree mode used to build the root
+     * @return bool True if the merkle root is valid
+     */
+    function verifyMerkleRootWithMode(
+        bytes32 _merkleRoot,
+        bytes32[] calldata _proofs,
+        uint8 _treeMode
+    ) external returns (bool) {
+        require(SnarktorMerkle.isValidMode(_treeMode), "Unsupported tree mode");
+        return _verifyMerkleRoot(_merkleRoot, _proofs, _treeMode);
     }
 
     /**
@@ -149,7 +354,7 @@ contract SnarktorVerifier {
     }
 
     /**
-     * @dev Get details of an aggregated proof
+     * @dev Get details of an aggregated proof, finalized or not
      */
     function getAggregatedProof(bytes32 _aggregatedHash) external view returns (AggregatedProof memory) {
         require(aggregatedProofs[_aggregatedHash].exists, "Aggregated proof data not available");
@@ -172,27 +377,32 @@ contract SnarktorVerifier {
 
     // Internal functions
 
-    function _verifyMerkleProof(
-        bytes32[] memory _path,
-        uint256 _index,
-        bytes32 _leaf,
-        bytes32 _root
-    ) internal pure returns (bool) {
-        bytes32 computedHash = _leaf;
-        
-        for (uint256 i = 0; i < _path.length; i++) {
-            bytes32 proofElement = _path[i];
-            
-            if (_index % 2 == 0) {
-                computedHash = keccak256(abi.encodePacked(computedHash, proofElement));
-            } else {
-                computedHash = keccak256(abi.encodePacked(proofElement, computedHash));
-            }
-            
-            _index = _index / 2;
-        }
-        
-        return computedHash == _root;
+    function _addAggregatedProofData(
+        bytes32 _aggregatedHash,
+        bytes32 _merkleRoot,
+        bytes32[] calldata _includedProofs,
+        uint8 _treeMode
+    ) internal {
+        require(SnarktorMerkle.isValidMode(_treeMode), "Unsupported tree mode");
+        require(!aggregatedProofs[_aggregatedHash].exists, "Aggregated proof data already exists");
+
+        aggregatedProofs[_aggregatedHash] = AggregatedProof({
+            aggregatedHash: _aggregatedHash,
+            merkleRoot: _merkleRoot,
+            includedProofs: _includedProofs,
+            treeMode: _treeMode,
+            exists: true
+        });
+        _openAttestation(_aggregatedHash);
     }
 
-}
\ No newline at end of file
+    function _verifyMerkleRoot(
+        bytes32 _merkleRoot,
+        bytes32[] calldata _proofs,
+        uint8 _treeMode
+    ) internal returns (bool) {
+        bool isValid = _proofs.length > 0 && SnarktorMerkle.computeRoot(_treeMode, _proofs) == _merkleRoot;
+        emit MerkleRootValidated(_merkleRoot, isValid);
+        return isValid;
+    }
+}
@@ -0,0 +1,174 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./SnarktorAccessControl.sol";
+
+/**
+ * @title VerificationKeyRegistry
+ * @dev Maps verification key hashes to the circuits they belong to
+ * Base proofs only record a bytes32 verification key hash; this registry lets verifiers
+ * resolve that hash to a circuit name, proof system and version. Only registrars can register
+ * keys, so nobody can claim another circuit's key hash before its owner does. The first
+ * registrar to register a circuit name owns it, and only that account can add versions to it.
+ */
+contract VerificationKeyRegistry is SnarktorAccessControl {
+    event VerificationKeyRegistered(
+        bytes32 indexed keyHash,
+        bytes32 indexed circuitId,
+        string circuitName,
+        string proofSystem,
+        uint32 version,
+        address indexed owner
+    );
+    event VerificationKeyDeprecated(bytes32 indexed keyHash, bool deprecated);
+    event CircuitOwnershipTransferred(bytes32 indexed circuitId, address indexed previousOwner, address indexed newOwner);
+
+    struct VerificationKey {
+        bytes32 keyHash;          // Verification key hash, as stored in base proofs
+        string circuitName;       // Human-readable circuit name
+        string proofSystem;       // Proof system, e.g. "groth16", "plonk", "risc0"
+        uint32 version;           // Circuit version, unique per circuit
+        address owner;            // Account that registered the key
+        bool deprecated;          // Whether the owner has retired this key
+        uint256 registeredAt;     // Block timestamp of registration
+        bool exists;              // Whether this key is registered
+    }
+
+    bytes32 public constant REGISTRAR_ROLE = keccak256("REGISTRAR_ROLE");
+
+    // Sentinel the clients store for proofs without a verification key; never registrable
+    bytes32 public constant NO_VERIFICATION_KEY = keccak256("SNARKTOR_NO_VERIFICATION_KEY");
+
+    mapping(bytes32 => VerificationKey) private keys;
+    mapping(bytes32 => address) public circuitOwners;
+    mapping(bytes32 => bytes32[]) private circuitKeys;
+    mapping(bytes32 => mapping(uint32 => bytes32)) private circuitVersions;
+
+    modifier onlyKeyOwner(bytes32 _keyHash) {
+        require(keys[_keyHash].exists, "Verification key not registered");
+        require(circuitOwners[circuitId(keys[_keyHash].circuitName)] == msg.sender, "Not the circuit owner");
+        _;
+    }
+
+    constructor() {
+        _grantRole(REGISTRAR_ROLE, msg.sender);
+    }
+
+    /**
+     * @dev Register a verification key hash (registrar only) for a circuit version
+     * @param _keyHash Verification key hash
+     * @param _circuitName Circuit name; the first registrant becomes its owner
+     * @param _proofSystem Proof system the key verifies
+     * @param _version Circuit version, unique per circuit
+     */
+    function registerVerificationKey(
+        bytes32 _keyHash,
+        string calldata _circuitName,
+        string calldata _proofSystem,
+        uint32 _version
+    ) external onlyRole(REGISTRAR_ROLE) whenNotPaused {
+        require(_keyHash != bytes32(0) && _keyHash != NO_VERIFICATION_KEY, "Invalid verification key hash");
+        require(!keys[_keyHash].exists, "Verification key already registered");
+        require(bytes(_circuitName).length > 0, "Circuit name required");
+        require(bytes(_proofSystem).length > 0, "Proof system required");
+
+        bytes32 id = circuitId(_circuitName);
+        if (circuitOwners[id] == address(0)) {
+            circuitOwners[id] = msg.sender;
+        } else {
+            require(circuitOwners[id] == msg.sender, "Not the circuit owner");
+        }
+        require(circuitVersions[id][_version] == bytes32(0), "Circuit version already registered");
+
+        keys[_keyHash] = VerificationKey({
+            keyHash: _keyHash,
+            circuitName: _circuitName,
+            proofSystem: _proofSystem,
+            version: _version,
+            owner: msg.sender,
+            deprecated: false,
+            registeredAt: block.timestamp,
+            exists: true
+        });
+        circuitKeys[id].push(_keyHash);
+        circuitVersions[id][_version] = _keyHash;
+
+        emit VerificationKeyRegistered(_keyHash, id, _circuitName, _proofSystem, _version, msg.sender);
+    }
+
+    /**
+     * @dev Mark a verification key as deprecated, or restore it (circuit owner only)
+     * @param _keyHash Verification key hash
+     * @param _deprecated New deprecation flag
+     */
+    function setDeprecated(bytes32 _keyHash, bool _deprecated) external onlyKeyOwner(_keyHash) {
+        keys[_keyHash].deprecated = _deprecated;
+        emit VerificationKeyDeprecated(_keyHash, _deprecated);
+    }
+
+    /**
+     * @dev Hand a circuit, and the right to add versions to it, to another account
+     * @param _circuitName Circuit name
+     * @param _newOwner New owner
+     */
+    function transferCircuitOwnership(string calldata _circuitName, address _newOwner) external {
+        bytes32 id = circuitId(_circuitName);
+        require(circuitOwners[id] == msg.sender, "Not the circuit owner");
+        require(_newOwner != address(0), "Invalid owner");
+
+        circuitOwners[id] = _newOwner;
+        emit CircuitOwnershipTransferred(id, msg.sender, _newOwner);
+    }
+
+    /**
+     * @dev Get a registered verification key
+     */
+    function getVerificationKey(bytes32 _keyHash) external view returns (VerificationKey memory) {
+        require(keys[_keyHash].exists, "Verification key not registered");
+        return keys[_keyHash];
+    }
+
+    /**
+     * @dev Check if a verification key hash is registered
+     */
+    function isRegistered(bytes32 _keyHash) external view returns (bool) {
+        return keys[_keyHash].exists;
+    }
+
+    /**
+     * @dev Get the key hash registered for a circuit version (zero if none)
+     */
+    function getCircuitVersion(string calldata _circuitName, uint32 _version) external view returns (bytes32) {
+        return circuitVersions[circuitId(_circuitName)][_version];
+    }
+
+    /**
+     * @dev Get every key hash registered for a circuit, in registration order
+     */
+    function getCircuitKeys(string calldata _circuitName) external view returns (bytes32[] memory) {
+        return circuitKeys[circuitId(_circuitName)];
+    }
+
+    /**
+     * @dev Get the highest non-deprecated version of a circuit
+     * @return keyHash Key hash of that version (zero if the circuit has no active key)
+     */
+    function getLatestVerificationKey(string calldata _circuitName) external view returns (bytes32 keyHash) {
+        bytes32[] storage hashes = circuitKeys[circuitId(_circuitName)];
+        uint32 latest;
+        for (uint256 i = 0; i < hashes.length; i++) {
+            VerificationKey storage key = keys[hashes[i]];
+            if (!key.deprecated && (keyHash == bytes32(0) || key.version > latest)) {
+                keyHash = key.keyHash;
+                latest = key.version;
+            }
+        }
+    }
+
+    /**
+     * @dev Identifier of a circuit name, as used in events and the circuitOwners mapping
+     */
+    function circuitId(string memory _circuitName) public pure returns (bytes32) {
+        return keccak256(bytes(_circuitName));
+    }
+}
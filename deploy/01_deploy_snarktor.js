@@ -23,8 +23,27 @@ module.exports = async ({ getNamedAccounts, deployments, network }) => {
     },
   });
 
+  // Deploy the verification-key registry (standalone, no libraries; the deployer is its first registrar)
+  const verificationKeyRegistry = await deploy('VerificationKeyRegistry', {
+    from: deployer,
+    log: true,
+    deterministicDeployment: false,
+  });
+
+  // Deploy the on-chain submission and aggregation hub (fee settlement uses SnarktorUtils)
+  const aggregationHub = await deploy('SnarktorAggregationHub', {
+    from: deployer,
+    log: true,
+    deterministicDeployment: false,
+    libraries: {
+      SnarktorUtils: snarktorUtils.address,
+    },
+  });
+
   log(`SnarktorUtils deployed at: ${snarktorUtils.address}`);
   log(`SnarktorVerifier deployed at: ${snarktorVerifier.address}`);
+  log(`VerificationKeyRegistry deployed at: ${verificationKeyRegistry.address}`);
+  log(`SnarktorAggregationHub deployed at: ${aggregationHub.address}`);
 
   // Verify contracts on block explorer if not on local network
   if (network.name !== 'hardhat' && network.name !== 'localhost') {
@@ -44,6 +63,19 @@ module.exports = async ({ getNamedAccounts, deployments, network }) => {
           SnarktorUtils: snarktorUtils.address,
         },
       });
+
+      await hre.run("verify:verify", {
+        address: verificationKeyRegistry.address,
+        constructorArguments: [],
+      });
+
+      await hre.run("verify:verify", {
+        address: aggregationHub.address,
+        constructorArguments: [],
+        libraries: {
+          SnarktorUtils: snarktorUtils.address,
+        },
+      });
       
       log("Contracts verified on block explorer");
     } catch (error) {
@@ -56,6 +88,8 @@ module.exports = async ({ getNamedAccounts, deployments, network }) => {
   log(`Network: ${network.name} (Chain ID: ${network.config.chainId})`);
   log(`SnarktorUtils: ${snarktorUtils.address}`);
   log(`SnarktorVerifier: ${snarktorVerifier.address}`);
+  log(`VerificationKeyRegistry: ${verificationKeyRegistry.address}`);
+  log(`SnarktorAggregationHub: ${aggregationHub.address}`);
   log(`Gas Used: ${snarktorVerifier.receipt.gasUsed}`);
   log(`Transaction Hash: ${snarktorVerifier.transactionHash}`);
   
@@ -74,6 +108,16 @@ module.exports = async ({ getNamedAccounts, deployments, network }) => {
         address: snarktorVerifier.address,
         transactionHash: snarktorVerifier.transactionHash,
         gasUsed: snarktorVerifier.receipt.gasUsed
+      },
+      VerificationKeyRegistry: {
+        address: verificationKeyRegistry.address,
+        transactionHash: verificationKeyRegistry.transactionHash,
+        gasUsed: verificationKeyRegistry.receipt.gasUsed
+      },
+      SnarktorAggregationHub: {
+        address: aggregationHub.address,
+        transactionHash: aggregationHub.transactionHash,
+        gasUsed: aggregationHub.receipt.gasUsed
       }
     }
   };
@@ -96,4 +140,4 @@ module.exports = async ({ getNamedAccounts, deployments, network }) => {
   log("=========================\n");
 };
 
-module.exports.tags = ['SnarktorVerifier', 'all'];
\ No newline at end of file
+module.exports.tags = ['SnarktorVerifier', 'VerificationKeyRegistry', 'SnarktorAggregationHub', 'all'];
\ No newline at end of file
@@ -133,7 +133,7 @@ class BattleshipIntegration {
                 // Create mock data for demonstration
                 provenData.push({
                     proofHash: hash,
-                    user: this.client.wallet.address,
+                    user: await this.client.wallet.getAddress(),
                     fee: ethers.utils.parseEther('0.01'),
                     nonce: 1,
                     publicInput: ethers.utils.keccak256(ethers.utils.toUtf8Bytes('test')),
@@ -266,13 +266,13 @@ class GenericProofIntegration {
         for (const system of proofSystems) {
             console.log(`${system.name} proof compatibility:`);
             
-            const validation = GenericSnarktorClient.validateProofStructure(system.example);
+            const validation = GenericSnarktorClient.validateProofStructure({ proof: system.example });
             console.log('  ✓ Structure validation:', validation.isValid);
             console.log('  ✓ Generated hash:', validation.proofHash);
             console.log('  ✓ Data size:', validation.size, 'chars');
             
             const standardized = GenericSnarktorClient.standardizeProofSubmission(
-                system.example,
+                { proof: system.example },
                 { system: system.name },
                 { curve: 'generic' },
                 ethers.utils.parseEther('0.001')
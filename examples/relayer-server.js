@@ -0,0 +1,150 @@
+/**
+ * SNARKtor Relayer Server Example
+ *
+ * A minimal HTTP relayer: users POST submissions signed with
+ * GenericSnarktorClient.createRelayedSubmission to /relay, and the server sends them with its
+ * own wallet, so users only need a deposit on the SNARKtor contract, not native tokens for gas.
+ *
+ *   RPC_URL=http://127.0.0.1:8545 CONTRACT_ADDRESS=0x... RELAYER_PRIVATE_KEY=0x... \
+ *       node examples/relayer-server.js
+ *
+ * This is a reference implementation: it has no authentication, rate limiting or persistence.
+ */
+
+const http = require('http');
+const { SnarktorRelayer } = require('../src/SnarktorRelayer');
+
+// Largest request body accepted, in bytes
+const MAX_BODY_SIZE = 1024 * 1024;
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} request - Incoming request
+ */
+function readJson(request) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        request.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_SIZE) {
+                reject(new Error('Request body too large'));
+                request.destroy();
+            }
+        });
+        request.on('end', () => {
+            try {
+                resolve(JSON.parse(body));
+            } catch (error) {
+                reject(new Error('Request body must be JSON'));
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+function sendJson(response, status, body) {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+}
+
+/**
+ * Create the relayer HTTP server
+ * Submissions are relayed one at a time so the relayer wallet's transactions never race
+ * for the same account nonce. Unexpected failures are answered with a 500 instead of
+ * taking the server down.
+ * @param {SnarktorRelayer} relayer - Relayer with a funded wallet
+ */
+function createRelayerServer(relayer) {
+    let queue = Promise.resolve();
+
+    async function handleRequest(request, response) {
+        if (request.method === 'GET' && request.url === '/health') {
+            sendJson(response, 200, {
+                status: 'ok',
+                relayer: await relayer.wallet.getAddress(),
+                contract: relayer.contractAddress
+            });
+            return;
+        }
+
+        if (request.method !== 'POST' || request.url !== '/relay') {
+            sendJson(response, 404, { error: 'Not found' });
+            return;
+        }
+
+        let payload;
+        try {
+            payload = await readJson(request);
+        } catch (error) {
+            sendJson(response, 400, { error: error.message });
+            return;
+        }
+        if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+            sendJson(response, 400, { error: 'Request body must be a JSON object' });
+            return;
+        }
+
+        const relayed = queue.then(() => relayer.relay(payload));
+        queue = relayed.catch(() => {});
+
+        try {
+            const receipt = await relayed;
+            console.log(`Relayed proof for ${payload.user}: ${receipt.transactionHash}`);
+            sendJson(response, 200, {
+                transactionHash: receipt.transactionHash,
+                proofHash: receipt.events?.find(e => e.event === 'BaseProofRelayed')?.args.proofHash
+            });
+        } catch (error) {
+            console.warn(`Rejected submission from ${payload?.user}: ${error.message}`);
+            sendJson(response, 422, { error: error.message });
+        }
+    }
+
+    return http.createServer(async (request, response) => {
+        try {
+            await handleRequest(request, response);
+        } catch (error) {
+            console.error(`Request to ${request.url} failed: ${error.message}`);
+            if (response.headersSent) {
+                response.end();
+            } else {
+                sendJson(response, 500, { error: 'Internal relayer error' });
+            }
+        }
+    });
+}
+
+// Export for use in other scripts
+module.exports = { createRelayerServer };
+
+// Run the server if called directly
+if (require.main === module) {
+    async function main() {
+        const config = {
+            providerUrl: process.env.RPC_URL || 'http://127.0.0.1:8545',
+            contractAddress: process.env.CONTRACT_ADDRESS,
+            privateKey: process.env.RELAYER_PRIVATE_KEY,
+            port: Number(process.env.PORT || 3000),
+            minFee: process.env.MIN_FEE || '0'
+        };
+        if (!config.contractAddress || !config.privateKey) {
+            console.error('CONTRACT_ADDRESS and RELAYER_PRIVATE_KEY are required');
+            process.exit(1);
+        }
+
+        const relayer = new SnarktorRelayer(config.providerUrl, config.contractAddress, config.privateKey, {
+            minFee: config.minFee
+        });
+        await relayer.ensureCompatible();
+
+        createRelayerServer(relayer).listen(config.port, () => {
+            console.log(`SNARKtor relayer listening on http://localhost:${config.port}/relay`);
+            console.log(`  Contract: ${config.contractAddress}`);
+        });
+    }
+
+    main().catch(error => {
+        console.error('Relayer failed to start:', error.message);
+        process.exit(1);
+    });
+}
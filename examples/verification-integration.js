@@ -38,7 +38,7 @@ async function demonstrateProofVerification() {
 
     // Generate proof hash for verification
     const groth16Info = SnarktorVerificationClient.generateProofHash(
-        groth16Proof,
+        { proof: groth16Proof },
         publicInputs,
         verificationKey
     );
@@ -58,7 +58,7 @@ async function demonstrateProofVerification() {
     };
 
     const plonkInfo = SnarktorVerificationClient.generateProofHash(
-        plonkProof,
+        { proof: plonkProof },
         publicInputs,
         verificationKey
     );
@@ -75,7 +75,7 @@ async function demonstrateProofVerification() {
         fri_proof: '0xstark_fri_proof_data'
     };
 
-    const starkInfo = SnarktorVerificationClient.generateProofHash(starkProof);
+    const starkInfo = SnarktorVerificationClient.generateProofHash({ proof: starkProof });
     console.log(`STARK proof hash: ${starkInfo.proofHash}\n`);
 
     // Example 4: Building Merkle Tree for Proof Inclusion
@@ -7,18 +7,50 @@
  */
 
 const { ethers } = require('ethers');
+const { ContractBinding } = require('./core/ContractBinding');
+const { loadAbi } = require('./core/abi');
+const merkle = require('./core/merkle');
+const proofs = require('./core/proofs');
+const submissions = require('./core/submissions');
+const fees = require('./core/fees');
+const groth16 = require('./adapters/groth16');
+const plonk = require('./adapters/plonk');
+const receipts = require('./adapters/receipt');
+const verifier = require('./adapters/verifier');
+const { defaultRegistry } = require('./adapters/ProofFormatRegistry');
+
+/**
+ * Shape an adapter's standardized proof like standardizeProofSubmission output
+ * @param {Object} standardized - Adapter output
+ * @param {BigNumber} fee - Aggregation fee
+ */
+function toSubmission(standardized, fee) {
+    return {
+        proofData: standardized.proofData,
+        proofHash: standardized.proofHash,
+        publicInput: standardized.publicInput,
+        verificationKey: standardized.verificationKey,
+        fee: fee,
+        proofSystem: standardized.proofSystem,
+        curve: standardized.curve,
+        hashVersion: standardized.hashVersion,
+        warnings: standardized.warnings,
+        originalData: standardized.structured
+    };
+}
 
 class GenericSnarktorClient {
-    constructor(providerUrl, contractAddress, privateKey = null) {
-        this.provider = new ethers.providers.JsonRpcProvider(providerUrl);
+    /**
+     * @param {string|Provider|Signer} connection - RPC URL, ethers Provider, or ethers Signer
+     * @param {string} contractAddress - Address of the SNARKtor contract
+     * @param {string|Signer} signerOrKey - Private key or ethers Signer (optional)
+     */
+    constructor(connection, contractAddress, signerOrKey = null) {
+        this.binding = new ContractBinding(connection, contractAddress, this.getABI(), signerOrKey);
+        this.provider = this.binding.provider;
         this.contractAddress = contractAddress;
-        
-        if (privateKey) {
-            this.wallet = new ethers.Wallet(privateKey, this.provider);
-            this.contract = new ethers.Contract(contractAddress, this.getABI(), this.wallet);
-        } else {
-            this.contract = new ethers.Contract(contractAddress, this.getABI(), this.provider);
-        }
+        this.wallet = this.binding.wallet;
+        this.contract = this.binding.contract;
     }
 
     /**
@@ -27,22 +59,28 @@ class GenericSnarktorClient {
      * @param {string} publicInput - Hash of public inputs
      * @param {string} verificationKey - Hash of verification key
      * @param {BigNumber} fee - Fee for aggregation
-     * @param {Object} options - Transaction options
+     * @param {Object} options - Transaction options, plus:
+     * @param {Object} options.verify - Verify the proof off-chain first and refuse to submit it if
+     *   invalid: { proof, publicSignals, verificationKey, format, hashVersion, missingInputs }.
+     *   The submission must be the standardized form of that proof (see assertVerifiedSubmission).
+     * @param {string} options.signatureScheme - 'eip712' (default) or 'legacy' for contracts that
+     *   still accept personal_sign signatures (see SIGNATURE_SCHEMES)
      */
     async submitBaseProof(proofData, publicInput, verificationKey, fee, options = {}) {
-        if (!this.wallet) {
-            throw new Error('Wallet required for submitting proofs');
+        const { verify, signatureScheme, ...overrides } = options;
+        this.binding.requireWallet('submitting proofs');
+
+        if (verify) {
+            await GenericSnarktorClient.assertVerifiedSubmission(
+                { proofData, publicInput, verificationKey }, verify
+            );
         }
 
-        const nonce = await this.contract.userNonces(this.wallet.address);
-        const message = ethers.utils.solidityKeccak256(
-            ['uint256', 'uint256', 'bytes32', 'bytes32'],
-            [fee, nonce, publicInput, verificationKey]
-        );
-        
-        const signature = await this.wallet.signMessage(ethers.utils.arrayify(message));
-        
-        const tx = await this.contract.submitBaseProof(
+        const { signature } = await this.signSubmission(proofData, publicInput, verificationKey, fee, {
+            scheme: signatureScheme
+        });
+
+        return await this.binding.send('submitBaseProof', [
             proofData,
             publicInput,
             verificationKey,
@@ -50,11 +88,76 @@ class GenericSnarktorClient {
             signature,
             {
                 value: fee,
-                ...options
+                ...overrides
             }
+        ]);
+    }
+
+    /**
+     * Sign a base proof submission with the client's wallet
+     * EIP-712 signatures cover the proof hash and are bound to this chain and contract.
+     * @param {string|Buffer} proofData - The raw proof data
+     * @param {string} publicInput - Hash of public inputs
+     * @param {string} verificationKey - Hash of verification key
+     * @param {BigNumber} fee - Fee for aggregation
+     * @param {Object} options - { scheme, nonce } (defaults: EIP-712, the user's current on-chain nonce)
+     * @returns {Promise<Object>} The signed submission fields plus `signature` and `scheme`
+     */
+    async signSubmission(proofData, publicInput, verificationKey, fee, options = {}) {
+        const wallet = this.binding.requireWallet('signing submissions');
+        const scheme = options.scheme || submissions.SIGNATURE_SCHEMES.EIP712;
+        const user = await wallet.getAddress();
+        const nonce = options.nonce !== undefined ? options.nonce : await this.contract.userNonces(user);
+
+        const submission = {
+            user,
+            proofHash: ethers.utils.keccak256(proofData),
+            publicInput,
+            verificationKey,
+            fee: ethers.BigNumber.from(fee),
+            nonce: ethers.BigNumber.from(nonce)
+        };
+        const signature = await submissions.signSubmission(
+            wallet, await this.getSubmissionDomain(), submission, scheme
         );
-        
-        return await tx.wait();
+        return { ...submission, signature, scheme };
+    }
+
+    /**
+     * Sign a submission for a relayer to send
+     * The relayer pays the gas and the fee comes out of the user's deposit (see deposit), so the
+     * user needs no native token at submission time. Submissions are relayed in nonce order;
+     * pass `options.nonce` to sign several ahead of time.
+     * @param {string|Buffer} proofData - The raw proof data
+     * @param {string} publicInput - Hash of public inputs
+     * @param {string} verificationKey - Hash of verification key
+     * @param {BigNumber} fee - Fee for aggregation, taken from the deposit
+     * @param {Object} options - { scheme, nonce, verify } (verify as in submitBaseProof)
+     * @returns {Promise<Object>} JSON-safe payload for SnarktorRelayer.relay
+     */
+    async createRelayedSubmission(proofData, publicInput, verificationKey, fee, options = {}) {
+        if (options.verify) {
+            await GenericSnarktorClient.assertVerifiedSubmission(
+                { proofData, publicInput, verificationKey }, options.verify
+            );
+        }
+
+        const signed = await this.signSubmission(proofData, publicInput, verificationKey, fee, options);
+        const { chainId } = await this.provider.getNetwork();
+        return submissions.serializeRelayedSubmission({
+            ...signed,
+            proofData,
+            chainId,
+            contractAddress: this.contractAddress
+        });
+    }
+
+    /**
+     * Get the EIP-712 domain submissions to this contract are signed under
+     */
+    async getSubmissionDomain() {
+        const { chainId } = await this.provider.getNetwork();
+        return submissions.submissionDomain(chainId, this.contractAddress);
     }
 
     /**
@@ -63,22 +166,33 @@ class GenericSnarktorClient {
      * @param {string} merkleRoot - Merkle root of the proof tree
      * @param {Array} provenData - Array of base proofs that were aggregated
      * @param {Array} disabledNodes - Array of previously submitted subtree roots
-     * @param {Object} options - Transaction options
+     * @param {Object} options - Transaction options, plus:
+     * @param {Array<string>} options.provers - Provers sharing the current-level fee with the scheduler
+     * @param {string} options.scheduler - Scheduler of this level (default: the submitting wallet)
      */
     async submitAggregatedProof(aggregatedProofData, merkleRoot, provenData, disabledNodes, options = {}) {
-        if (!this.wallet) {
-            throw new Error('Wallet required for submitting proofs');
+        const { provers, scheduler, ...overrides } = options;
+        const wallet = this.binding.requireWallet('submitting proofs');
+
+        if (!provers && !scheduler) {
+            return await this.binding.send('submitAggregatedProof', [
+                aggregatedProofData,
+                merkleRoot,
+                provenData,
+                disabledNodes,
+                overrides
+            ]);
         }
 
-        const tx = await this.contract.submitAggregatedProof(
+        return await this.binding.send('submitAggregatedProofWithPayees', [
             aggregatedProofData,
             merkleRoot,
             provenData,
             disabledNodes,
-            options
-        );
-        
-        return await tx.wait();
+            provers || [],
+            scheduler || await wallet.getAddress(),
+            overrides
+        ]);
     }
 
     /**
@@ -95,6 +209,50 @@ class GenericSnarktorClient {
         );
     }
 
+    /**
+     * Verify on-chain that a base proof is inside an aggregated proof through earlier aggregations
+     * @param {string} baseProofHash - Hash of the base proof
+     * @param {string} aggregatedHash - Hash of the top aggregated proof
+     * @param {Object} chainedProof - Chained proof from buildChainedInclusionProof or generateChainedInclusionProof
+     */
+    async verifyChainedInclusion(baseProofHash, aggregatedHash, chainedProof) {
+        return await this.contract.verifyChainedInclusion(baseProofHash, aggregatedHash, chainedProof.proofs);
+    }
+
+    /**
+     * Build the chained proof of a base proof from the aggregations recorded on-chain
+     * Follows the aggregation that proved the base proof, then each aggregation that included
+     * the previous one as a disabled node, up to `aggregatedHash` or the current top.
+     * @param {string} proofHash - Hash of the base proof
+     * @param {string} aggregatedHash - Aggregated proof to prove inclusion in (default: the top)
+     * @returns {Promise<Object>} { leaf, root, proofs, aggregatedHash }
+     */
+    async buildChainedInclusionProof(proofHash, aggregatedHash = null) {
+        let current = await this.contract.aggregatedIn(proofHash);
+        if (current === ethers.constants.HashZero) {
+            throw new Error('Proof has not been aggregated');
+        }
+
+        const levels = [];
+        for (;;) {
+            levels.push(await this.getAggregationTree(current));
+            if (aggregatedHash && current.toLowerCase() === aggregatedHash.toLowerCase()) {
+                break;
+            }
+
+            const parent = await this.contract.parentAggregation(current);
+            if (parent === ethers.constants.HashZero) {
+                if (aggregatedHash) {
+                    throw new Error(`Proof is not included in aggregated proof ${aggregatedHash}`);
+                }
+                break;
+            }
+            current = parent;
+        }
+
+        return { ...merkle.generateChainedInclusionProof(proofHash, levels), aggregatedHash: current };
+    }
+
     /**
      * Verify a merkle root against a set of proofs
      * @param {string} merkleRoot - The merkle root to verify
@@ -105,19 +263,37 @@ class GenericSnarktorClient {
     }
 
     /**
-     * Get details of a base proof
+     * Get details of a base proof (null if not available)
      * @param {string} proofHash - Hash of the proof
      */
     async getBaseProof(proofHash) {
-        return await this.contract.getBaseProof(proofHash);
+        return await this.binding.readOptional('getBaseProof', [proofHash]);
     }
 
     /**
-     * Get details of an aggregated proof
+     * Get details of an aggregated proof (null if not available)
      * @param {string} aggregatedHash - Hash of the aggregated proof
      */
     async getAggregatedProof(aggregatedHash) {
-        return await this.contract.getAggregatedProof(aggregatedHash);
+        return await this.binding.readOptional('getAggregatedProof', [aggregatedHash]);
+    }
+
+    /**
+     * Read the partial tree of a submitted aggregated proof
+     * @param {string} aggregatedHash - Hash of the aggregated proof
+     * @returns {Promise<Object>} { merkleRoot, provenHashes, disabledNodes }, or null if not available
+     */
+    async getAggregationTree(aggregatedHash) {
+        const aggregated = await this.getAggregatedProof(aggregatedHash);
+        if (!aggregated) {
+            return null;
+        }
+
+        return {
+            merkleRoot: aggregated.merkleRoot,
+            provenHashes: aggregated.provenData.map(proof => proof.proofHash),
+            disabledNodes: [...aggregated.disabledNodes]
+        };
     }
 
     /**
@@ -134,16 +310,12 @@ class GenericSnarktorClient {
      * @param {Object} options - Transaction options
      */
     async deposit(amount, options = {}) {
-        if (!this.wallet) {
-            throw new Error('Wallet required for deposits');
-        }
+        this.binding.requireWallet('deposits');
 
-        const tx = await this.contract.deposit({
+        return await this.binding.send('deposit', [{
             value: amount,
             ...options
-        });
-        
-        return await tx.wait();
+        }]);
     }
 
     /**
@@ -152,12 +324,9 @@ class GenericSnarktorClient {
      * @param {Object} options - Transaction options
      */
     async withdraw(amount, options = {}) {
-        if (!this.wallet) {
-            throw new Error('Wallet required for withdrawals');
-        }
+        this.binding.requireWallet('withdrawals');
 
-        const tx = await this.contract.withdraw(amount, options);
-        return await tx.wait();
+        return await this.binding.send('withdraw', [amount, options]);
     }
 
     /**
@@ -165,12 +334,32 @@ class GenericSnarktorClient {
      * @param {string} address - User address (optional)
      */
     async getUserBalance(address = null) {
-        const userAddress = address || this.wallet?.address;
-        if (!userAddress) {
-            throw new Error('Address required');
-        }
-        
-        return await this.contract.userBalances(userAddress);
+        return await this.contract.userBalances(await this.binding.resolveAddress(address));
+    }
+
+    /**
+     * Get the settled rewards an account can claim
+     * @param {string} address - Account address (optional)
+     */
+    async getPendingRewards(address = null) {
+        return await this.contract.pendingRewards(await this.binding.resolveAddress(address));
+    }
+
+    /**
+     * Claim the wallet's settled rewards
+     * @param {Object} options - Transaction options
+     */
+    async claimRewards(options = {}) {
+        this.binding.requireWallet('claiming rewards');
+        return await this.binding.send('claimRewards', [options]);
+    }
+
+    /**
+     * Get the fee share an aggregated proof carries forward to the next aggregation level
+     * @param {string} aggregatedHash - Hash of the aggregated proof
+     */
+    async getCarriedFee(aggregatedHash) {
+        return await this.contract.carriedFees(aggregatedHash);
     }
 
     /**
@@ -178,172 +367,169 @@ class GenericSnarktorClient {
      * @param {string} address - User address (optional)
      */
     async getUserNonce(address = null) {
-        const userAddress = address || this.wallet?.address;
-        if (!userAddress) {
-            throw new Error('Address required');
-        }
-        
-        return await this.contract.userNonces(userAddress);
+        return await this.contract.userNonces(await this.binding.resolveAddress(address));
+    }
+
+    /**
+     * Split a fee pool into current-level (40%), inclusion (5%) and aggregation (55%) shares
+     * @param {BigNumberish} totalFee - Fee pool
+     */
+    static calculateFeeDistribution(totalFee) {
+        return fees.calculateFeeDistribution(totalFee);
     }
 
     /**
      * Parse generic proof data from various formats
      * @param {Object} proofData - Proof data in various formats
+     * @param {Object} options - Parsing options ({ hashVersion })
      */
-    static parseGenericProof(proofData) {
-        // Handle different proof formats
-        if (typeof proofData === 'string') {
-            // Hex string
-            return {
-                proofHash: ethers.utils.keccak256(proofData),
-                rawData: proofData
-            };
-        } else if (Buffer.isBuffer(proofData)) {
-            // Buffer
-            return {
-                proofHash: ethers.utils.keccak256(proofData),
-                rawData: ethers.utils.hexlify(proofData)
-            };
-        } else if (proofData && typeof proofData === 'object') {
-            // JSON object - extract proof components
-            const components = [];
-            
-            // Try to extract common proof fields
-            if (proofData.proof) components.push(proofData.proof);
-            if (proofData.publicSignals) components.push(JSON.stringify(proofData.publicSignals));
-            if (proofData.vk) components.push(JSON.stringify(proofData.vk));
-            
-            // If no standard fields, use the entire object
-            if (components.length === 0) {
-                components.push(JSON.stringify(proofData));
-            }
-            
-            const combined = components.join('');
-            return {
-                proofHash: ethers.utils.keccak256(ethers.utils.toUtf8Bytes(combined)),
-                rawData: combined,
-                structured: proofData
-            };
-        }
-        
-        throw new Error('Unsupported proof data format');
+    static parseGenericProof(proofData, options = {}) {
+        return proofs.parseGenericProof(proofData, options);
     }
 
     /**
      * Create a standardized proof submission from various input formats
+     * Proofs are hashed generically unless `options.format` names a registered format
+     * or is 'auto', in which case the best match from detectFormat is used.
      * @param {*} proofData - Proof data in any supported format
      * @param {*} publicInputs - Public inputs (optional)
      * @param {*} verificationKey - Verification key (optional)
      * @param {BigNumber} fee - Aggregation fee
+     * @param {Object} options - Hashing options ({ hashVersion, missingInputs, format, registry })
      */
-    static standardizeProofSubmission(proofData, publicInputs = null, verificationKey = null, fee) {
-        const parsed = this.parseGenericProof(proofData);
-        
-        // Generate hashes for public inputs and verification key
-        const publicInputHash = publicInputs 
-            ? ethers.utils.keccak256(ethers.utils.toUtf8Bytes(JSON.stringify(publicInputs)))
-            : ethers.utils.keccak256(ethers.utils.toUtf8Bytes('default_public_input'));
-            
-        const verificationKeyHash = verificationKey
-            ? ethers.utils.keccak256(ethers.utils.toUtf8Bytes(JSON.stringify(verificationKey)))
-            : ethers.utils.keccak256(ethers.utils.toUtf8Bytes('default_verification_key'));
-        
+    static standardizeProofSubmission(proofData, publicInputs = null, verificationKey = null, fee, options = {}) {
+        const registry = options.registry || defaultRegistry;
+        const standardized = registry.standardize(
+            proofData, publicInputs, verificationKey, { format: 'generic', ...options }
+        );
+
         return {
-            proofData: parsed.rawData,
-            proofHash: parsed.proofHash,
-            publicInput: publicInputHash,
-            verificationKey: verificationKeyHash,
-            fee: fee,
-            originalData: parsed.structured || proofData
+            ...toSubmission(standardized, fee),
+            format: standardized.format,
+            confidence: standardized.confidence
         };
     }
 
     /**
-     * Build merkle tree from proof hashes
-     * @param {Array<string>} proofHashes - Array of proof hashes
+     * Detect the format of proof data
+     * @param {*} proofData - Proof data
+     * @returns {Object|null} { format, confidence } for the best match, or null
      */
-    static buildMerkleTree(proofHashes) {
-        if (proofHashes.length === 0) {
-            throw new Error('Empty proofs array');
-        }
-        
-        if (proofHashes.length === 1) {
-            return proofHashes[0];
+    static detectFormat(proofData) {
+        return defaultRegistry.detectFormat(proofData);
+    }
+
+    /**
+     * Register a custom proof format with the registry shared by all clients
+     * @param {Object} format - Format definition ({ name, detect, parse, encode, validate, standardize })
+     */
+    static registerProofFormat(format) {
+        defaultRegistry.register(format);
+    }
+
+    /**
+     * Create a standardized submission from snarkjs Groth16 outputs
+     * @param {Object|string} proof - proof.json contents (or a { proof, publicSignals } object)
+     * @param {Array|string} publicSignals - public.json contents (optional)
+     * @param {Object|string} verificationKey - verification_key.json contents (optional)
+     * @param {BigNumber} fee - Aggregation fee
+     * @param {Object} options - Hashing options ({ hashVersion, missingInputs })
+     */
+    static standardizeGroth16Submission(proof, publicSignals = null, verificationKey = null, fee, options = {}) {
+        return toSubmission(groth16.standardizeGroth16Proof(proof, publicSignals, verificationKey, options), fee);
+    }
+
+    /**
+     * Create a standardized submission from snarkjs PLONK / fflonk outputs or a gnark PLONK proof
+     * @param {*} proof - proof.json contents, a { proof, publicSignals } object, or gnark proof bytes
+     * @param {Array|string} publicSignals - Public signals (optional)
+     * @param {*} verificationKey - Verification key (optional)
+     * @param {BigNumber} fee - Aggregation fee
+     * @param {Object} options - Hashing options ({ hashVersion, missingInputs })
+     */
+    static standardizePlonkSubmission(proof, publicSignals = null, verificationKey = null, fee, options = {}) {
+        return toSubmission(plonk.standardizePlonkProof(proof, publicSignals, verificationKey, options), fee);
+    }
+
+    /**
+     * Create a standardized submission from a RISC Zero receipt or generic STARK envelope
+     * @param {*} receipt - Receipt (ABI envelope, { imageId, journal, seal }, serde JSON) or STARK envelope
+     * @param {BigNumber} fee - Aggregation fee
+     * @param {Object} options - Decoding and hashing options ({ imageId, journalTypes, decodeJournal, ... })
+     */
+    static standardizeReceiptSubmission(receipt, fee, options = {}) {
+        const standardized = receipts.standardizeReceipt(receipt, options);
+
+        return {
+            ...toSubmission(standardized, fee),
+            journal: standardized.journal,
+            decodedJournal: standardized.decodedJournal
+        };
+    }
+
+    /**
+     * Verify a Groth16, PLONK or fflonk proof against its verification key off-chain
+     * @param {Object|string} proof - snarkjs proof (or a { proof, publicSignals } object)
+     * @param {Array|string} publicSignals - Public signals (optional when the proof object carries them)
+     * @param {Object|string} verificationKey - snarkjs verification key
+     * @param {Object} options - Verification options ({ format, registry, releaseCurves })
+     * @returns {Promise<Object>} { isValid, proofSystem, curve, error, details }
+     */
+    static async verifyProofOffChain(proof, publicSignals = null, verificationKey = null, options = {}) {
+        return await verifier.verifyProof(proof, publicSignals, verificationKey, options);
+    }
+
+    /**
+     * Verify a proof off-chain and check that a submission was standardized from it
+     * Throws with the verification failure reason, or when the submitted proof data, public
+     * input or verification key hash does not match the verified proof.
+     * @param {Object} submission - { proofData, publicInput, verificationKey } about to be submitted
+     * @param {Object} verify - { proof, publicSignals, verificationKey, format, hashVersion, missingInputs }
+     */
+    static async assertVerifiedSubmission(submission, verify) {
+        const result = await verifier.verifyProof(
+            verify.proof, verify.publicSignals, verify.verificationKey, verify
+        );
+        if (!result.isValid) {
+            const error = new Error(`Off-chain proof verification failed: ${result.error}`);
+            error.verification = result;
+            throw error;
         }
 
-        let currentLevel = [...proofHashes];
-        
-        while (currentLevel.length > 1) {
-            const nextLevel = [];
-            
-            for (let i = 0; i < currentLevel.length; i += 2) {
-                if (i + 1 < currentLevel.length) {
-                    const combined = ethers.utils.solidityKeccak256(
-                        ['bytes32', 'bytes32'],
-                        [currentLevel[i], currentLevel[i + 1]]
-                    );
-                    nextLevel.push(combined);
-                } else {
-                    // Odd number, promote the last element
-                    nextLevel.push(currentLevel[i]);
-                }
+        const registry = verify.registry || defaultRegistry;
+        const expected = registry.standardize(
+            verify.proof,
+            verify.publicSignals || null,
+            verify.verificationKey,
+            { ...verify, format: result.proofSystem }
+        );
+        for (const field of ['proofData', 'publicInput', 'verificationKey']) {
+            const value = submission[field];
+            const actual = ethers.utils.isBytesLike(value) ? ethers.utils.hexlify(value).toLowerCase() : null;
+            if (actual !== expected[field].toLowerCase()) {
+                throw new Error(`Submitted ${field} does not match the verified ${result.proofSystem} proof`);
             }
-            
-            currentLevel = nextLevel;
         }
-        
-        return currentLevel[0];
+        return result;
+    }
+
+    /**
+     * Build merkle tree from proof hashes
+     * @param {Array<string>} proofHashes - Array of proof hashes
+     * @param {number} mode - Tree mode (defaults to legacy)
+     */
+    static buildMerkleTree(proofHashes, mode = merkle.TREE_MODES.LEGACY) {
+        return merkle.buildMerkleTree(proofHashes, mode);
     }
 
     /**
      * Generate merkle proof for a specific leaf
      * @param {Array<string>} proofHashes - Array of proof hashes
      * @param {number} leafIndex - Index of the leaf to prove
+     * @param {number} mode - Tree mode (defaults to legacy)
      */
-    static generateMerkleProof(proofHashes, leafIndex) {
-        if (leafIndex >= proofHashes.length) {
-            throw new Error('Leaf index out of bounds');
-        }
-
-        const path = [];
-        let currentLevel = [...proofHashes];
-        let index = leafIndex;
-        
-        while (currentLevel.length > 1) {
-            // Add sibling to path
-            if (index % 2 === 0) {
-                // Left child, sibling is right
-                if (index + 1 < currentLevel.length) {
-                    path.push(currentLevel[index + 1]);
-                }
-            } else {
-                // Right child, sibling is left
-                path.push(currentLevel[index - 1]);
-            }
-            
-            // Build next level
-            const nextLevel = [];
-            for (let i = 0; i < currentLevel.length; i += 2) {
-                if (i + 1 < currentLevel.length) {
-                    const combined = ethers.utils.solidityKeccak256(
-                        ['bytes32', 'bytes32'],
-                        [currentLevel[i], currentLevel[i + 1]]
-                    );
-                    nextLevel.push(combined);
-                } else {
-                    nextLevel.push(currentLevel[i]);
-                }
-            }
-            
-            currentLevel = nextLevel;
-            index = Math.floor(index / 2);
-        }
-        
-        return {
-            path,
-            index: leafIndex,
-            leaf: proofHashes[leafIndex]
-        };
+    static generateMerkleProof(proofHashes, leafIndex, mode = merkle.TREE_MODES.LEGACY) {
+        return merkle.generateMerkleProof(proofHashes, leafIndex, mode);
     }
 
     /**
@@ -352,89 +538,135 @@ class GenericSnarktorClient {
      * @param {number} index - Leaf index
      * @param {string} leaf - Leaf hash
      * @param {string} root - Root hash
+     * @param {number} mode - Tree mode (defaults to legacy)
      */
-    static verifyMerkleProof(path, index, leaf, root) {
-        let computedHash = leaf;
-        
-        for (let i = 0; i < path.length; i++) {
-            const proofElement = path[i];
-            
-            if (index % 2 === 0) {
-                computedHash = ethers.utils.solidityKeccak256(
-                    ['bytes32', 'bytes32'],
-                    [computedHash, proofElement]
-                );
-            } else {
-                computedHash = ethers.utils.solidityKeccak256(
-                    ['bytes32', 'bytes32'],
-                    [proofElement, computedHash]
-                );
-            }
-            
-            index = Math.floor(index / 2);
-        }
-        
-        return computedHash === root;
+    static verifyMerkleProof(path, index, leaf, root, mode = merkle.TREE_MODES.LEGACY) {
+        return merkle.verifyMerkleProof(path, index, leaf, root, mode);
+    }
+
+    /**
+     * Generate a multiproof proving several leaves at once
+     * @param {Array<string>} proofHashes - Array of proof hashes
+     * @param {Array<number>} leafIndices - Indices of the leaves to prove
+     * @param {number} mode - Tree mode (defaults to legacy)
+     */
+    static generateMultiProof(proofHashes, leafIndices, mode = merkle.TREE_MODES.LEGACY) {
+        return merkle.generateMultiProof(proofHashes, leafIndices, mode);
+    }
+
+    /**
+     * Verify a multiproof client-side
+     * @param {Object} multiProof - Multiproof from generateMultiProof
+     * @param {string} root - Root hash
+     */
+    static verifyMultiProof(multiProof, root) {
+        return merkle.verifyMultiProof(multiProof, root);
+    }
+
+    /**
+     * Build the root of an aggregation's partial tree (proven hashes, then disabled nodes)
+     * @param {Array<string>} provenHashes - Hashes of the base proofs the aggregation proves
+     * @param {Array<string>} disabledNodes - Roots of earlier aggregations it includes
+     * @param {number} mode - Tree mode (defaults to legacy)
+     */
+    static buildPartialMerkleTree(provenHashes, disabledNodes = [], mode = merkle.TREE_MODES.LEGACY) {
+        return merkle.buildPartialMerkleTree(provenHashes, disabledNodes, mode);
+    }
+
+    /**
+     * Generate the proof of a proven hash or disabled node in a partial tree
+     * @param {Array<string>} provenHashes - Hashes of the base proofs the aggregation proves
+     * @param {Array<string>} disabledNodes - Roots of earlier aggregations it includes
+     * @param {string} leaf - Proof hash or disabled node to prove
+     * @param {number} mode - Tree mode (defaults to legacy)
+     */
+    static generatePartialMerkleProof(provenHashes, disabledNodes, leaf, mode = merkle.TREE_MODES.LEGACY) {
+        return merkle.generatePartialMerkleProof(provenHashes, disabledNodes, leaf, mode);
+    }
+
+    /**
+     * Prove a leaf through a chain of trees, each including the previous tree's root as a leaf
+     * @param {string} leaf - Leaf of the first tree
+     * @param {Array<Array<string>|Object>} levels - Trees from the leaf's up, as leaf lists or
+     *   { provenHashes, disabledNodes }
+     * @param {number} mode - Tree mode (defaults to legacy)
+     */
+    static generateChainedInclusionProof(leaf, levels, mode = merkle.TREE_MODES.LEGACY) {
+        return merkle.generateChainedInclusionProof(leaf, levels, mode);
+    }
+
+    /**
+     * Prove a base proof of an earlier aggregation through the aggregation that disabled its root
+     * @param {string} leaf - Hash of a base proof proven by `subtree`
+     * @param {Object} subtree - { provenHashes, disabledNodes } of the earlier aggregation
+     * @param {Object} tree - { provenHashes, disabledNodes } of the including aggregation
+     * @param {number} mode - Tree mode (defaults to legacy)
+     */
+    static generateDisabledNodeProof(leaf, subtree, tree, mode = merkle.TREE_MODES.LEGACY) {
+        return merkle.generateDisabledNodeProof(leaf, subtree, tree, mode);
+    }
+
+    /**
+     * Verify a chained proof client-side
+     * @param {Object} chainedProof - { leaf, proofs } from generateChainedInclusionProof
+     * @param {string} root - Root of the last tree
+     * @param {number} mode - Tree mode (defaults to legacy)
+     */
+    static verifyChainedMerkleProof(chainedProof, root, mode = merkle.TREE_MODES.LEGACY) {
+        return merkle.verifyChainedMerkleProof(chainedProof, root, mode);
     }
 
     /**
      * Validate proof structure for SNARKtor compatibility
      * @param {*} proofData - Proof data to validate
+     * @param {Object} options - Parsing options ({ hashVersion })
      */
-    static validateProofStructure(proofData) {
-        try {
-            const parsed = this.parseGenericProof(proofData);
-            return {
-                isValid: true,
-                proofHash: parsed.proofHash,
-                size: parsed.rawData.length
-            };
-        } catch (error) {
-            return {
-                isValid: false,
-                error: error.message
-            };
-        }
+    static validateProofStructure(proofData, options = {}) {
+        return proofs.validateProofStructure(proofData, options);
     }
 
     /**
      * Listen for events
      */
     onProofVerified(callback) {
-        this.contract.on('ProofVerified', callback);
+        this.binding.on('ProofVerified', callback);
     }
 
     onAggregatedProofSubmitted(callback) {
-        this.contract.on('AggregatedProofSubmitted', callback);
+        this.binding.on('AggregatedProofSubmitted', callback);
     }
 
     onMerkleRootValidated(callback) {
-        this.contract.on('MerkleRootValidated', callback);
+        this.binding.on('MerkleRootValidated', callback);
+    }
+
+    /**
+     * Inspect the deployed bytecode and report which feature sets the contract supports
+     */
+    async probeContract() {
+        return await this.binding.probe();
+    }
+
+    /**
+     * Throw if the contract does not implement the features this client needs.
+     * Call once at startup before sending transactions.
+     */
+    async ensureCompatible() {
+        return await this.binding.assertFeatures(this.getRequiredFeatures());
+    }
+
+    /**
+     * Feature sets the contract must implement for this client
+     */
+    getRequiredFeatures() {
+        return ['aggregation'];
     }
 
     /**
-     * Get contract ABI
+     * Get contract ABI, loaded from the compiled ISnarktorVerifier artifact
      */
     getABI() {
-        return [
-            // Events
-            "event ProofVerified(bytes32 indexed proofHash, address indexed submitter, uint256 timestamp)",
-            "event AggregatedProofSubmitted(bytes32 indexed aggregatedHash, uint256 baseProofCount)",
-            "event MerkleRootValidated(bytes32 indexed merkleRoot, bytes32[] includedProofs)",
-            
-            // Functions
-            "function submitBaseProof(bytes calldata _proofData, bytes32 _publicInput, bytes32 _verificationKey, uint256 _fee, bytes calldata _signature) external payable",
-            "function submitAggregatedProof(bytes calldata _aggregatedProofData, bytes32 _merkleRoot, tuple(bytes32 proofHash, address user, uint256 fee, uint256 nonce, bytes32 publicInput, bytes32 verificationKey, bytes signature)[] calldata _provenData, bytes32[] calldata _disabledNodes) external",
-            "function verifyProofInclusion(bytes32 _baseProofHash, bytes32 _aggregatedHash, tuple(bytes32[] path, uint256 index, bytes32 leaf) calldata _merkleProof) external view returns (bool)",
-            "function verifyMerkleRoot(bytes32 _merkleRoot, bytes32[] calldata _proofs) external pure returns (bool)",
-            "function getBaseProof(bytes32 _proofHash) external view returns (tuple(bytes32 proofHash, address user, uint256 fee, uint256 nonce, bytes32 publicInput, bytes32 verificationKey, bytes signature))",
-            "function getAggregatedProof(bytes32 _aggregatedHash) external view returns (tuple(bytes32 aggregatedHash, bytes32 merkleRoot, bytes32[] disabledNodes, tuple(bytes32 proofHash, address user, uint256 fee, uint256 nonce, bytes32 publicInput, bytes32 verificationKey, bytes signature)[] provenData, uint256 totalFee, address submitter, uint256 timestamp))",
-            "function isProofSubmitted(bytes32 _proofHash) external view returns (bool)",
-            "function deposit() external payable",
-            "function withdraw(uint256 _amount) external",
-            "function userBalances(address) external view returns (uint256)",
-            "function userNonces(address) external view returns (uint256)"
-        ];
+        return loadAbi('ISnarktorVerifier');
     }
 }
 
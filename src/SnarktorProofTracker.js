@@ -0,0 +1,201 @@
+/**
+ * SNARKtor Proof Tracker
+ *
+ * Reports where a base proof is in its lifecycle (see core/status) by combining the aggregation
+ * hub's state with its event history: the ProofVerified event dates the submission, aggregatedIn
+ * and parentAggregation give the aggregation levels above it, and an optional SnarktorVerifier
+ * tells whether one of those aggregated proofs has been finalized.
+ */
+
+const { ethers } = require('ethers');
+const { ContractBinding } = require('./core/ContractBinding');
+const { loadAbi } = require('./core/abi');
+const { PROOF_STATUS, assertProofStatus, hasReachedStatus } = require('./core/status');
+const { SnarktorVerificationClient } = require('./SnarktorVerificationClient');
+
+const DEFAULT_POLL_INTERVAL = 4000;
+
+class SnarktorProofTracker {
+    /**
+     * @param {string|Provider|Signer} connection - RPC URL, ethers Provider, or ethers Signer
+     * @param {string} contractAddress - Address of the SNARKtor aggregation hub
+     * @param {Object} options - {
+     *   verifierAddress: SnarktorVerifier the hub's aggregated proofs are published to (optional),
+     *   confirmations: blocks a submission needs before it counts as queued (default 1),
+     *   expiresAfter: seconds a proof may stay queued before it counts as expired (default: never),
+     *   fromBlock: first block searched for submission events (default 0),
+     *   pollInterval: milliseconds between checks in waitForStatus (default 4000) }
+     */
+    constructor(connection, contractAddress, options = {}) {
+        this.binding = new ContractBinding(connection, contractAddress, this.getABI());
+        this.provider = this.binding.provider;
+        this.contractAddress = contractAddress;
+        this.contract = this.binding.contract;
+        this.verifier = options.verifierAddress
+            ? new SnarktorVerificationClient(this.provider, options.verifierAddress)
+            : null;
+        this.confirmations = options.confirmations ?? 1;
+        this.expiresAfter = options.expiresAfter ?? null;
+        this.fromBlock = options.fromBlock ?? 0;
+        this.pollInterval = options.pollInterval ?? DEFAULT_POLL_INTERVAL;
+    }
+
+    /**
+     * Get the lifecycle status of a base proof
+     * @param {string} proofHash - Hash of the base proof
+     * @returns {Promise<Object>} {
+     *   status: one of PROOF_STATUS,
+     *   proofHash,
+     *   submission: { blockNumber, transactionHash, timestamp, confirmations } or null,
+     *   level: aggregation levels above the proof (0 until aggregated),
+     *   aggregatedHash: top aggregated proof containing it, or null,
+     *   aggregations: aggregated proofs containing it, from the one that proved it up to the top }
+     */
+    async getProofStatus(proofHash) {
+        const status = {
+            status: PROOF_STATUS.UNKNOWN,
+            proofHash,
+            submission: null,
+            level: 0,
+            aggregatedHash: null,
+            aggregations: []
+        };
+
+        if (!await this.contract.isProofSubmitted(proofHash)) {
+            return status;
+        }
+
+        const latest = await this.provider.getBlock('latest');
+        status.submission = await this.findSubmission(proofHash, latest.number);
+        if (status.submission && status.submission.confirmations < this.confirmations) {
+            status.status = PROOF_STATUS.SUBMITTED;
+            return status;
+        }
+
+        let current = await this.contract.aggregatedIn(proofHash);
+        if (current === ethers.constants.HashZero) {
+            const expired = this.expiresAfter !== null && status.submission &&
+                latest.timestamp - status.submission.timestamp > this.expiresAfter;
+            status.status = expired ? PROOF_STATUS.EXPIRED : PROOF_STATUS.QUEUED;
+            return status;
+        }
+
+        while (current !== ethers.constants.HashZero) {
+            status.aggregations.push(current);
+            current = await this.contract.parentAggregation(current);
+        }
+        status.level = status.aggregations.length;
+        status.aggregatedHash = status.aggregations[status.level - 1];
+        status.status = await this.isFinalizedIn(status.aggregations)
+            ? PROOF_STATUS.FINALIZED
+            : PROOF_STATUS.AGGREGATED;
+
+        return status;
+    }
+
+    /**
+     * Poll until a base proof reaches a status (or moves past it)
+     * Rejects on timeout, when the proof expires while waiting for a later status, or when
+     * waiting for expiry of a proof that was already aggregated.
+     * @param {string} proofHash - Hash of the base proof
+     * @param {string} status - One of PROOF_STATUS
+     * @param {number} timeout - Milliseconds to wait (default 60000)
+     * @returns {Promise<Object>} The status that satisfied the wait, as from getProofStatus
+     */
+    async waitForStatus(proofHash, status, timeout = 60000) {
+        assertProofStatus(status);
+        const deadline = Date.now() + timeout;
+
+        for (;;) {
+            const current = await this.getProofStatus(proofHash);
+            if (hasReachedStatus(current.status, status)) {
+                return current;
+            }
+            if (current.status === PROOF_STATUS.EXPIRED) {
+                throw new Error(`Proof ${proofHash} expired before reaching ${status}`);
+            }
+            if (status === PROOF_STATUS.EXPIRED && hasReachedStatus(current.status, PROOF_STATUS.AGGREGATED)) {
+                throw new Error(`Proof ${proofHash} is already ${current.status} and can no longer expire`);
+            }
+
+            const remaining = deadline - Date.now();
+            if (remaining <= 0) {
+                throw new Error(`Timed out waiting for proof ${proofHash} to reach ${status} (currently ${current.status})`);
+            }
+            // Sleep at most until the deadline, then poll once more before giving up
+            await new Promise(resolve => setTimeout(resolve, Math.min(this.pollInterval, remaining)));
+        }
+    }
+
+    /**
+     * Inspect the deployed bytecode and report which feature sets the contract supports
+     */
+    async probeContract() {
+        return await this.binding.probe();
+    }
+
+    /**
+     * Throw if the contract does not implement the features this tracker needs.
+     */
+    async ensureCompatible() {
+        return await this.binding.assertFeatures(this.getRequiredFeatures());
+    }
+
+    /**
+     * Feature sets the contract must implement for this tracker
+     */
+    getRequiredFeatures() {
+        return ['aggregation', 'chainedInclusion'];
+    }
+
+    /**
+     * Get contract ABI, loaded from the compiled ISnarktorVerifier artifact
+     */
+    getABI() {
+        return loadAbi('ISnarktorVerifier');
+    }
+
+    /**
+     * Find the submission of a base proof in the hub's event history
+     * @param {string} proofHash - Hash of the base proof
+     * @param {number} latestBlock - Block confirmations are counted up to
+     * @returns {Promise<Object>} { blockNumber, transactionHash, timestamp, confirmations }, or null if not found
+     */
+    async findSubmission(proofHash, latestBlock) {
+        const events = await this.contract.queryFilter(
+            this.contract.filters.ProofVerified(proofHash),
+            this.fromBlock,
+            latestBlock
+        );
+        if (events.length === 0) {
+            return null;
+        }
+
+        const event = events[0];
+        return {
+            blockNumber: event.blockNumber,
+            transactionHash: event.transactionHash,
+            timestamp: event.args.timestamp.toNumber(),
+            confirmations: latestBlock - event.blockNumber + 1
+        };
+    }
+
+    /**
+     * Check whether any of the given aggregated proofs is finalized on the SnarktorVerifier
+     * @param {Array<string>} aggregations - Aggregated proof hashes
+     */
+    async isFinalizedIn(aggregations) {
+        if (!this.verifier) {
+            return false;
+        }
+
+        for (const aggregatedHash of aggregations) {
+            if (await this.verifier.isAggregatedProofFinalized(aggregatedHash)) {
+                return true;
+            }
+        }
+        return false;
+    }
+}
+
+module.exports = { SnarktorProofTracker };
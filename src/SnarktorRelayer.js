@@ -0,0 +1,159 @@
+/**
+ * SNARKtor Relayer
+ *
+ * Sends base proof submissions signed by other users (see
+ * GenericSnarktorClient.createRelayedSubmission) through submitBaseProofFor. The relayer's
+ * wallet pays the gas; the aggregation fee is deducted from the user's on-chain deposit.
+ * Submissions are checked before sending so that a relayer does not pay for transactions
+ * the contract would revert.
+ */
+
+const { ethers } = require('ethers');
+const { ContractBinding } = require('./core/ContractBinding');
+const { loadAbi } = require('./core/abi');
+const submissions = require('./core/submissions');
+
+class SnarktorRelayer {
+    /**
+     * @param {string|Provider|Signer} connection - RPC URL, ethers Provider, or ethers Signer
+     * @param {string} contractAddress - Address of the SNARKtor contract
+     * @param {string|Signer} signerOrKey - Private key or ethers Signer of the relayer (pays the gas)
+     * @param {Object} options - Relay policy: { minFee (default 0) }
+     */
+    constructor(connection, contractAddress, signerOrKey = null, options = {}) {
+        this.binding = new ContractBinding(connection, contractAddress, this.getABI(), signerOrKey);
+        this.provider = this.binding.provider;
+        this.contractAddress = contractAddress;
+        this.wallet = this.binding.wallet;
+        this.contract = this.binding.contract;
+        this.minFee = ethers.BigNumber.from(options.minFee || 0);
+    }
+
+    /**
+     * Check a relayed submission against the signature and the contract state
+     * Throws with the reason the submission cannot be relayed (bad signature, stale nonce,
+     * insufficient deposit, already submitted, fee below the relayer minimum).
+     * @param {Object} payload - Payload from createRelayedSubmission
+     * @returns {Promise<Object>} The parsed submission
+     */
+    async checkSubmission(payload) {
+        const submission = submissions.parseRelayedSubmission(payload);
+        const { chainId } = await this.provider.getNetwork();
+
+        if (submission.chainId !== null && submission.chainId !== chainId) {
+            throw new Error(`Submission is for chain ${submission.chainId}, relayer is on chain ${chainId}`);
+        }
+        if (submission.contractAddress && submission.contractAddress !== ethers.utils.getAddress(this.contractAddress)) {
+            throw new Error(`Submission is for contract ${submission.contractAddress}`);
+        }
+        if (submission.scheme === submissions.SIGNATURE_SCHEMES.LEGACY) {
+            // Legacy signatures do not cover the proof bytes, so the contract refuses to relay them
+            throw new Error('Relayer does not accept legacy signatures');
+        }
+        if (submission.fee.lt(this.minFee)) {
+            throw new Error(`Fee ${submission.fee} is below the relayer minimum of ${this.minFee}`);
+        }
+
+        const domain = submissions.submissionDomain(chainId, this.contractAddress);
+        const signer = submissions.recoverSubmitter(domain, submission, submission.signature, submission.scheme);
+        if (signer !== submission.user) {
+            throw new Error('Invalid signature');
+        }
+
+        const [nonce, balance, submitted] = await Promise.all([
+            this.contract.userNonces(submission.user),
+            this.contract.userBalances(submission.user),
+            this.contract.isProofSubmitted(submission.proofHash)
+        ]);
+        if (!nonce.eq(submission.nonce)) {
+            throw new Error(`Stale nonce: expected ${nonce}, got ${submission.nonce}`);
+        }
+        if (balance.lt(submission.fee)) {
+            throw new Error(`Insufficient deposit: ${balance} available, ${submission.fee} required`);
+        }
+        if (submitted) {
+            throw new Error('Proof already submitted');
+        }
+
+        return submission;
+    }
+
+    /**
+     * Check and send a relayed submission
+     * @param {Object} payload - Payload from createRelayedSubmission
+     * @param {Object} options - Transaction options
+     * @returns {Promise<Object>} Transaction receipt
+     */
+    async relay(payload, options = {}) {
+        this.binding.requireWallet('relaying submissions');
+        const submission = await this.checkSubmission(payload);
+
+        return await this.binding.send('submitBaseProofFor', [
+            submission.user,
+            submission.proofData,
+            submission.publicInput,
+            submission.verificationKey,
+            submission.fee,
+            submission.signature,
+            options
+        ]);
+    }
+
+    /**
+     * Send a relayed submission to a relayer's HTTP endpoint (see examples/relayer-server.js)
+     * @param {string} relayerUrl - Relay endpoint, e.g. http://localhost:3000/relay
+     * @param {Object} payload - Payload from createRelayedSubmission
+     * @returns {Promise<Object>} { transactionHash, proofHash }
+     */
+    static async submitToRelayer(relayerUrl, payload) {
+        const response = await fetch(relayerUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload)
+        });
+        const body = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            throw new Error(`Relayer rejected submission: ${body.error || response.statusText}`);
+        }
+        return body;
+    }
+
+    /**
+     * Listen for relayed submissions
+     */
+    onBaseProofRelayed(callback) {
+        this.binding.on('BaseProofRelayed', callback);
+    }
+
+    /**
+     * Inspect the deployed bytecode and report which feature sets the contract supports
+     */
+    async probeContract() {
+        return await this.binding.probe();
+    }
+
+    /**
+     * Throw if the contract does not implement the features this relayer needs.
+     * Call once at startup before relaying.
+     */
+    async ensureCompatible() {
+        return await this.binding.assertFeatures(this.getRequiredFeatures());
+    }
+
+    /**
+     * Feature sets the contract must implement for this relayer
+     */
+    getRequiredFeatures() {
+        return ['aggregation', 'typedSubmission', 'relayedSubmission'];
+    }
+
+    /**
+     * Get contract ABI, loaded from the compiled ISnarktorVerifier artifact
+     */
+    getABI() {
+        return loadAbi('ISnarktorVerifier');
+    }
+}
+
+module.exports = { SnarktorRelayer };
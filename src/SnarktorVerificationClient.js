@@ -7,18 +7,34 @@
  */
 
 const { ethers } = require('ethers');
+const { ContractBinding } = require('./core/ContractBinding');
+const { loadAbi } = require('./core/abi');
+const merkle = require('./core/merkle');
+const proofs = require('./core/proofs');
+const attestations = require('./core/attestations');
+const aggregated = require('./adapters/aggregated');
+const { defaultRegistry } = require('./adapters/ProofFormatRegistry');
+
+// Access-control roles of the verifier contract (keccak256 of the role name)
+const ROLES = Object.freeze({
+    ADMIN: ethers.utils.id('ADMIN_ROLE'),
+    DATA_PROVIDER: ethers.utils.id('DATA_PROVIDER_ROLE'),
+    PAUSER: ethers.utils.id('PAUSER_ROLE'),
+    ATTESTOR: ethers.utils.id('ATTESTOR_ROLE')
+});
 
 class SnarktorVerificationClient {
-    constructor(providerUrl, contractAddress, privateKey = null) {
-        this.provider = new ethers.providers.JsonRpcProvider(providerUrl);
+    /**
+     * @param {string|Provider|Signer} connection - RPC URL, ethers Provider, or ethers Signer
+     * @param {string} contractAddress - Address of the verifier contract
+     * @param {string|Signer} signerOrKey - Private key or ethers Signer (optional)
+     */
+    constructor(connection, contractAddress, signerOrKey = null) {
+        this.binding = new ContractBinding(connection, contractAddress, this.getABI(), signerOrKey);
+        this.provider = this.binding.provider;
         this.contractAddress = contractAddress;
-        
-        if (privateKey) {
-            this.wallet = new ethers.Wallet(privateKey, this.provider);
-            this.contract = new ethers.Contract(contractAddress, this.getABI(), this.wallet);
-        } else {
-            this.contract = new ethers.Contract(contractAddress, this.getABI(), this.provider);
-        }
+        this.wallet = this.binding.wallet;
+        this.contract = this.binding.contract;
     }
 
     /**
@@ -28,20 +44,59 @@ class SnarktorVerificationClient {
      * @param {Object} merkleProof - Merkle inclusion proof
      */
     async verifyProofInclusion(baseProofHash, aggregatedHash, merkleProof) {
-        return await this.contract.verifyProofInclusion(
+        return await this.contract.callStatic.verifyProofInclusion(
             baseProofHash,
             aggregatedHash,
             merkleProof
         );
     }
 
+    /**
+     * Verify that several base proofs are included in an aggregated proof in one call
+     * @param {string} aggregatedHash - Hash of the aggregated proof
+     * @param {Object} multiProof - Multiproof from generateMultiProof
+     */
+    async verifyMultiProofInclusion(aggregatedHash, multiProof) {
+        const { leaves, indices, proof, proofFlags } = multiProof;
+        return await this.contract.callStatic.verifyMultiProofInclusion(
+            aggregatedHash,
+            { leaves, indices, proof, proofFlags }
+        );
+    }
+
+    /**
+     * Verify inclusion with an OpenZeppelin-style proof against a sorted-pair aggregated proof
+     * @param {string} baseProofHash - Hash of the base proof
+     * @param {string} aggregatedHash - Hash of the aggregated proof
+     * @param {Array<string>} proof - Sibling hashes from leaf to root
+     */
+    async verifySortedProofInclusion(baseProofHash, aggregatedHash, proof) {
+        return await this.contract.callStatic.verifySortedProofInclusion(baseProofHash, aggregatedHash, proof);
+    }
+
+    /**
+     * Verify that a base proof is inside an aggregated proof through intermediate aggregations
+     * Only the final aggregated proof needs a record; every tree must use its tree mode.
+     * @param {string} baseProofHash - Hash of the base proof
+     * @param {string} aggregatedHash - Hash of the final aggregated proof
+     * @param {Object} chainedProof - Chained proof from generateChainedInclusionProof
+     */
+    async verifyChainedInclusion(baseProofHash, aggregatedHash, chainedProof) {
+        return await this.contract.callStatic.verifyChainedInclusion(baseProofHash, aggregatedHash, chainedProof.proofs);
+    }
+
     /**
      * Verify a merkle root against a set of proofs
      * @param {string} merkleRoot - The merkle root to verify
      * @param {Array<string>} proofs - Array of proof hashes
+     * @param {number} mode - Tree mode (defaults to legacy)
      */
-    async verifyMerkleRoot(merkleRoot, proofs) {
-        return await this.contract.verifyMerkleRoot(merkleRoot, proofs);
+    async verifyMerkleRoot(merkleRoot, proofs, mode = merkle.TREE_MODES.LEGACY) {
+        if (mode === merkle.TREE_MODES.LEGACY) {
+            return await this.contract.callStatic.verifyMerkleRoot(merkleRoot, proofs);
+        }
+
+        return await this.contract.callStatic.verifyMerkleRootWithMode(merkleRoot, proofs, mode);
     }
 
     /**
@@ -49,14 +104,7 @@ class SnarktorVerificationClient {
      * @param {string} proofHash - Hash of the proof
      */
     async getBaseProof(proofHash) {
-        try {
-            return await this.contract.getBaseProof(proofHash);
-        } catch (error) {
-            if (error.message.includes("Base proof data not available")) {
-                return null;
-            }
-            throw error;
-        }
+        return await this.binding.readOptional('getBaseProof', [proofHash]);
     }
 
     /**
@@ -64,14 +112,7 @@ class SnarktorVerificationClient {
      * @param {string} aggregatedHash - Hash of the aggregated proof
      */
     async getAggregatedProof(aggregatedHash) {
-        try {
-            return await this.contract.getAggregatedProof(aggregatedHash);
-        } catch (error) {
-            if (error.message.includes("Aggregated proof data not available")) {
-                return null;
-            }
-            throw error;
-        }
+        return await this.binding.readOptional('getAggregatedProof', [aggregatedHash]);
     }
 
     /**
@@ -91,160 +132,344 @@ class SnarktorVerificationClient {
     }
 
     /**
-     * Parse generic proof data from various formats for verification
-     * @param {Object} proofData - Proof data in various formats
+     * Allow an account to write verification data (admin only)
+     * @param {string} account - Data provider address
+     * @param {Object} options - Transaction options
+     */
+    async grantDataProvider(account, options = {}) {
+        return await this.grantRole(ROLES.DATA_PROVIDER, account, options);
+    }
+
+    /**
+     * Stop an account from writing verification data (admin only)
+     * @param {string} account - Data provider address
+     * @param {Object} options - Transaction options
+     */
+    async revokeDataProvider(account, options = {}) {
+        return await this.revokeRole(ROLES.DATA_PROVIDER, account, options);
+    }
+
+    /**
+     * List the accounts allowed to write verification data
+     */
+    async listDataProviders() {
+        return await this.getRoleMembers(ROLES.DATA_PROVIDER);
+    }
+
+    /**
+     * Check if an account may write verification data
+     * @param {string} account - Address to check
+     */
+    async isDataProvider(account) {
+        return await this.contract.hasRole(ROLES.DATA_PROVIDER, account);
+    }
+
+    /**
+     * Grant any role (admin only)
+     * @param {string} role - Role hash (see ROLES)
+     * @param {string} account - Account address
+     * @param {Object} options - Transaction options
+     */
+    async grantRole(role, account, options = {}) {
+        this.binding.requireWallet('granting roles');
+        return await this.binding.send('grantRole', [role, account, options]);
+    }
+
+    /**
+     * Revoke any role (admin only); the last admin cannot be removed
+     * @param {string} role - Role hash (see ROLES)
+     * @param {string} account - Account address
+     * @param {Object} options - Transaction options
      */
-    static parseGenericProof(proofData) {
-        // Handle different proof formats
-        if (typeof proofData === 'string') {
-            // Hex string
-            return {
-                proofHash: ethers.utils.keccak256(proofData),
-                rawData: proofData
-            };
-        } else if (Buffer.isBuffer(proofData)) {
-            // Buffer
-            return {
-                proofHash: ethers.utils.keccak256(proofData),
-                rawData: ethers.utils.hexlify(proofData)
-            };
-        } else if (proofData && typeof proofData === 'object') {
-            // JSON object - extract proof components
-            const components = [];
-            
-            // Try to extract common proof fields
-            if (proofData.proof) components.push(proofData.proof);
-            if (proofData.publicSignals) components.push(JSON.stringify(proofData.publicSignals));
-            if (proofData.vk) components.push(JSON.stringify(proofData.vk));
-            
-            // If no standard fields, use the entire object
-            if (components.length === 0) {
-                components.push(JSON.stringify(proofData));
+    async revokeRole(role, account, options = {}) {
+        this.binding.requireWallet('revoking roles');
+        return await this.binding.send('revokeRole', [role, account, options]);
+    }
+
+    /**
+     * List the accounts holding a role
+     * @param {string} role - Role hash (see ROLES)
+     */
+    async getRoleMembers(role) {
+        return await this.contract.getRoleMembers(role);
+    }
+
+    /**
+     * Stop data providers from writing verification data (pauser only)
+     * @param {Object} options - Transaction options
+     */
+    async pause(options = {}) {
+        this.binding.requireWallet('pausing');
+        return await this.binding.send('pause', [options]);
+    }
+
+    /**
+     * Resume writes (pauser only)
+     * @param {Object} options - Transaction options
+     */
+    async unpause(options = {}) {
+        this.binding.requireWallet('unpausing');
+        return await this.binding.send('unpause', [options]);
+    }
+
+    /**
+     * Check if writes are paused
+     */
+    async isPaused() {
+        return await this.contract.paused();
+    }
+
+    /**
+     * Set how many attestations aggregated proofs added from now on need (admin only)
+     * @param {number} threshold - Required attestations; 0 finalizes records immediately
+     * @param {Object} options - Transaction options
+     */
+    async setAttestationThreshold(threshold, options = {}) {
+        this.binding.requireWallet('setting the attestation threshold');
+        return await this.binding.send('setAttestationThreshold', [threshold, options]);
+    }
+
+    /**
+     * Register an attestor (admin only)
+     * @param {string} account - Attestor address
+     * @param {Object} options - Transaction options
+     */
+    async grantAttestor(account, options = {}) {
+        return await this.grantRole(ROLES.ATTESTOR, account, options);
+    }
+
+    /**
+     * Remove an attestor (admin only); its attestations stop counting, and the contract refuses
+     * to leave fewer attestors than the current threshold
+     * @param {string} account - Attestor address
+     * @param {Object} options - Transaction options
+     */
+    async revokeAttestor(account, options = {}) {
+        return await this.revokeRole(ROLES.ATTESTOR, account, options);
+    }
+
+    /**
+     * List registered attestors
+     */
+    async listAttestors() {
+        return await this.getRoleMembers(ROLES.ATTESTOR);
+    }
+
+    /**
+     * Get the EIP-712 domain attestations for this verifier are signed under
+     */
+    async getAttestationDomain() {
+        const { chainId } = await this.provider.getNetwork();
+        return attestations.attestationDomain(chainId, this.contractAddress);
+    }
+
+    /**
+     * Sign an attestation of an aggregated proof record with the client's wallet
+     * @param {string} aggregatedHash - Hash of the aggregated proof
+     * @param {Object} record - { merkleRoot, includedProofs, treeMode } to attest (default: the stored record)
+     * @returns {Promise<string>} Signature to hand to whoever submits attestations
+     */
+    async signAttestation(aggregatedHash, record = null) {
+        const wallet = this.binding.requireWallet('signing attestations');
+        record = record || await this.requireAggregatedProof(aggregatedHash);
+
+        return await attestations.signAttestation(wallet, await this.getAttestationDomain(), {
+            aggregatedHash,
+            merkleRoot: record.merkleRoot,
+            includedProofs: record.includedProofs,
+            treeMode: record.treeMode
+        });
+    }
+
+    /**
+     * Check attestation signatures against the stored record before submitting them
+     * Signatures from non-attestors, attestors that already attested, or duplicates are rejected.
+     * @param {string} aggregatedHash - Hash of the aggregated proof
+     * @param {Array<string>} signatures - Collected signatures
+     * @returns {Promise<Object>} { accepted: [{ attestor, signature }], rejected: [{ signature, reason }] }
+     */
+    async collectAttestations(aggregatedHash, signatures) {
+        const record = await this.requireAggregatedProof(aggregatedHash);
+        const domain = await this.getAttestationDomain();
+        const accepted = [];
+        const rejected = [];
+        const seen = new Set();
+
+        for (const signature of signatures) {
+            let attestor;
+            try {
+                attestor = attestations.recoverAttestor(domain, record, signature);
+            } catch (error) {
+                rejected.push({ signature, reason: 'Invalid signature' });
+                continue;
             }
-            
-            const combined = components.join('');
-            return {
-                proofHash: ethers.utils.keccak256(ethers.utils.toUtf8Bytes(combined)),
-                rawData: combined,
-                structured: proofData
-            };
+
+            let reason = null;
+            if (seen.has(attestor)) {
+                reason = 'Duplicate attestation';
+            } else if (!(await this.contract.hasRole(ROLES.ATTESTOR, attestor))) {
+                reason = 'Signer is not an attestor';
+            } else if (await this.contract.hasAttested(aggregatedHash, attestor)) {
+                reason = 'Already attested';
+            }
+
+            if (reason) {
+                rejected.push({ signature, attestor, reason });
+            } else {
+                seen.add(attestor);
+                accepted.push({ attestor, signature });
+            }
+        }
+
+        return { accepted, rejected };
+    }
+
+    /**
+     * Submit attestation signatures for an aggregated proof record
+     * @param {string} aggregatedHash - Hash of the aggregated proof
+     * @param {Array<string>} signatures - Signatures from distinct attestors
+     * @param {Object} options - Transaction options
+     */
+    async submitAttestations(aggregatedHash, signatures, options = {}) {
+        this.binding.requireWallet('submitting attestations');
+        return await this.binding.send('submitAttestations', [aggregatedHash, signatures, options]);
+    }
+
+    /**
+     * Get the attestation progress of an aggregated proof record
+     * @param {string} aggregatedHash - Hash of the aggregated proof
+     * @returns {Promise<Object>} { attestations, required, finalized }
+     */
+    async getAttestationStatus(aggregatedHash) {
+        const status = await this.contract.getAttestationStatus(aggregatedHash);
+        return {
+            attestations: status.attestations.toNumber(),
+            required: status.required.toNumber(),
+            finalized: status.finalized
+        };
+    }
+
+    /**
+     * Check if an aggregated proof record has collected its required attestations
+     * @param {string} aggregatedHash - Hash of the aggregated proof
+     */
+    async isAggregatedProofFinalized(aggregatedHash) {
+        return await this.contract.isAggregatedProofFinalized(aggregatedHash);
+    }
+
+    /**
+     * Get an aggregated proof record, throwing if it is not available
+     * @param {string} aggregatedHash - Hash of the aggregated proof
+     */
+    async requireAggregatedProof(aggregatedHash) {
+        const record = await this.getAggregatedProof(aggregatedHash);
+        if (!record) {
+            throw new Error(`Aggregated proof data not available: ${aggregatedHash}`);
         }
-        
-        throw new Error('Unsupported proof data format');
+        return record;
+    }
+
+    /**
+     * Record an aggregated proof together with the recursive proof that commits to its merkle root
+     * Required once an aggregated proof verifier is set (data providers only).
+     * @param {string} aggregatedHash - Hash of the aggregated proof: keccak256 of the encoded proof
+     * @param {string} merkleRoot - Merkle root of the proof tree
+     * @param {Array<string>} includedProofs - Base proof hashes in the tree
+     * @param {*} proof - Proof bytes, or a snarkjs Groth16 proof object
+     * @param {number} mode - Tree mode (defaults to legacy)
+     * @param {Object} options - Transaction options
+     */
+    async addVerifiedAggregatedProofData(
+        aggregatedHash, merkleRoot, includedProofs, proof, mode = merkle.TREE_MODES.LEGACY, options = {}
+    ) {
+        this.binding.requireWallet('adding aggregated proofs');
+        const { args } = aggregated.formatVerifiedAggregatedProofCall({
+            aggregatedHash, merkleRoot, includedProofs, treeMode: mode, proof
+        });
+        return await this.binding.send('addVerifiedAggregatedProofData', [...args, options]);
+    }
+
+    /**
+     * Set the IAggregatedProofVerifier aggregated proofs must pass (admin only)
+     * @param {string} verifierAddress - Verifier address, or the zero address to stop requiring proofs
+     * @param {Object} options - Transaction options
+     */
+    async setAggregatedProofVerifier(verifierAddress, options = {}) {
+        this.binding.requireWallet('setting the aggregated proof verifier');
+        return await this.binding.send('setAggregatedProofVerifier', [verifierAddress, options]);
+    }
+
+    /**
+     * Get the configured aggregated proof verifier
+     * @returns {Promise<string|null>} Verifier address, or null when records need no proof
+     */
+    async getAggregatedProofVerifier() {
+        const address = await this.contract.aggregatedProofVerifier();
+        return address === ethers.constants.AddressZero ? null : address;
+    }
+
+    /**
+     * Parse generic proof data from various formats for verification
+     * @param {Object} proofData - Proof data in various formats
+     * @param {Object} options - Parsing options ({ hashVersion })
+     */
+    static parseGenericProof(proofData, options = {}) {
+        return proofs.parseGenericProof(proofData, options);
     }
 
     /**
      * Generate proof hash for verification purposes
+     * Proofs are hashed generically unless `options.format` names a registered format
+     * or is 'auto', in which case the best match from detectFormat is used.
      * @param {*} proofData - Proof data in any supported format
      * @param {*} publicInputs - Public inputs (optional)
      * @param {*} verificationKey - Verification key (optional)
+     * @param {Object} options - Hashing options ({ hashVersion, missingInputs, format, registry })
      */
-    static generateProofHash(proofData, publicInputs = null, verificationKey = null) {
-        const parsed = this.parseGenericProof(proofData);
-        
-        // Generate hashes for public inputs and verification key
-        const publicInputHash = publicInputs 
-            ? ethers.utils.keccak256(ethers.utils.toUtf8Bytes(JSON.stringify(publicInputs)))
-            : ethers.utils.keccak256(ethers.utils.toUtf8Bytes('default_public_input'));
-            
-        const verificationKeyHash = verificationKey
-            ? ethers.utils.keccak256(ethers.utils.toUtf8Bytes(JSON.stringify(verificationKey)))
-            : ethers.utils.keccak256(ethers.utils.toUtf8Bytes('default_verification_key'));
-        
+    static generateProofHash(proofData, publicInputs = null, verificationKey = null, options = {}) {
+        const registry = options.registry || defaultRegistry;
+        const standardized = registry.standardize(
+            proofData, publicInputs, verificationKey, { format: 'generic', ...options }
+        );
+
         return {
-            proofHash: parsed.proofHash,
-            publicInputHash: publicInputHash,
-            verificationKeyHash: verificationKeyHash,
-            originalData: parsed.structured || proofData
+            proofHash: standardized.proofHash,
+            publicInputHash: standardized.publicInput,
+            verificationKeyHash: standardized.verificationKey,
+            proofSystem: standardized.proofSystem,
+            format: standardized.format,
+            hashVersion: standardized.hashVersion,
+            warnings: standardized.warnings,
+            originalData: standardized.structured
         };
     }
 
+    /**
+     * Detect the format of proof data
+     * @param {*} proofData - Proof data
+     * @returns {Object|null} { format, confidence } for the best match, or null
+     */
+    static detectFormat(proofData) {
+        return defaultRegistry.detectFormat(proofData);
+    }
+
     /**
      * Build merkle tree from proof hashes
      * @param {Array<string>} proofHashes - Array of proof hashes
+     * @param {number} mode - Tree mode (defaults to legacy)
      */
-    static buildMerkleTree(proofHashes) {
-        if (proofHashes.length === 0) {
-            throw new Error('Empty proofs array');
-        }
-        
-        if (proofHashes.length === 1) {
-            return proofHashes[0];
-        }
-
-        let currentLevel = [...proofHashes];
-        
-        while (currentLevel.length > 1) {
-            const nextLevel = [];
-            
-            for (let i = 0; i < currentLevel.length; i += 2) {
-                if (i + 1 < currentLevel.length) {
-                    const combined = ethers.utils.solidityKeccak256(
-                        ['bytes32', 'bytes32'],
-                        [currentLevel[i], currentLevel[i + 1]]
-                    );
-                    nextLevel.push(combined);
-                } else {
-                    // Odd number, promote the last element
-                    nextLevel.push(currentLevel[i]);
-                }
-            }
-            
-            currentLevel = nextLevel;
-        }
-        
-        return currentLevel[0];
+    static buildMerkleTree(proofHashes, mode = merkle.TREE_MODES.LEGACY) {
+        return merkle.buildMerkleTree(proofHashes, mode);
     }
 
     /**
      * Generate merkle proof for a specific leaf
      * @param {Array<string>} proofHashes - Array of proof hashes
      * @param {number} leafIndex - Index of the leaf to prove
+     * @param {number} mode - Tree mode (defaults to legacy)
      */
-    static generateMerkleProof(proofHashes, leafIndex) {
-        if (leafIndex >= proofHashes.length) {
-            throw new Error('Leaf index out of bounds');
-        }
-
-        const path = [];
-        let currentLevel = [...proofHashes];
-        let index = leafIndex;
-        
-        while (currentLevel.length > 1) {
-            // Add sibling to path
-            if (index % 2 === 0) {
-                // Left child, sibling is right
-                if (index + 1 < currentLevel.length) {
-                    path.push(currentLevel[index + 1]);
-                }
-            } else {
-                // Right child, sibling is left
-                path.push(currentLevel[index - 1]);
-            }
-            
-            // Build next level
-            const nextLevel = [];
-            for (let i = 0; i < currentLevel.length; i += 2) {
-                if (i + 1 < currentLevel.length) {
-                    const combined = ethers.utils.solidityKeccak256(
-                        ['bytes32', 'bytes32'],
-                        [currentLevel[i], currentLevel[i + 1]]
-                    );
-                    nextLevel.push(combined);
-                } else {
-                    nextLevel.push(currentLevel[i]);
-                }
-            }
-            
-            currentLevel = nextLevel;
-            index = Math.floor(index / 2);
-        }
-        
-        return {
-            path,
-            index: leafIndex,
-            leaf: proofHashes[leafIndex]
-        };
+    static generateMerkleProof(proofHashes, leafIndex, mode = merkle.TREE_MODES.LEGACY) {
+        return merkle.generateMerkleProof(proofHashes, leafIndex, mode);
     }
 
     /**
@@ -253,84 +478,99 @@ class SnarktorVerificationClient {
      * @param {number} index - Leaf index
      * @param {string} leaf - Leaf hash
      * @param {string} root - Root hash
+     * @param {number} mode - Tree mode (defaults to legacy)
      */
-    static verifyMerkleProof(path, index, leaf, root) {
-        let computedHash = leaf;
-        
-        for (let i = 0; i < path.length; i++) {
-            const proofElement = path[i];
-            
-            if (index % 2 === 0) {
-                computedHash = ethers.utils.solidityKeccak256(
-                    ['bytes32', 'bytes32'],
-                    [computedHash, proofElement]
-                );
-            } else {
-                computedHash = ethers.utils.solidityKeccak256(
-                    ['bytes32', 'bytes32'],
-                    [proofElement, computedHash]
-                );
-            }
-            
-            index = Math.floor(index / 2);
-        }
-        
-        return computedHash === root;
+    static verifyMerkleProof(path, index, leaf, root, mode = merkle.TREE_MODES.LEGACY) {
+        return merkle.verifyMerkleProof(path, index, leaf, root, mode);
+    }
+
+    /**
+     * Generate a multiproof proving several leaves at once
+     * @param {Array<string>} proofHashes - Array of proof hashes
+     * @param {Array<number>} leafIndices - Indices of the leaves to prove
+     * @param {number} mode - Tree mode (defaults to legacy)
+     */
+    static generateMultiProof(proofHashes, leafIndices, mode = merkle.TREE_MODES.LEGACY) {
+        return merkle.generateMultiProof(proofHashes, leafIndices, mode);
+    }
+
+    /**
+     * Verify a multiproof client-side
+     * @param {Object} multiProof - Multiproof from generateMultiProof
+     * @param {string} root - Root hash
+     */
+    static verifyMultiProof(multiProof, root) {
+        return merkle.verifyMultiProof(multiProof, root);
+    }
+
+    /**
+     * Prove a leaf through a chain of trees, each including the previous tree's root as a leaf
+     * @param {string} leaf - Leaf of the first tree
+     * @param {Array<Array<string>>} levels - Leaves of each tree, from the leaf's up to the final one
+     * @param {number} mode - Tree mode (defaults to legacy)
+     */
+    static generateChainedInclusionProof(leaf, levels, mode = merkle.TREE_MODES.LEGACY) {
+        return merkle.generateChainedInclusionProof(leaf, levels, mode);
+    }
+
+    /**
+     * Verify a chained proof client-side
+     * @param {Object} chainedProof - Chained proof from generateChainedInclusionProof
+     * @param {string} root - Root of the final tree
+     * @param {number} mode - Tree mode (defaults to legacy)
+     */
+    static verifyChainedMerkleProof(chainedProof, root, mode = merkle.TREE_MODES.LEGACY) {
+        return merkle.verifyChainedMerkleProof(chainedProof, root, mode);
     }
 
     /**
      * Validate proof structure for SNARKtor compatibility
      * @param {*} proofData - Proof data to validate
+     * @param {Object} options - Parsing options ({ hashVersion })
      */
-    static validateProofStructure(proofData) {
-        try {
-            const parsed = this.parseGenericProof(proofData);
-            return {
-                isValid: true,
-                proofHash: parsed.proofHash,
-                size: parsed.rawData.length
-            };
-        } catch (error) {
-            return {
-                isValid: false,
-                error: error.message
-            };
-        }
+    static validateProofStructure(proofData, options = {}) {
+        return proofs.validateProofStructure(proofData, options);
     }
 
     /**
      * Listen for verification events
      */
     onProofInclusionVerified(callback) {
-        this.contract.on('ProofInclusionVerified', callback);
+        this.binding.on('ProofInclusionVerified', callback);
     }
 
     onMerkleRootValidated(callback) {
-        this.contract.on('MerkleRootValidated', callback);
+        this.binding.on('MerkleRootValidated', callback);
+    }
+
+    /**
+     * Inspect the deployed bytecode and report which feature sets the contract supports
+     */
+    async probeContract() {
+        return await this.binding.probe();
+    }
+
+    /**
+     * Throw if the contract does not implement the features this client needs.
+     * Call once at startup before sending transactions.
+     */
+    async ensureCompatible() {
+        return await this.binding.assertFeatures(this.getRequiredFeatures());
+    }
+
+    /**
+     * Feature sets the contract must implement for this client
+     */
+    getRequiredFeatures() {
+        return ['verification'];
     }
 
     /**
-     * Get contract ABI (verification functions only)
+     * Get contract ABI (verification functions only), loaded from the compiled SnarktorVerifier artifact
      */
     getABI() {
-        return [
-            // Events
-            "event ProofInclusionVerified(bytes32 indexed baseProofHash, bytes32 indexed aggregatedHash, bool verified)",
-            "event MerkleRootValidated(bytes32 indexed merkleRoot, bool isValid)",
-            
-            // Read-only functions
-            "function verifyProofInclusion(bytes32 _baseProofHash, bytes32 _aggregatedHash, tuple(bytes32[] path, uint256 index, bytes32 leaf) calldata _merkleProof) external returns (bool)",
-            "function verifyMerkleRoot(bytes32 _merkleRoot, bytes32[] calldata _proofs) external returns (bool)",
-            "function getBaseProof(bytes32 _proofHash) external view returns (tuple(bytes32 proofHash, bytes32 publicInput, bytes32 verificationKey, bool exists))",
-            "function getAggregatedProof(bytes32 _aggregatedHash) external view returns (tuple(bytes32 aggregatedHash, bytes32 merkleRoot, bytes32[] includedProofs, bool exists))",
-            "function isBaseProofAvailable(bytes32 _proofHash) external view returns (bool)",
-            "function isAggregatedProofAvailable(bytes32 _aggregatedHash) external view returns (bool)",
-            
-            // Data provider functions (for adding verification data)
-            "function addBaseProofData(bytes32 _proofHash, bytes32 _publicInput, bytes32 _verificationKey) external",
-            "function addAggregatedProofData(bytes32 _aggregatedHash, bytes32 _merkleRoot, bytes32[] calldata _includedProofs) external"
-        ];
+        return loadAbi('SnarktorVerifier');
     }
 }
 
-module.exports = { SnarktorVerificationClient };
\ No newline at end of file
+module.exports = { SnarktorVerificationClient, ROLES };
\ No newline at end of file
@@ -0,0 +1,224 @@
+/**
+ * SNARKtor Verification-Key Registry Client
+ *
+ * A JavaScript client for the VerificationKeyRegistry contract. Registers verification key
+ * hashes with the circuit they belong to, and resolves the hash stored with a base proof
+ * back to its circuit name, proof system and version.
+ */
+
+const { ethers } = require('ethers');
+const { ContractBinding } = require('./core/ContractBinding');
+const { loadAbi } = require('./core/abi');
+const proofs = require('./core/proofs');
+
+const KEY_STATUS = Object.freeze({
+    ACTIVE: 'active',
+    DEPRECATED: 'deprecated',
+    UNREGISTERED: 'unregistered',
+    NONE: 'none'
+});
+
+/**
+ * Convert a registry record to a plain object
+ * @param {Object} record - getVerificationKey result
+ */
+function toKeyInfo(record) {
+    return {
+        keyHash: record.keyHash,
+        circuitName: record.circuitName,
+        proofSystem: record.proofSystem,
+        version: Number(record.version),
+        owner: record.owner,
+        deprecated: record.deprecated,
+        registeredAt: record.registeredAt.toNumber()
+    };
+}
+
+class VerificationKeyRegistryClient {
+    /**
+     * @param {string|Provider|Signer} connection - RPC URL, ethers Provider, or ethers Signer
+     * @param {string} contractAddress - Address of the VerificationKeyRegistry contract
+     * @param {string|Signer} signerOrKey - Private key or ethers Signer (optional)
+     */
+    constructor(connection, contractAddress, signerOrKey = null) {
+        this.binding = new ContractBinding(connection, contractAddress, this.getABI(), signerOrKey);
+        this.provider = this.binding.provider;
+        this.contractAddress = contractAddress;
+        this.wallet = this.binding.wallet;
+        this.contract = this.binding.contract;
+    }
+
+    /**
+     * Register a verification key for a circuit version
+     * The first account to register a circuit name owns it; later versions must come from that account.
+     * @param {string|Object} verificationKey - Verification key hash, or the key itself (see hashVerificationKey)
+     * @param {Object} metadata - { circuitName, proofSystem, version }
+     * @param {Object} options - Transaction options
+     */
+    async registerVerificationKey(verificationKey, metadata, options = {}) {
+        this.binding.requireWallet('registering verification keys');
+        const { circuitName, proofSystem, version } = metadata;
+
+        return await this.binding.send('registerVerificationKey', [
+            VerificationKeyRegistryClient.hashVerificationKey(verificationKey),
+            circuitName,
+            proofSystem,
+            version,
+            options
+        ]);
+    }
+
+    /**
+     * Mark a verification key as deprecated, or restore it (circuit owner only)
+     * @param {string} keyHash - Verification key hash
+     * @param {boolean} deprecated - New deprecation flag
+     * @param {Object} options - Transaction options
+     */
+    async deprecateVerificationKey(keyHash, deprecated = true, options = {}) {
+        this.binding.requireWallet('deprecating verification keys');
+        return await this.binding.send('setDeprecated', [keyHash, deprecated, options]);
+    }
+
+    /**
+     * Hand a circuit to another account (circuit owner only)
+     * @param {string} circuitName - Circuit name
+     * @param {string} newOwner - New owner address
+     * @param {Object} options - Transaction options
+     */
+    async transferCircuitOwnership(circuitName, newOwner, options = {}) {
+        this.binding.requireWallet('transferring circuits');
+        return await this.binding.send('transferCircuitOwnership', [circuitName, newOwner, options]);
+    }
+
+    /**
+     * Look up a registered verification key
+     * @param {string} keyHash - Verification key hash
+     * @returns {Object|null} { keyHash, circuitName, proofSystem, version, owner, deprecated, registeredAt }
+     */
+    async getVerificationKey(keyHash) {
+        const record = await this.binding.readOptional('getVerificationKey', [keyHash]);
+        return record ? toKeyInfo(record) : null;
+    }
+
+    /**
+     * Check if a verification key hash is registered
+     * @param {string} keyHash - Verification key hash
+     */
+    async isRegistered(keyHash) {
+        return await this.contract.isRegistered(keyHash);
+    }
+
+    /**
+     * Get every registered version of a circuit, in registration order
+     * @param {string} circuitName - Circuit name
+     */
+    async getCircuitVersions(circuitName) {
+        const hashes = await this.contract.getCircuitKeys(circuitName);
+        return await Promise.all(hashes.map(hash => this.getVerificationKey(hash)));
+    }
+
+    /**
+     * Get the highest non-deprecated version of a circuit
+     * @param {string} circuitName - Circuit name
+     * @returns {Object|null} Key details, or null if the circuit has no active key
+     */
+    async getLatestVerificationKey(circuitName) {
+        const keyHash = await this.contract.getLatestVerificationKey(circuitName);
+        return keyHash === ethers.constants.HashZero ? null : await this.getVerificationKey(keyHash);
+    }
+
+    /**
+     * Resolve a verification key hash to its circuit
+     * Never throws for unknown hashes; `status` tells them apart:
+     * 'active', 'deprecated', 'unregistered', or 'none' for the NO_VERIFICATION_KEY sentinel.
+     * @param {string} keyHash - Verification key hash
+     */
+    async resolveVerificationKey(keyHash) {
+        if (keyHash.toLowerCase() === proofs.NO_VERIFICATION_KEY.toLowerCase()) {
+            return { keyHash, status: KEY_STATUS.NONE };
+        }
+        const info = await this.getVerificationKey(keyHash);
+        if (!info) {
+            return { keyHash, status: KEY_STATUS.UNREGISTERED };
+        }
+        return { ...info, status: info.deprecated ? KEY_STATUS.DEPRECATED : KEY_STATUS.ACTIVE };
+    }
+
+    /**
+     * Resolve the circuit a base proof belongs to
+     * @param {string} proofHash - Hash of the base proof
+     * @param {SnarktorVerificationClient} verifier - Client of the verifier holding the base proof
+     * @returns {Object|null} { proofHash, publicInput, verificationKey: resolved key }, or null if unknown
+     */
+    async resolveBaseProof(proofHash, verifier) {
+        const baseProof = await verifier.getBaseProof(proofHash);
+        if (!baseProof) {
+            return null;
+        }
+
+        return {
+            proofHash: baseProof.proofHash,
+            publicInput: baseProof.publicInput,
+            verificationKey: await this.resolveVerificationKey(baseProof.verificationKey)
+        };
+    }
+
+    /**
+     * Hash a verification key the way submissions do
+     * bytes32 hex strings are taken as hashes already. Other keys are hashed canonically, as the
+     * generic submission path does; for adapter-parsed proofs register `submission.verificationKey`.
+     * @param {string|Object} verificationKey - Verification key or its hash
+     * @param {Object} options - Hashing options ({ hashVersion })
+     */
+    static hashVerificationKey(verificationKey, options = {}) {
+        if (ethers.utils.isHexString(verificationKey, 32)) {
+            return verificationKey;
+        }
+        return proofs.hashProofInputs(null, verificationKey, {
+            ...options,
+            missingInputs: proofs.MISSING_INPUT_MODES.SENTINEL
+        }).verificationKeyHash;
+    }
+
+    /**
+     * Listen for registrations
+     */
+    onVerificationKeyRegistered(callback) {
+        this.binding.on('VerificationKeyRegistered', callback);
+    }
+
+    onVerificationKeyDeprecated(callback) {
+        this.binding.on('VerificationKeyDeprecated', callback);
+    }
+
+    /**
+     * Inspect the deployed bytecode and report which feature sets the contract supports
+     */
+    async probeContract() {
+        return await this.binding.probe();
+    }
+
+    /**
+     * Throw if the contract does not implement the features this client needs.
+     * Call once at startup before sending transactions.
+     */
+    async ensureCompatible() {
+        return await this.binding.assertFeatures(this.getRequiredFeatures());
+    }
+
+    /**
+     * Feature sets the contract must implement for this client
+     */
+    getRequiredFeatures() {
+        return ['verificationKeyRegistry'];
+    }
+
+    /**
+     * Get contract ABI, loaded from the compiled VerificationKeyRegistry artifact
+     */
+    getABI() {
+        return loadAbi('VerificationKeyRegistry');
+    }
+}
+
+module.exports = { VerificationKeyRegistryClient, KEY_STATUS };
@@ -0,0 +1,245 @@
+/**
+ * SNARKtor Proof-Format Registry
+ *
+ * Maps proof formats to the adapters that detect, parse, encode and validate them,
+ * so applications can add their own proving systems without forking the library.
+ *
+ * A format is an object:
+ *   name        - Unique format name, reported as `format` in standardized submissions
+ *   detect      - (data) => confidence in [0, 1] that `data` is in this format (0 = no match)
+ *   parse       - (data, publicSignals, verificationKey, options) => parsed proof; throws on invalid input
+ *   encode      - (parsed) => canonical proof bytes (hex); proofHash is their keccak256
+ *   validate    - (data, publicSignals, verificationKey) => { isValid, error } (optional)
+ *   standardize - (data, publicSignals, verificationKey, options) => submission (optional)
+ *
+ * Without `standardize`, parsed proofs must expose `system`, `publicSignals` and
+ * `verificationKey` (and optionally `curve`); those are hashed with hashProofInputs.
+ */
+
+const { buildSubmission } = require('./common');
+const groth16 = require('./groth16');
+const plonk = require('./plonk');
+const receipt = require('./receipt');
+const proofs = require('../core/proofs');
+
+/**
+ * Fallback format: raw bytes, text or `{ proof, publicSignals, vk }` objects hashed canonically
+ */
+const GENERIC_FORMAT = Object.freeze({
+    name: 'generic',
+    detect(data) {
+        if (typeof data === 'string' || Buffer.isBuffer(data)) {
+            return 0.1;
+        }
+        return data && typeof data === 'object' && data.proof !== undefined ? 0.1 : 0;
+    },
+    parse: (data, publicSignals, verificationKey, options = {}) => proofs.parseGenericProof(data, options),
+    encode: parsed => parsed.rawData,
+    validate: data => proofs.validateProofStructure(data),
+    standardize(data, publicSignals, verificationKey, options = {}) {
+        const parsed = proofs.parseGenericProof(data, options);
+        const inputs = proofs.hashProofInputs(publicSignals, verificationKey, options);
+
+        return {
+            proofSystem: 'generic',
+            proofData: parsed.rawData,
+            proofHash: parsed.proofHash,
+            publicInput: inputs.publicInputHash,
+            verificationKey: inputs.verificationKeyHash,
+            hashVersion: parsed.hashVersion,
+            warnings: inputs.warnings,
+            structured: parsed.structured || data
+        };
+    }
+});
+
+class ProofFormatRegistry {
+    /**
+     * @param {Array<Object>} formats - Formats to register, in order
+     */
+    constructor(formats = []) {
+        this.formats = new Map();
+        formats.forEach(format => this.register(format));
+    }
+
+    /**
+     * Register a proof format, replacing any format with the same name
+     * @param {Object} format - Format definition (see module documentation)
+     */
+    register(format) {
+        if (!format || typeof format.name !== 'string' || format.name === '') {
+            throw new Error('Proof format name required');
+        }
+        for (const method of ['detect', 'parse', 'encode']) {
+            if (typeof format[method] !== 'function') {
+                throw new Error(`Proof format ${format.name} must implement ${method}`);
+            }
+        }
+        this.formats.set(format.name, format);
+        return this;
+    }
+
+    /**
+     * Remove a registered format
+     * @param {string} name - Format name
+     */
+    unregister(name) {
+        return this.formats.delete(name);
+    }
+
+    /**
+     * Get a registered format by name
+     * @param {string} name - Format name
+     */
+    get(name) {
+        const format = this.formats.get(name);
+        if (!format) {
+            throw new Error(`Unknown proof format: ${name}`);
+        }
+        return format;
+    }
+
+    /**
+     * Check whether a format is registered
+     * @param {string} name - Format name
+     */
+    has(name) {
+        return this.formats.has(name);
+    }
+
+    /**
+     * Names of all registered formats, in registration order
+     */
+    list() {
+        return Array.from(this.formats.keys());
+    }
+
+    /**
+     * Score proof data against every registered format
+     * A detector that throws is treated as no match.
+     * @param {*} data - Proof data
+     * @returns {Array<Object>} Matches as { format, confidence }, best first
+     */
+    detectAll(data) {
+        const matches = [];
+        for (const format of this.formats.values()) {
+            let confidence;
+            try {
+                confidence = Number(format.detect(data)) || 0;
+            } catch (error) {
+                confidence = 0;
+            }
+            if (confidence > 0) {
+                matches.push({ format: format.name, confidence: Math.min(confidence, 1) });
+            }
+        }
+        // Stable sort keeps registration order between equal scores
+        return matches.sort((a, b) => b.confidence - a.confidence);
+    }
+
+    /**
+     * Find the best-matching format for proof data
+     * @param {*} data - Proof data
+     * @returns {Object|null} { format, confidence }, or null when nothing matches
+     */
+    detectFormat(data) {
+        const [best] = this.detectAll(data);
+        return best || null;
+    }
+
+    /**
+     * Resolve the format to use: a named format, or the best match for 'auto'
+     * @param {*} data - Proof data
+     * @param {string} name - Format name or 'auto'
+     */
+    resolveFormat(data, name = 'auto') {
+        if (name !== 'auto') {
+            return { format: this.get(name), confidence: null };
+        }
+        const match = this.detectFormat(data);
+        if (!match) {
+            throw new Error('Unrecognized proof format');
+        }
+        return { format: this.get(match.format), confidence: match.confidence };
+    }
+
+    /**
+     * Parse proof data with a named or detected format
+     * @param {*} data - Proof data
+     * @param {*} publicSignals - Public signals (optional)
+     * @param {*} verificationKey - Verification key (optional)
+     * @param {Object} options - Options passed to the format, plus `format` (name or 'auto')
+     */
+    parse(data, publicSignals = null, verificationKey = null, options = {}) {
+        const { format } = this.resolveFormat(data, options.format);
+        return format.parse(data, publicSignals, verificationKey, options);
+    }
+
+    /**
+     * Standardize proof data into a SNARKtor submission with a named or detected format
+     * @param {*} data - Proof data
+     * @param {*} publicSignals - Public signals (optional)
+     * @param {*} verificationKey - Verification key (optional)
+     * @param {Object} options - Options passed to the format, plus `format` (name or 'auto')
+     */
+    standardize(data, publicSignals = null, verificationKey = null, options = {}) {
+        const { format, confidence } = this.resolveFormat(data, options.format);
+
+        let submission;
+        if (format.standardize) {
+            submission = format.standardize(data, publicSignals, verificationKey, options);
+        } else {
+            const parsed = format.parse(data, publicSignals, verificationKey, options);
+            submission = buildSubmission(parsed, format.encode(parsed), options);
+        }
+        return { ...submission, format: format.name, confidence };
+    }
+
+    /**
+     * Validate proof data with a named or detected format, without throwing
+     * @param {*} data - Proof data
+     * @param {*} publicSignals - Public signals (optional)
+     * @param {*} verificationKey - Verification key (optional)
+     * @param {Object} options - Options passed to the format, plus `format` (name or 'auto')
+     */
+    validate(data, publicSignals = null, verificationKey = null, options = {}) {
+        try {
+            const { format, confidence } = this.resolveFormat(data, options.format);
+            if (format.validate) {
+                return { ...format.validate(data, publicSignals, verificationKey), format: format.name, confidence };
+            }
+            const { proofHash } = this.standardize(
+                data, publicSignals, verificationKey, { ...options, format: format.name }
+            );
+            return { isValid: true, proofHash, format: format.name, confidence };
+        } catch (error) {
+            return {
+                isValid: false,
+                error: error.message
+            };
+        }
+    }
+}
+
+/**
+ * Create a registry holding the built-in formats
+ * Groth16, PLONK, fflonk, gnark PLONK, RISC Zero, STARK and the generic fallback.
+ */
+function createDefaultRegistry() {
+    return new ProofFormatRegistry([
+        ...groth16.FORMATS,
+        ...plonk.FORMATS,
+        ...receipt.FORMATS,
+        GENERIC_FORMAT
+    ]);
+}
+
+// Shared by the clients; formats registered here are available to every client
+const defaultRegistry = createDefaultRegistry();
+
+module.exports = {
+    ProofFormatRegistry,
+    GENERIC_FORMAT,
+    createDefaultRegistry,
+    defaultRegistry
+};
@@ -0,0 +1,105 @@
+/**
+ * SNARKtor Aggregated Proof Adapter
+ *
+ * Formats the on-chain check of the aggregated (recursive) proof: the merkle root limbs the
+ * final circuit exposes as public inputs, the proof bytes passed to an IAggregatedProofVerifier,
+ * and the constructor arguments of Groth16AggregatedProofVerifier.
+ */
+
+const { ethers } = require('ethers');
+const groth16 = require('./groth16');
+const merkle = require('../core/merkle');
+
+const LIMB_BITS = 128n;
+const LIMB_MASK = (1n << LIMB_BITS) - 1n;
+
+/**
+ * Split a merkle root into the public inputs binding it to the aggregated proof
+ * Matches SnarktorVerifier.aggregatedProofPublicInputs: [high 128 bits, low 128 bits].
+ * @param {string} merkleRoot - bytes32 merkle root
+ * @returns {Array<string>} Decimal strings [hi, lo]
+ */
+function aggregatedProofPublicInputs(merkleRoot) {
+    if (!ethers.utils.isHexString(merkleRoot, 32)) {
+        throw new Error('Merkle root must be a bytes32 hex string');
+    }
+    const root = BigInt(merkleRoot);
+    return [(root >> LIMB_BITS).toString(), (root & LIMB_MASK).toString()];
+}
+
+/**
+ * Join public-input limbs back into a merkle root
+ * @param {Array<string|bigint>} limbs - [hi, lo]
+ */
+function merkleRootFromPublicInputs(limbs) {
+    const [hi, lo] = limbs.map(limb => BigInt(limb));
+    if (hi > LIMB_MASK || lo > LIMB_MASK) {
+        throw new Error('Merkle root limbs must be 128-bit values');
+    }
+    return ethers.utils.hexZeroPad(ethers.BigNumber.from(((hi << LIMB_BITS) | lo).toString()).toHexString(), 32);
+}
+
+/**
+ * Encode an aggregated proof for an IAggregatedProofVerifier
+ * Bytes pass through unchanged; snarkjs Groth16 proofs (BN254) become abi.encode(a, b, c).
+ * @param {*} proof - Proof bytes or a snarkjs Groth16 proof object / JSON text
+ */
+function encodeAggregatedProof(proof) {
+    if (ethers.utils.isBytesLike(proof)) {
+        return ethers.utils.hexlify(proof);
+    }
+    const parsed = groth16.parseGroth16Proof(proof);
+    if (parsed.curve !== 'bn128') {
+        throw new Error('Aggregated Groth16 proofs must use BN254');
+    }
+    return groth16.encodeGroth16Proof(parsed);
+}
+
+/**
+ * Build the arguments of SnarktorVerifier.addVerifiedAggregatedProofData
+ * @param {Object} record - { aggregatedHash, merkleRoot, includedProofs, treeMode, proof }
+ * @returns {Object} { args, publicInputs }
+ */
+function formatVerifiedAggregatedProofCall(record) {
+    const treeMode = record.treeMode === undefined ? merkle.TREE_MODES.LEGACY : record.treeMode;
+    return {
+        args: [
+            record.aggregatedHash,
+            record.merkleRoot,
+            record.includedProofs,
+            treeMode,
+            encodeAggregatedProof(record.proof)
+        ],
+        publicInputs: aggregatedProofPublicInputs(record.merkleRoot)
+    };
+}
+
+/**
+ * Format a snarkjs Groth16 verification key as Groth16AggregatedProofVerifier constructor arguments
+ * G2 coordinates are swapped to [[x1, x0], [y1, y0]] as the pairing precompile expects.
+ * @param {Object|string} verificationKey - verification_key.json of the SNARKtor final circuit
+ * @returns {Array} [alpha, beta, gamma, delta, ic]
+ */
+function formatGroth16VerifierKey(verificationKey) {
+    const vk = groth16.parseGroth16VerificationKey(verificationKey);
+    if (vk.curve !== 'bn128') {
+        throw new Error('Groth16AggregatedProofVerifier only supports BN254 keys');
+    }
+    const swap = point => [[point[0][1], point[0][0]], [point[1][1], point[1][0]]];
+
+    return [
+        vk.vk_alpha_1,
+        swap(vk.vk_beta_2),
+        swap(vk.vk_gamma_2),
+        swap(vk.vk_delta_2),
+        vk.IC
+    ];
+}
+
+module.exports = {
+    aggregatedProofPublicInputs,
+    merkleRootFromPublicInputs,
+    encodeAggregatedProof,
+    formatVerifiedAggregatedProofCall,
+    formatGroth16VerifierKey
+};
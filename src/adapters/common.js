@@ -0,0 +1,192 @@
+/**
+ * SNARKtor Adapter Helpers
+ *
+ * Input handling and output shaping shared by the proof-format adapters.
+ */
+
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { resolveCurve, parseFieldElement } = require('./curves');
+const { hashBytes } = require('../core/hashing');
+const { hashProofInputs } = require('../core/proofs');
+
+/**
+ * Accept either a parsed object or the JSON text of a prover output file
+ * @param {Object|string} value - Object or JSON text
+ * @param {string} label - Name used in error messages
+ */
+function readJson(value, label) {
+    if (typeof value !== 'string') {
+        return value;
+    }
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        throw new Error(`${label} is not valid JSON`);
+    }
+}
+
+/**
+ * Return the plain object behind a value for format detection, or null
+ * JSON text is parsed; bytes, arrays and other values yield null.
+ * @param {*} data - Candidate proof data
+ */
+function readJsonObject(data) {
+    let value = data;
+    if (typeof value === 'string') {
+        if (!value.trim().startsWith('{')) {
+            return null;
+        }
+        try {
+            value = JSON.parse(value);
+        } catch (error) {
+            return null;
+        }
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value) || ethers.utils.isBytesLike(value)) {
+        return null;
+    }
+    return value;
+}
+
+/**
+ * Return the inner proof of a `{ proof, publicSignals }` wrapper, or the object itself
+ * @param {Object|null} value - Object returned by readJsonObject
+ */
+function unwrapProofObject(value) {
+    if (value && value.proof && typeof value.proof === 'object' && !ethers.utils.isBytesLike(value.proof)) {
+        return value.proof;
+    }
+    return value;
+}
+
+/**
+ * Read prover output files from disk
+ * @param {string} proofPath - Path to proof.json
+ * @param {string} publicPath - Path to public.json (optional)
+ * @param {string} verificationKeyPath - Path to verification_key.json (optional)
+ */
+function readProofFiles(proofPath, publicPath = null, verificationKeyPath = null) {
+    const read = filePath => (filePath ? fs.readFileSync(filePath, 'utf8') : null);
+    return {
+        proof: readJson(read(proofPath), proofPath),
+        publicSignals: readJson(read(publicPath), publicPath),
+        verificationKey: readJson(read(verificationKeyPath), verificationKeyPath)
+    };
+}
+
+/**
+ * Check that a snarkjs object declares the expected protocol, if it declares one
+ * @param {Object} value - Proof or verification key
+ * @param {string} protocol - Expected protocol
+ * @param {string} label - Name used in error messages
+ */
+function assertProtocol(value, protocol, label) {
+    if (value.protocol !== undefined && value.protocol !== protocol) {
+        throw new Error(`${label} protocol is ${value.protocol}, expected ${protocol}`);
+    }
+}
+
+/**
+ * Resolve the curve shared by a proof and its verification key
+ * @param {Object} proof - Proof object
+ * @param {Object} verificationKey - Verification key (optional)
+ */
+function resolveProofCurve(proof, verificationKey) {
+    const curve = resolveCurve(proof.curve || (verificationKey && verificationKey.curve) || 'bn128');
+    if (verificationKey && verificationKey.curve && resolveCurve(verificationKey.curve) !== curve) {
+        throw new Error('Proof and verification key use different curves');
+    }
+    return curve;
+}
+
+/**
+ * Parse a G1 or G2 point that must not be the point at infinity
+ * @param {Function} parse - parseG1Point or parseG2Point
+ * @param {Array} coords - Point coordinates
+ * @param {Object} curve - Curve from CURVES
+ * @param {string} label - Name used in error messages
+ */
+function requirePoint(parse, coords, curve, label) {
+    const point = parse(coords, curve, label);
+    if (point === null) {
+        throw new Error(`${label} must not be the point at infinity`);
+    }
+    return point;
+}
+
+/**
+ * Convert a bigint, or nested arrays of them, to decimal strings
+ * @param {bigint|Array} value - Value to convert
+ */
+function toDecimal(value) {
+    return Array.isArray(value) ? value.map(toDecimal) : value.toString();
+}
+
+/**
+ * Parse public signals as scalar field elements
+ * @param {Array|string|null} publicSignals - Public signals or their JSON text
+ * @param {Object} curve - Curve from CURVES
+ * @returns {Array<string>|null} Decimal strings, or null when omitted
+ */
+function parsePublicSignals(publicSignals, curve) {
+    publicSignals = readJson(publicSignals, 'Public signals');
+    if (publicSignals === null || publicSignals === undefined) {
+        return null;
+    }
+    if (!Array.isArray(publicSignals)) {
+        throw new Error('Public signals must be an array');
+    }
+    return publicSignals.map((signal, i) =>
+        parseFieldElement(signal, curve.r, `publicSignals[${i}]`).toString()
+    );
+}
+
+/**
+ * Check the number of public signals against a verification key's nPublic
+ * @param {Array<string>|null} publicSignals - Parsed public signals
+ * @param {Object|null} verificationKey - Parsed verification key
+ */
+function assertSignalCount(publicSignals, verificationKey) {
+    if (verificationKey && publicSignals && publicSignals.length !== verificationKey.nPublic) {
+        throw new Error(
+            `Verification key expects ${verificationKey.nPublic} public signals, got ${publicSignals.length}`
+        );
+    }
+}
+
+/**
+ * Build the standardized submission shared by all adapters
+ * @param {Object} parsed - Parsed proof ({ system, curve, publicSignals, verificationKey, ... })
+ * @param {string} proofData - Encoded proof bytes
+ * @param {Object} options - Hashing options ({ hashVersion, missingInputs })
+ */
+function buildSubmission(parsed, proofData, options = {}) {
+    const inputs = hashProofInputs(parsed.publicSignals, parsed.verificationKey, options);
+
+    return {
+        proofSystem: parsed.system,
+        curve: parsed.curve,
+        proofData,
+        proofHash: hashBytes(proofData),
+        publicInput: inputs.publicInputHash,
+        verificationKey: inputs.verificationKeyHash,
+        hashVersion: inputs.hashVersion,
+        warnings: inputs.warnings,
+        structured: parsed
+    };
+}
+
+module.exports = {
+    readJson,
+    readJsonObject,
+    unwrapProofObject,
+    readProofFiles,
+    assertProtocol,
+    resolveProofCurve,
+    requirePoint,
+    toDecimal,
+    parsePublicSignals,
+    assertSignalCount,
+    buildSubmission
+};
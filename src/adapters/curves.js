@@ -0,0 +1,214 @@
+/**
+ * SNARKtor Pairing Curve Helpers
+ *
+ * Field and curve-point checks for the pairing-friendly curves used by SNARK
+ * proving systems (BN254 and BLS12-381), shared by the proof-format adapters.
+ * Points are checked for field range and curve membership; subgroup membership
+ * is left to the verifier (the EVM pairing precompiles enforce it).
+ */
+
+/**
+ * Add two Fp2 elements ([c0, c1] = c0 + c1·u, with u² = -1)
+ */
+function fp2Add(a, b, p) {
+    return [(a[0] + b[0]) % p, (a[1] + b[1]) % p];
+}
+
+/**
+ * Multiply two Fp2 elements
+ */
+function fp2Mul(a, b, p) {
+    return [
+        mod(a[0] * b[0] - a[1] * b[1], p),
+        mod(a[0] * b[1] + a[1] * b[0], p)
+    ];
+}
+
+/**
+ * Invert a non-zero Fp2 element
+ */
+function fp2Inv(a, p) {
+    const norm = mod(a[0] * a[0] + a[1] * a[1], p);
+    const inv = modPow(norm, p - 2n, p);
+    return [mod(a[0] * inv, p), mod(-a[1] * inv, p)];
+}
+
+/**
+ * Reduce a bigint into [0, p)
+ */
+function mod(a, p) {
+    const r = a % p;
+    return r < 0n ? r + p : r;
+}
+
+/**
+ * Modular exponentiation by squaring
+ */
+function modPow(base, exponent, p) {
+    let result = 1n;
+    base = mod(base, p);
+    while (exponent > 0n) {
+        if (exponent & 1n) result = (result * base) % p;
+        base = (base * base) % p;
+        exponent >>= 1n;
+    }
+    return result;
+}
+
+const BN254_P = 21888242871839275222246405745257275088696311157297823662689037894645226208583n;
+const BLS12_381_P = BigInt(
+    '0x1a0111ea397fe69a4b1ba7b6434bacd764774b84f38512bf6730d2a0f6b0f6241eabfffeb153ffffb9feffffffffaaab'
+);
+
+/**
+ * Supported curves, keyed by the name snarkjs writes in proof and key files
+ * p is the base field modulus, r the scalar field (public signal) modulus and
+ * b / b2 the G1 / G2 curve coefficients of y² = x³ + b.
+ */
+const CURVES = Object.freeze({
+    bn128: Object.freeze({
+        name: 'bn128',
+        p: BN254_P,
+        r: 21888242871839275222246405745257275088548364400416034343698204186575808495617n,
+        fieldBytes: 32,
+        b: 3n,
+        b2: fp2Mul([3n, 0n], fp2Inv([9n, 1n], BN254_P), BN254_P)
+    }),
+    bls12381: Object.freeze({
+        name: 'bls12381',
+        p: BLS12_381_P,
+        r: BigInt('0x73eda753299d7d483339d80809a1d80553bda402fffe5bfeffffffff00000001'),
+        fieldBytes: 48,
+        b: 4n,
+        b2: [4n, 4n]
+    })
+});
+
+const CURVE_ALIASES = {
+    bn128: 'bn128',
+    bn254: 'bn128',
+    altbn128: 'bn128',
+    bls12381: 'bls12381'
+};
+
+/**
+ * Resolve a curve by name (bn128, bn254, alt_bn128, bls12381, bls12-381)
+ * @param {string} name - Curve name
+ */
+function resolveCurve(name) {
+    const key = CURVE_ALIASES[String(name || '').toLowerCase().replace(/[-_]/g, '')];
+    if (!key) {
+        throw new Error(`Unsupported curve: ${name}`);
+    }
+    return CURVES[key];
+}
+
+/**
+ * Parse a field element given as a decimal or 0x-hex string, number or bigint
+ * @param {*} value - Field element
+ * @param {bigint} modulus - Field modulus the element must be below
+ * @param {string} label - Name used in error messages
+ */
+function parseFieldElement(value, modulus, label) {
+    let element;
+    try {
+        if (typeof value === 'bigint') {
+            element = value;
+        } else if (typeof value === 'number' && Number.isSafeInteger(value)) {
+            element = BigInt(value);
+        } else if (typeof value === 'string' && /^(0x[0-9a-fA-F]+|[0-9]+)$/.test(value)) {
+            element = BigInt(value);
+        }
+    } catch (error) {
+        element = undefined;
+    }
+
+    if (element === undefined || element < 0n) {
+        throw new Error(`${label} is not a valid field element`);
+    }
+    if (element >= modulus) {
+        throw new Error(`${label} is out of range for the field`);
+    }
+    return element;
+}
+
+/**
+ * Parse and check a G1 point given as [x, y] or snarkjs projective [x, y, z]
+ * Returns null for the point at infinity.
+ * @param {Array} coords - Point coordinates
+ * @param {Object} curve - Curve from CURVES
+ * @param {string} label - Name used in error messages
+ */
+function parseG1Point(coords, curve, label) {
+    if (!Array.isArray(coords) || (coords.length !== 2 && coords.length !== 3)) {
+        throw new Error(`${label} must be a G1 point [x, y] or [x, y, z]`);
+    }
+    const x = parseFieldElement(coords[0], curve.p, `${label}.x`);
+    const y = parseFieldElement(coords[1], curve.p, `${label}.y`);
+
+    if (coords.length === 3) {
+        const z = parseFieldElement(coords[2], curve.p, `${label}.z`);
+        if (z === 0n) {
+            return null;
+        }
+        if (z !== 1n) {
+            throw new Error(`${label} must be in affine form (z = 1)`);
+        }
+    }
+
+    if (mod(y * y - (x * x * x + curve.b), curve.p) !== 0n) {
+        throw new Error(`${label} is not on the ${curve.name} G1 curve`);
+    }
+    return [x, y];
+}
+
+/**
+ * Parse and check a G2 point given as [[x0, x1], [y0, y1]] or with a third [z0, z1] row
+ * Coordinates are Fp2 elements c0 + c1·u, in snarkjs order. Returns null for infinity.
+ * @param {Array} coords - Point coordinates
+ * @param {Object} curve - Curve from CURVES
+ * @param {string} label - Name used in error messages
+ */
+function parseG2Point(coords, curve, label) {
+    const isFp2 = value => Array.isArray(value) && value.length === 2;
+    if (!Array.isArray(coords) || (coords.length !== 2 && coords.length !== 3) || !coords.every(isFp2)) {
+        throw new Error(`${label} must be a G2 point [[x0, x1], [y0, y1]] or with a z row`);
+    }
+    const x = coords[0].map((c, i) => parseFieldElement(c, curve.p, `${label}.x[${i}]`));
+    const y = coords[1].map((c, i) => parseFieldElement(c, curve.p, `${label}.y[${i}]`));
+
+    if (coords.length === 3) {
+        const z = coords[2].map((c, i) => parseFieldElement(c, curve.p, `${label}.z[${i}]`));
+        if (z[0] === 0n && z[1] === 0n) {
+            return null;
+        }
+        if (z[0] !== 1n || z[1] !== 0n) {
+            throw new Error(`${label} must be in affine form (z = 1)`);
+        }
+    }
+
+    const lhs = fp2Mul(y, y, curve.p);
+    const rhs = fp2Add(fp2Mul(fp2Mul(x, x, curve.p), x, curve.p), curve.b2, curve.p);
+    if (lhs[0] !== rhs[0] || lhs[1] !== rhs[1]) {
+        throw new Error(`${label} is not on the ${curve.name} G2 curve`);
+    }
+    return [x, y];
+}
+
+/**
+ * Encode a field element as a fixed-width big-endian hex string (no 0x prefix)
+ * @param {bigint} value - Field element
+ * @param {Object} curve - Curve from CURVES
+ */
+function encodeFieldElement(value, curve) {
+    return value.toString(16).padStart(curve.fieldBytes * 2, '0');
+}
+
+module.exports = {
+    CURVES,
+    resolveCurve,
+    parseFieldElement,
+    parseG1Point,
+    parseG2Point,
+    encodeFieldElement
+};
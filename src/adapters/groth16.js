@@ -0,0 +1,227 @@
+/**
+ * SNARKtor Groth16 Adapter
+ *
+ * Parses snarkjs Groth16 outputs (proof.json, public.json, verification_key.json),
+ * validates every point and field element for BN254 or BLS12-381, encodes the proof
+ * the way snarkjs-generated Solidity verifiers expect and produces the
+ * proofHash/publicInput/verificationKey triple used by the SNARKtor clients.
+ */
+
+const { ethers } = require('ethers');
+const {
+    resolveCurve,
+    parseG1Point,
+    parseG2Point,
+    encodeFieldElement
+} = require('./curves');
+const {
+    readJson,
+    readJsonObject,
+    unwrapProofObject,
+    readProofFiles,
+    assertProtocol,
+    resolveProofCurve,
+    requirePoint,
+    toDecimal,
+    parsePublicSignals,
+    assertSignalCount,
+    buildSubmission
+} = require('./common');
+const { hashBytes } = require('../core/hashing');
+
+const PROOF_SYSTEM = 'groth16';
+
+/**
+ * Parse and validate a Groth16 verification key
+ * @param {Object} vk - snarkjs verification_key.json contents
+ * @param {Object} curve - Curve from CURVES
+ */
+function parseVerificationKey(vk, curve) {
+    assertProtocol(vk, PROOF_SYSTEM, 'Verification key');
+    if (!Array.isArray(vk.IC) || vk.IC.length === 0) {
+        throw new Error('Verification key IC must be a non-empty array');
+    }
+    const nPublic = vk.nPublic === undefined ? vk.IC.length - 1 : Number(vk.nPublic);
+    if (vk.IC.length !== nPublic + 1) {
+        throw new Error(`Verification key has ${vk.IC.length} IC points for ${nPublic} public signals`);
+    }
+
+    return {
+        protocol: PROOF_SYSTEM,
+        curve: curve.name,
+        nPublic,
+        vk_alpha_1: toDecimal(requirePoint(parseG1Point, vk.vk_alpha_1, curve, 'vk_alpha_1')),
+        vk_beta_2: toDecimal(requirePoint(parseG2Point, vk.vk_beta_2, curve, 'vk_beta_2')),
+        vk_gamma_2: toDecimal(requirePoint(parseG2Point, vk.vk_gamma_2, curve, 'vk_gamma_2')),
+        vk_delta_2: toDecimal(requirePoint(parseG2Point, vk.vk_delta_2, curve, 'vk_delta_2')),
+        IC: vk.IC.map((point, i) => toDecimal(parseG1Point(point, curve, `IC[${i}]`) || [0n, 0n]))
+    };
+}
+
+/**
+ * Parse and validate a standalone snarkjs Groth16 verification key
+ * @param {Object|string} verificationKey - verification_key.json contents
+ */
+function parseGroth16VerificationKey(verificationKey) {
+    const vk = readJson(verificationKey, 'Verification key');
+    if (!vk || typeof vk !== 'object') {
+        throw new Error('Groth16 verification key must be an object');
+    }
+    return parseVerificationKey(vk, resolveCurve(vk.curve || 'bn128'));
+}
+
+/**
+ * Parse and validate a snarkjs Groth16 proof
+ * The proof may also be a `{ proof, publicSignals }` object as returned by groth16.fullProve.
+ * @param {Object|string} proof - proof.json contents
+ * @param {Array|string} publicSignals - public.json contents (optional)
+ * @param {Object|string} verificationKey - verification_key.json contents (optional)
+ * @returns {Object} Normalized { system, curve, proof, publicSignals, verificationKey } with decimal strings
+ */
+function parseGroth16Proof(proof, publicSignals = null, verificationKey = null) {
+    proof = readJson(proof, 'Proof');
+    if (!proof || typeof proof !== 'object') {
+        throw new Error('Groth16 proof must be an object');
+    }
+    if (proof.proof && typeof proof.proof === 'object') {
+        publicSignals = publicSignals === null ? proof.publicSignals || null : publicSignals;
+        proof = proof.proof;
+    }
+    verificationKey = readJson(verificationKey, 'Verification key');
+
+    assertProtocol(proof, PROOF_SYSTEM, 'Proof');
+    const curve = resolveProofCurve(proof, verificationKey);
+
+    const normalizedProof = {
+        pi_a: toDecimal(requirePoint(parseG1Point, proof.pi_a, curve, 'pi_a')),
+        pi_b: toDecimal(requirePoint(parseG2Point, proof.pi_b, curve, 'pi_b')),
+        pi_c: toDecimal(requirePoint(parseG1Point, proof.pi_c, curve, 'pi_c'))
+    };
+
+    const normalizedSignals = parsePublicSignals(publicSignals, curve);
+    const normalizedKey = verificationKey ? parseVerificationKey(verificationKey, curve) : null;
+    assertSignalCount(normalizedSignals, normalizedKey);
+
+    return {
+        system: PROOF_SYSTEM,
+        curve: curve.name,
+        proof: normalizedProof,
+        publicSignals: normalizedSignals,
+        verificationKey: normalizedKey
+    };
+}
+
+/**
+ * Encode the proof points in Solidity verifier order
+ * pi_b coordinates are swapped to [[x1, x0], [y1, y0]] as the EVM pairing precompile expects.
+ * For BN254 the result equals abi.encode(uint256[2] a, uint256[2][2] b, uint256[2] c).
+ * @param {Object} parsed - Output of parseGroth16Proof
+ */
+function encodeGroth16Proof(parsed) {
+    const curve = resolveCurve(parsed.curve);
+    const { pi_a: a, pi_b: b, pi_c: c } = parsed.proof;
+    const words = [a[0], a[1], b[0][1], b[0][0], b[1][1], b[1][0], c[0], c[1]];
+    return '0x' + words.map(word => encodeFieldElement(BigInt(word), curve)).join('');
+}
+
+/**
+ * Build the arguments of a snarkjs-generated verifyProof(a, b, c, input) call
+ * Only BN254 proofs fit the uint256 arguments of Solidity verifiers.
+ * @param {Object} parsed - Output of parseGroth16Proof
+ */
+function encodeGroth16Calldata(parsed) {
+    if (parsed.curve !== 'bn128') {
+        throw new Error('Solidity verifier calldata is only supported for BN254 proofs');
+    }
+    const { pi_a: a, pi_b: b, pi_c: c } = parsed.proof;
+    const input = parsed.publicSignals || [];
+    const args = {
+        a: [a[0], a[1]],
+        b: [[b[0][1], b[0][0]], [b[1][1], b[1][0]]],
+        c: [c[0], c[1]],
+        input
+    };
+
+    return {
+        ...args,
+        calldata: ethers.utils.defaultAbiCoder.encode(
+            ['uint256[2]', 'uint256[2][2]', 'uint256[2]', `uint256[${input.length}]`],
+            [args.a, args.b, args.c, input]
+        )
+    };
+}
+
+/**
+ * Parse a Groth16 proof into a standardized SNARKtor submission
+ * proofHash is keccak256 of the encoded proof points; publicInput and verificationKey are
+ * hashed from the normalized signals and key exactly as hashProofInputs does.
+ * @param {Object|string} proof - proof.json contents
+ * @param {Array|string} publicSignals - public.json contents (optional)
+ * @param {Object|string} verificationKey - verification_key.json contents (optional)
+ * @param {Object} options - Hashing options ({ hashVersion, missingInputs })
+ */
+function standardizeGroth16Proof(proof, publicSignals = null, verificationKey = null, options = {}) {
+    const parsed = parseGroth16Proof(proof, publicSignals, verificationKey);
+    return buildSubmission(parsed, encodeGroth16Proof(parsed), options);
+}
+
+/**
+ * Validate a Groth16 proof without throwing
+ * @param {Object|string} proof - proof.json contents
+ * @param {Array|string} publicSignals - public.json contents (optional)
+ * @param {Object|string} verificationKey - verification_key.json contents (optional)
+ */
+function validateGroth16Proof(proof, publicSignals = null, verificationKey = null) {
+    try {
+        const parsed = parseGroth16Proof(proof, publicSignals, verificationKey);
+        return {
+            isValid: true,
+            curve: parsed.curve,
+            proofHash: hashBytes(encodeGroth16Proof(parsed))
+        };
+    } catch (error) {
+        return {
+            isValid: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Read snarkjs output files from disk
+ * @param {string} proofPath - Path to proof.json
+ * @param {string} publicPath - Path to public.json (optional)
+ * @param {string} verificationKeyPath - Path to verification_key.json (optional)
+ */
+function readGroth16Files(proofPath, publicPath = null, verificationKeyPath = null) {
+    return readProofFiles(proofPath, publicPath, verificationKeyPath);
+}
+
+/**
+ * Proof-format registry entries (see ProofFormatRegistry)
+ */
+const FORMATS = [{
+    name: PROOF_SYSTEM,
+    detect(data) {
+        const proof = unwrapProofObject(readJsonObject(data));
+        if (!proof || !proof.pi_a || !proof.pi_b || !proof.pi_c) {
+            return 0;
+        }
+        return proof.protocol === PROOF_SYSTEM ? 0.95 : 0.8;
+    },
+    parse: parseGroth16Proof,
+    encode: encodeGroth16Proof,
+    validate: validateGroth16Proof
+}];
+
+module.exports = {
+    PROOF_SYSTEM,
+    FORMATS,
+    parseGroth16Proof,
+    parseGroth16VerificationKey,
+    encodeGroth16Proof,
+    encodeGroth16Calldata,
+    standardizeGroth16Proof,
+    validateGroth16Proof,
+    readGroth16Files
+};
@@ -0,0 +1,34 @@
+/**
+ * SNARKtor Proof-Format Adapters
+ * 
+ * Parsers and encoders for the native output formats of specific proving systems,
+ * and the registry that detects which one applies to a given proof.
+ */
+
+const curves = require('./curves');
+const groth16 = require('./groth16');
+const plonk = require('./plonk');
+const receipt = require('./receipt');
+const verifier = require('./verifier');
+const aggregated = require('./aggregated');
+const { readProofFiles } = require('./common');
+const {
+    ProofFormatRegistry,
+    GENERIC_FORMAT,
+    createDefaultRegistry,
+    defaultRegistry
+} = require('./ProofFormatRegistry');
+
+module.exports = {
+    curves,
+    groth16,
+    plonk,
+    receipt,
+    verifier,
+    aggregated,
+    readProofFiles,
+    ProofFormatRegistry,
+    GENERIC_FORMAT,
+    createDefaultRegistry,
+    defaultRegistry
+};
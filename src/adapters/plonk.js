@@ -0,0 +1,425 @@
+/**
+ * SNARKtor PLONK Adapters
+ *
+ * Parses snarkjs PLONK and fflonk outputs and gnark PLONK binary proofs, validates
+ * their commitments (curve points) and evaluations (scalar field elements), encodes
+ * them the way the matching Solidity verifiers expect and produces the standardized
+ * SNARKtor submission, tagged with the proof system so downstream verification
+ * knows which verifier applies.
+ */
+
+const { ethers } = require('ethers');
+const {
+    resolveCurve,
+    parseFieldElement,
+    parseG1Point,
+    parseG2Point,
+    encodeFieldElement
+} = require('./curves');
+const {
+    readJson,
+    readJsonObject,
+    unwrapProofObject,
+    assertProtocol,
+    resolveProofCurve,
+    requirePoint,
+    toDecimal,
+    parsePublicSignals,
+    assertSignalCount,
+    buildSubmission
+} = require('./common');
+const { hashBytes, canonicalize } = require('../core/hashing');
+
+const PROOF_SYSTEMS = Object.freeze({
+    PLONK: 'plonk',
+    FFLONK: 'fflonk',
+    GNARK_PLONK: 'gnark-plonk'
+});
+
+// snarkjs PLONK proof layout, in Solidity verifier order
+const PLONK_COMMITMENTS = ['A', 'B', 'C', 'Z', 'T1', 'T2', 'T3', 'Wxi', 'Wxiw'];
+const PLONK_EVALUATIONS = ['eval_a', 'eval_b', 'eval_c', 'eval_s1', 'eval_s2', 'eval_zw'];
+const PLONK_KEY_POINTS = ['Qm', 'Ql', 'Qr', 'Qo', 'Qc', 'S1', 'S2', 'S3'];
+const PLONK_KEY_SCALARS = ['k1', 'k2', 'w'];
+
+// snarkjs fflonk proof layout, in Solidity verifier order
+const FFLONK_COMMITMENTS = ['C1', 'C2', 'W1', 'W2'];
+const FFLONK_EVALUATIONS = [
+    'ql', 'qr', 'qm', 'qo', 'qc', 's1', 's2', 's3', 'a', 'b', 'c', 'z', 'zw', 't1w', 't2w', 'inv'
+];
+const FFLONK_KEY_POINTS = ['C0'];
+const FFLONK_KEY_SCALARS = ['k1', 'k2', 'w', 'w3', 'w4', 'w8', 'wr'];
+
+// gnark PLONK (MarshalSolidity) layout: BN254 only, 32-byte words
+const GNARK_FIXED_SIZE = 3 * 64 + 3 * 64 + 5 * 32 + 64 + 32 + 64 + 64;
+const GNARK_COMMITMENT_SIZE = 32 + 64;
+
+/**
+ * Parse named commitments and evaluations from a proof object
+ * @param {Object} source - Object holding the values
+ * @param {Array<string>} points - Names of G1 commitments
+ * @param {Array<string>} scalars - Names of scalar evaluations
+ * @param {Object} curve - Curve from CURVES
+ */
+function parseNamedValues(source, points, scalars, curve) {
+    const result = {};
+    for (const name of points) {
+        result[name] = toDecimal(requirePoint(parseG1Point, source[name], curve, name));
+    }
+    for (const name of scalars) {
+        result[name] = parseFieldElement(source[name], curve.r, name).toString();
+    }
+    return result;
+}
+
+/**
+ * Parse and validate a snarkjs PLONK or fflonk verification key
+ * @param {Object} vk - verification_key.json contents
+ * @param {string} protocol - 'plonk' or 'fflonk'
+ * @param {Array<string>} points - Names of G1 points in the key
+ * @param {Array<string>} scalars - Names of scalars in the key
+ * @param {Object} curve - Curve from CURVES
+ */
+function parseSnarkjsKey(vk, protocol, points, scalars, curve) {
+    assertProtocol(vk, protocol, 'Verification key');
+    const nPublic = Number(vk.nPublic);
+    const power = Number(vk.power);
+    if (!Number.isInteger(nPublic) || nPublic < 0 || !Number.isInteger(power) || power < 0) {
+        throw new Error('Verification key must declare integer nPublic and power');
+    }
+
+    return {
+        protocol,
+        curve: curve.name,
+        nPublic,
+        power,
+        ...parseNamedValues(vk, points, scalars, curve),
+        X_2: toDecimal(requirePoint(parseG2Point, vk.X_2, curve, 'X_2'))
+    };
+}
+
+/**
+ * Unwrap `{ proof, publicSignals }` objects as returned by snarkjs fullProve
+ * @param {Object|string} proof - Proof, wrapped proof or JSON text
+ * @param {Array|string} publicSignals - Public signals (optional)
+ */
+function unwrapProof(proof, publicSignals) {
+    proof = readJson(proof, 'Proof');
+    if (!proof || typeof proof !== 'object') {
+        throw new Error('Proof must be an object');
+    }
+    if (proof.proof && typeof proof.proof === 'object' && !Buffer.isBuffer(proof.proof)) {
+        return {
+            proof: proof.proof,
+            publicSignals: publicSignals === null ? proof.publicSignals || null : publicSignals
+        };
+    }
+    return { proof, publicSignals };
+}
+
+/**
+ * Parse and validate a snarkjs PLONK proof
+ * @param {Object|string} proof - proof.json contents (or a { proof, publicSignals } object)
+ * @param {Array|string} publicSignals - public.json contents (optional)
+ * @param {Object|string} verificationKey - verification_key.json contents (optional)
+ * @returns {Object} Normalized { system, curve, proof, publicSignals, verificationKey }
+ */
+function parsePlonkProof(proof, publicSignals = null, verificationKey = null) {
+    ({ proof, publicSignals } = unwrapProof(proof, publicSignals));
+    verificationKey = readJson(verificationKey, 'Verification key');
+
+    assertProtocol(proof, PROOF_SYSTEMS.PLONK, 'Proof');
+    const curve = resolveProofCurve(proof, verificationKey);
+
+    const parsed = {
+        system: PROOF_SYSTEMS.PLONK,
+        curve: curve.name,
+        proof: parseNamedValues(proof, PLONK_COMMITMENTS, PLONK_EVALUATIONS, curve),
+        publicSignals: parsePublicSignals(publicSignals, curve),
+        verificationKey: verificationKey
+            ? parseSnarkjsKey(verificationKey, PROOF_SYSTEMS.PLONK, PLONK_KEY_POINTS, PLONK_KEY_SCALARS, curve)
+            : null
+    };
+    assertSignalCount(parsed.publicSignals, parsed.verificationKey);
+    return parsed;
+}
+
+/**
+ * Parse and validate a snarkjs fflonk proof
+ * @param {Object|string} proof - proof.json contents (or a { proof, publicSignals } object)
+ * @param {Array|string} publicSignals - public.json contents (optional)
+ * @param {Object|string} verificationKey - verification_key.json contents (optional)
+ * @returns {Object} Normalized { system, curve, proof, publicSignals, verificationKey }
+ */
+function parseFflonkProof(proof, publicSignals = null, verificationKey = null) {
+    ({ proof, publicSignals } = unwrapProof(proof, publicSignals));
+    verificationKey = readJson(verificationKey, 'Verification key');
+
+    assertProtocol(proof, PROOF_SYSTEMS.FFLONK, 'Proof');
+    if (!proof.polynomials || !proof.evaluations) {
+        throw new Error('fflonk proof must contain polynomials and evaluations');
+    }
+    const curve = resolveProofCurve(proof, verificationKey);
+    const commitments = parseNamedValues(proof.polynomials, FFLONK_COMMITMENTS, [], curve);
+    const evaluations = parseNamedValues(proof.evaluations, [], FFLONK_EVALUATIONS, curve);
+
+    const parsed = {
+        system: PROOF_SYSTEMS.FFLONK,
+        curve: curve.name,
+        proof: { polynomials: commitments, evaluations },
+        publicSignals: parsePublicSignals(publicSignals, curve),
+        verificationKey: verificationKey
+            ? parseSnarkjsKey(verificationKey, PROOF_SYSTEMS.FFLONK, FFLONK_KEY_POINTS, FFLONK_KEY_SCALARS, curve)
+            : null
+    };
+    assertSignalCount(parsed.publicSignals, parsed.verificationKey);
+    return parsed;
+}
+
+/**
+ * Parse and validate a gnark PLONK proof serialized with MarshalSolidity (BN254)
+ * The verification key is treated as opaque bytes or JSON and only hashed.
+ * @param {string|Buffer|Uint8Array} proofBytes - Serialized proof
+ * @param {Array} publicInputs - Public witness values (optional)
+ * @param {*} verificationKey - Verification key bytes or object (optional)
+ * @returns {Object} Normalized { system, curve, proof, publicSignals, verificationKey }
+ */
+function parseGnarkPlonkProof(proofBytes, publicInputs = null, verificationKey = null) {
+    if (typeof proofBytes === 'string' && !proofBytes.startsWith('0x')) {
+        proofBytes = '0x' + proofBytes;
+    }
+    if (!ethers.utils.isBytesLike(proofBytes)) {
+        throw new Error('gnark proof must be bytes or a hex string');
+    }
+    const bytes = ethers.utils.arrayify(proofBytes);
+    if (bytes.length < GNARK_FIXED_SIZE || (bytes.length - GNARK_FIXED_SIZE) % GNARK_COMMITMENT_SIZE !== 0) {
+        throw new Error(`gnark proof has unexpected length ${bytes.length}`);
+    }
+
+    const curve = resolveCurve('bn128');
+    let offset = 0;
+    const word = () => BigInt(ethers.utils.hexlify(bytes.slice(offset, (offset += 32))));
+    const point = label => {
+        const coords = [word(), word()];
+        if (coords[0] === 0n && coords[1] === 0n) {
+            throw new Error(`${label} must not be the point at infinity`);
+        }
+        return toDecimal(parseG1Point(coords, curve, label));
+    };
+    const scalar = label => parseFieldElement(word(), curve.r, label).toString();
+
+    const proof = {
+        LRO: [point('L'), point('R'), point('O')],
+        H: [point('H0'), point('H1'), point('H2')],
+        claimedValues: {
+            l: scalar('l_at_zeta'),
+            r: scalar('r_at_zeta'),
+            o: scalar('o_at_zeta'),
+            s1: scalar('s1_at_zeta'),
+            s2: scalar('s2_at_zeta')
+        },
+        Z: point('Z'),
+        zShiftedOpening: scalar('z_at_zeta_omega'),
+        batchedProofH: point('opening_at_zeta_proof'),
+        zShiftedProofH: point('opening_at_zeta_omega_proof'),
+        qcpAtZeta: [],
+        bsb22Commitments: []
+    };
+    const commitmentCount = (bytes.length - GNARK_FIXED_SIZE) / GNARK_COMMITMENT_SIZE;
+    for (let i = 0; i < commitmentCount; i++) {
+        proof.qcpAtZeta.push(scalar(`qcp_${i}_at_zeta`));
+    }
+    for (let i = 0; i < commitmentCount; i++) {
+        proof.bsb22Commitments.push(point(`bsb22_commitment_${i}`));
+    }
+
+    return {
+        system: PROOF_SYSTEMS.GNARK_PLONK,
+        curve: curve.name,
+        proof,
+        publicSignals: parsePublicSignals(publicInputs, curve),
+        verificationKey: verificationKey === null || verificationKey === undefined
+            ? null
+            : canonicalize(Buffer.isBuffer(verificationKey) ? ethers.utils.hexlify(verificationKey) : verificationKey),
+        proofData: ethers.utils.hexlify(bytes)
+    };
+}
+
+/**
+ * Encode a parsed proof the way its Solidity verifier expects
+ * snarkjs PLONK and fflonk proofs become 24 field-sized words; gnark proofs keep their bytes.
+ * @param {Object} parsed - Output of one of the parse functions
+ */
+function encodePlonkProof(parsed) {
+    if (parsed.system === PROOF_SYSTEMS.GNARK_PLONK) {
+        return parsed.proofData;
+    }
+
+    const curve = resolveCurve(parsed.curve);
+    let words;
+    if (parsed.system === PROOF_SYSTEMS.PLONK) {
+        words = [
+            ...PLONK_COMMITMENTS.flatMap(name => parsed.proof[name]),
+            ...PLONK_EVALUATIONS.map(name => parsed.proof[name])
+        ];
+    } else if (parsed.system === PROOF_SYSTEMS.FFLONK) {
+        words = [
+            ...FFLONK_COMMITMENTS.flatMap(name => parsed.proof.polynomials[name]),
+            ...FFLONK_EVALUATIONS.map(name => parsed.proof.evaluations[name])
+        ];
+    } else {
+        throw new Error(`Unsupported PLONK proof system: ${parsed.system}`);
+    }
+    return '0x' + words.map(value => encodeFieldElement(BigInt(value), curve)).join('');
+}
+
+/**
+ * Build the arguments of the matching Solidity verifier call (BN254 only)
+ * PLONK: verifyProof(uint256[24], uint256[N]); fflonk: verifyProof(bytes32[24], uint256[N]), where
+ * N is the number of public signals. Both are fixed-size and encoded inline, as snarkjs generates
+ * the verifiers. gnark: Verify(bytes, uint256[]).
+ * @param {Object} parsed - Output of one of the parse functions
+ */
+function encodePlonkCalldata(parsed) {
+    if (parsed.curve !== 'bn128') {
+        throw new Error('Solidity verifier calldata is only supported for BN254 proofs');
+    }
+    const input = parsed.publicSignals || [];
+    const proofData = encodePlonkProof(parsed);
+
+    if (parsed.system === PROOF_SYSTEMS.GNARK_PLONK) {
+        return {
+            proof: proofData,
+            input,
+            calldata: ethers.utils.defaultAbiCoder.encode(['bytes', 'uint256[]'], [proofData, input])
+        };
+    }
+
+    const words = ethers.utils.hexDataLength(proofData) / 32;
+    const proof = Array.from({ length: words }, (_, i) => ethers.utils.hexDataSlice(proofData, i * 32, (i + 1) * 32));
+    const proofType = parsed.system === PROOF_SYSTEMS.FFLONK ? `bytes32[${words}]` : `uint256[${words}]`;
+    return {
+        proof,
+        input,
+        calldata: ethers.utils.defaultAbiCoder.encode([proofType, `uint256[${input.length}]`], [proof, input])
+    };
+}
+
+/**
+ * Parse a proof of any supported PLONK variant
+ * Bytes are treated as gnark proofs; objects with protocol 'fflonk' or polynomials as fflonk;
+ * other objects as snarkjs PLONK.
+ * @param {*} proof - Proof in any supported PLONK format
+ * @param {Array|string} publicSignals - Public signals (optional)
+ * @param {*} verificationKey - Verification key (optional)
+ */
+function parseAnyPlonkProof(proof, publicSignals = null, verificationKey = null) {
+    if (Buffer.isBuffer(proof) || proof instanceof Uint8Array
+        || (typeof proof === 'string' && /^(0x)?[0-9a-fA-F]+$/.test(proof))) {
+        return parseGnarkPlonkProof(proof, publicSignals, verificationKey);
+    }
+    const unwrapped = unwrapProof(proof, publicSignals);
+    if (unwrapped.proof.protocol === PROOF_SYSTEMS.FFLONK || unwrapped.proof.polynomials) {
+        return parseFflonkProof(unwrapped.proof, unwrapped.publicSignals, verificationKey);
+    }
+    return parsePlonkProof(unwrapped.proof, unwrapped.publicSignals, verificationKey);
+}
+
+/**
+ * Parse a PLONK-family proof into a standardized SNARKtor submission
+ * proofHash is keccak256 of the encoded proof; `proofSystem` reports the variant.
+ * @param {*} proof - Proof in any supported PLONK format
+ * @param {Array|string} publicSignals - Public signals (optional)
+ * @param {*} verificationKey - Verification key (optional)
+ * @param {Object} options - Hashing options ({ hashVersion, missingInputs })
+ */
+function standardizePlonkProof(proof, publicSignals = null, verificationKey = null, options = {}) {
+    const parsed = parseAnyPlonkProof(proof, publicSignals, verificationKey);
+    return buildSubmission(parsed, encodePlonkProof(parsed), options);
+}
+
+/**
+ * Validate a PLONK-family proof without throwing
+ * @param {*} proof - Proof in any supported PLONK format
+ * @param {Array|string} publicSignals - Public signals (optional)
+ * @param {*} verificationKey - Verification key (optional)
+ */
+function validatePlonkProof(proof, publicSignals = null, verificationKey = null) {
+    try {
+        const parsed = parseAnyPlonkProof(proof, publicSignals, verificationKey);
+        return {
+            isValid: true,
+            proofSystem: parsed.system,
+            curve: parsed.curve,
+            proofHash: hashBytes(encodePlonkProof(parsed))
+        };
+    } catch (error) {
+        return {
+            isValid: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Confidence that a snarkjs proof object matches a protocol, from its fields
+ * @param {*} data - Candidate proof data
+ * @param {string} protocol - Protocol name
+ * @param {Function} hasFields - Structural check on the proof object
+ */
+function detectSnarkjs(data, protocol, hasFields) {
+    const proof = unwrapProofObject(readJsonObject(data));
+    if (!proof || !hasFields(proof)) {
+        return 0;
+    }
+    return proof.protocol === protocol ? 0.95 : 0.8;
+}
+
+/**
+ * Proof-format registry entries (see ProofFormatRegistry)
+ */
+const FORMATS = [
+    {
+        name: PROOF_SYSTEMS.PLONK,
+        detect: data => detectSnarkjs(data, PROOF_SYSTEMS.PLONK, proof =>
+            PLONK_COMMITMENTS.every(name => proof[name] !== undefined) && proof.eval_a !== undefined),
+        parse: parsePlonkProof,
+        encode: encodePlonkProof
+    },
+    {
+        name: PROOF_SYSTEMS.FFLONK,
+        detect: data => detectSnarkjs(data, PROOF_SYSTEMS.FFLONK, proof =>
+            Boolean(proof.polynomials && proof.evaluations)),
+        parse: parseFflonkProof,
+        encode: encodePlonkProof
+    },
+    {
+        name: PROOF_SYSTEMS.GNARK_PLONK,
+        // Raw bytes are ambiguous, so a matching length is only a moderate signal
+        detect(data) {
+            if (typeof data === 'string' && /^[0-9a-fA-F]+$/.test(data)) {
+                data = '0x' + data;
+            }
+            if (!ethers.utils.isBytesLike(data)) {
+                return 0;
+            }
+            const length = ethers.utils.arrayify(data).length;
+            return length >= GNARK_FIXED_SIZE && (length - GNARK_FIXED_SIZE) % GNARK_COMMITMENT_SIZE === 0 ? 0.5 : 0;
+        },
+        parse: parseGnarkPlonkProof,
+        encode: encodePlonkProof
+    }
+];
+
+module.exports = {
+    PROOF_SYSTEMS,
+    FORMATS,
+    parsePlonkProof,
+    parseFflonkProof,
+    parseGnarkPlonkProof,
+    parseAnyPlonkProof,
+    encodePlonkProof,
+    encodePlonkCalldata,
+    standardizePlonkProof,
+    validatePlonkProof
+};
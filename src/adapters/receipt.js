@@ -0,0 +1,313 @@
+/**
+ * SNARKtor Receipt Adapter
+ *
+ * Decodes RISC Zero-style receipts (image ID, journal, seal) and generic STARK proof
+ * envelopes into standardized SNARKtor submissions. For receipts the image ID is the
+ * verification key and the SHA-256 journal digest is the public input, matching what
+ * RISC Zero's on-chain verifiers check; the decoded journal is returned to the caller.
+ */
+
+const { ethers } = require('ethers');
+const { readJson, readJsonObject } = require('./common');
+const { hashBytes, canonicalize, canonicalizeFieldElements } = require('../core/hashing');
+const { hashProofInputs } = require('../core/proofs');
+
+const RECEIPT_SYSTEMS = Object.freeze({
+    RISC0: 'risc0',
+    STARK: 'stark'
+});
+
+// Binary receipts are abi.encode(bytes32 imageId, bytes journal, bytes seal)
+const RECEIPT_ENVELOPE_TYPES = ['bytes32', 'bytes', 'bytes'];
+
+/**
+ * Convert receipt bytes to hex
+ * Accepts hex strings (with or without 0x), Buffers, byte arrays, serde `{ bytes: [...] }`
+ * objects, and u32 word arrays (serialized little-endian, as RISC Zero does).
+ * @param {*} value - Bytes in any supported form
+ * @param {string} label - Name used in error messages
+ */
+function toHexBytes(value, label) {
+    if (value && typeof value === 'object' && !Array.isArray(value) && !ethers.utils.isBytesLike(value)) {
+        value = value.bytes;
+    }
+    if (typeof value === 'string' && !value.startsWith('0x') && /^[0-9a-fA-F]*$/.test(value)) {
+        value = '0x' + value;
+    }
+    if (Array.isArray(value) && value.some(item => item > 0xff)) {
+        const words = Buffer.alloc(value.length * 4);
+        value.forEach((item, i) => words.writeUInt32LE(item, i * 4));
+        return ethers.utils.hexlify(words);
+    }
+    if (!ethers.utils.isBytesLike(value)) {
+        throw new Error(`${label} must be bytes`);
+    }
+    return ethers.utils.hexlify(value);
+}
+
+/**
+ * Normalize a RISC Zero image ID (32 bytes, or 8 little-endian u32 words)
+ * @param {*} imageId - Image ID
+ */
+function toImageId(imageId) {
+    if (Array.isArray(imageId) && imageId.length === 8) {
+        const words = Buffer.alloc(32);
+        imageId.forEach((word, i) => words.writeUInt32LE(word, i * 4));
+        imageId = words;
+    }
+    const hex = toHexBytes(imageId, 'Image ID');
+    if (ethers.utils.hexDataLength(hex) !== 32) {
+        throw new Error('Image ID must be 32 bytes');
+    }
+    return hex;
+}
+
+/**
+ * Parse JSON text receipts, passing every other form through
+ * @param {*} receipt - Receipt in any supported form
+ */
+function readReceipt(receipt) {
+    return typeof receipt === 'string' && receipt.trim().startsWith('{') ? readJson(receipt, 'Receipt') : receipt;
+}
+
+/**
+ * Find the seal of a serde-serialized receipt (`inner.Groth16.seal`, `inner.Succinct.seal`, ...)
+ * @param {Object} inner - Receipt `inner` field
+ */
+function findInnerSeal(inner) {
+    const variant = Object.values(inner || {}).find(value => value && value.seal !== undefined);
+    if (!variant) {
+        throw new Error('Receipt inner proof has no seal');
+    }
+    return variant.seal;
+}
+
+/**
+ * Decode a RISC Zero-style receipt
+ * Accepts the ABI envelope (hex or bytes), a flat `{ imageId, journal, seal }` object, or a
+ * serde JSON receipt `{ inner, journal }` together with `options.imageId`.
+ * @param {*} receipt - Receipt in any supported form
+ * @param {Object} options - Decoding options
+ * @param {string} options.imageId - Image ID for receipts that do not carry one
+ * @param {Array<string>} options.journalTypes - ABI types to decode the journal with
+ * @param {Function} options.decodeJournal - Custom journal decoder, given the journal hex
+ */
+function decodeRisc0Receipt(receipt, options = {}) {
+    receipt = readReceipt(receipt);
+
+    let imageId;
+    let journal;
+    let seal;
+    if (ethers.utils.isBytesLike(receipt) || typeof receipt === 'string') {
+        try {
+            [imageId, journal, seal] = ethers.utils.defaultAbiCoder.decode(
+                RECEIPT_ENVELOPE_TYPES, toHexBytes(receipt, 'Receipt')
+            );
+        } catch (error) {
+            throw new Error('Receipt bytes are not an (imageId, journal, seal) envelope');
+        }
+    } else if (receipt && typeof receipt === 'object') {
+        imageId = receipt.imageId || receipt.image_id || options.imageId;
+        if (!imageId) {
+            throw new Error('Receipt image ID required');
+        }
+        journal = receipt.journal;
+        seal = receipt.seal !== undefined ? receipt.seal : findInnerSeal(receipt.inner);
+    } else {
+        throw new Error('Unsupported receipt format');
+    }
+
+    imageId = toImageId(imageId);
+    journal = toHexBytes(journal === undefined ? '0x' : journal, 'Journal');
+    seal = toHexBytes(seal, 'Seal');
+    if (ethers.utils.hexDataLength(seal) === 0) {
+        throw new Error('Seal must not be empty');
+    }
+
+    return {
+        system: RECEIPT_SYSTEMS.RISC0,
+        imageId,
+        journal,
+        journalDigest: ethers.utils.sha256(journal),
+        decodedJournal: decodeJournal(journal, options),
+        seal
+    };
+}
+
+/**
+ * Decode a journal with the caller's ABI types or decoder, if any
+ * @param {string} journal - Journal hex
+ * @param {Object} options - Decoding options ({ journalTypes, decodeJournal })
+ */
+function decodeJournal(journal, options) {
+    if (options.decodeJournal) {
+        return options.decodeJournal(journal);
+    }
+    if (options.journalTypes) {
+        return ethers.utils.defaultAbiCoder.decode(options.journalTypes, journal);
+    }
+    return null;
+}
+
+/**
+ * Encode a decoded receipt as the binary (imageId, journal, seal) envelope
+ * @param {Object} decoded - Output of decodeRisc0Receipt
+ */
+function encodeRisc0Receipt(decoded) {
+    return ethers.utils.defaultAbiCoder.encode(
+        RECEIPT_ENVELOPE_TYPES, [decoded.imageId, decoded.journal, decoded.seal]
+    );
+}
+
+/**
+ * Decode a generic STARK proof envelope
+ * `{ programHash, publicInputs, proof }`; `proof` may be bytes or a structured object.
+ * @param {Object|string} envelope - Envelope object or JSON text
+ */
+function decodeStarkEnvelope(envelope) {
+    envelope = readJson(envelope, 'STARK envelope');
+    if (!envelope || typeof envelope !== 'object') {
+        throw new Error('STARK envelope must be an object');
+    }
+    const programHash = envelope.programHash || envelope.program_hash;
+    if (!programHash) {
+        throw new Error('STARK envelope must contain a programHash');
+    }
+    if (envelope.proof === undefined || envelope.proof === null) {
+        throw new Error('STARK envelope must contain a proof');
+    }
+
+    const proof = ethers.utils.isBytesLike(envelope.proof)
+        ? ethers.utils.hexlify(envelope.proof)
+        : canonicalize(envelope.proof);
+    return {
+        system: RECEIPT_SYSTEMS.STARK,
+        programHash: ethers.utils.isHexString(programHash) ? programHash.toLowerCase() : canonicalize(programHash),
+        publicInputs: envelope.publicInputs === undefined ? null : canonicalizeFieldElements(envelope.publicInputs),
+        proof
+    };
+}
+
+/**
+ * Encode a decoded STARK envelope's proof: bytes as-is, structured proofs as canonical JSON
+ * @param {Object} decoded - Output of decodeStarkEnvelope
+ */
+function encodeStarkProof(decoded) {
+    if (typeof decoded.proof === 'string' && ethers.utils.isHexString(decoded.proof)) {
+        return decoded.proof;
+    }
+    return ethers.utils.hexlify(ethers.utils.toUtf8Bytes(JSON.stringify(decoded.proof)));
+}
+
+/**
+ * Standardize a RISC Zero receipt into a SNARKtor submission
+ * proofHash is keccak256 of the (imageId, journal, seal) envelope.
+ * @param {*} receipt - Receipt in any form accepted by decodeRisc0Receipt
+ * @param {Object} options - Decoding options (see decodeRisc0Receipt)
+ */
+function standardizeRisc0Receipt(receipt, options = {}) {
+    const decoded = decodeRisc0Receipt(receipt, options);
+    const proofData = encodeRisc0Receipt(decoded);
+
+    return {
+        proofSystem: decoded.system,
+        proofData,
+        proofHash: hashBytes(proofData),
+        publicInput: decoded.journalDigest,
+        verificationKey: decoded.imageId,
+        journal: decoded.journal,
+        decodedJournal: decoded.decodedJournal,
+        warnings: [],
+        structured: decoded
+    };
+}
+
+/**
+ * Standardize a generic STARK envelope into a SNARKtor submission
+ * The program hash is the verification key and the public inputs are hashed canonically.
+ * @param {Object|string} envelope - Envelope object or JSON text
+ * @param {Object} options - Hashing options ({ hashVersion, missingInputs })
+ */
+function standardizeStarkEnvelope(envelope, options = {}) {
+    const decoded = decodeStarkEnvelope(envelope);
+    const proofData = encodeStarkProof(decoded);
+    const inputs = hashProofInputs(decoded.publicInputs, decoded.programHash, options);
+
+    return {
+        proofSystem: decoded.system,
+        proofData,
+        proofHash: hashBytes(proofData),
+        publicInput: inputs.publicInputHash,
+        verificationKey: inputs.verificationKeyHash,
+        hashVersion: inputs.hashVersion,
+        warnings: inputs.warnings,
+        structured: decoded
+    };
+}
+
+/**
+ * Standardize a RISC Zero receipt or STARK envelope, choosing by shape
+ * Objects with a programHash are STARK envelopes; everything else is a receipt.
+ * @param {*} receipt - Receipt or envelope
+ * @param {Object} options - Decoding and hashing options
+ */
+function standardizeReceipt(receipt, options = {}) {
+    const parsed = readReceipt(receipt);
+    if (parsed && typeof parsed === 'object' && !ethers.utils.isBytesLike(parsed)
+        && (parsed.programHash || parsed.program_hash)) {
+        return standardizeStarkEnvelope(parsed, options);
+    }
+    return standardizeRisc0Receipt(parsed, options);
+}
+
+/**
+ * Proof-format registry entries (see ProofFormatRegistry)
+ * The verification key argument doubles as the image ID for receipts that lack one.
+ */
+const FORMATS = [
+    {
+        name: RECEIPT_SYSTEMS.RISC0,
+        detect(data) {
+            const receipt = readJsonObject(data);
+            if (receipt) {
+                const hasImageId = receipt.imageId !== undefined || receipt.image_id !== undefined;
+                if (receipt.seal !== undefined && hasImageId) return 0.9;
+                if (receipt.inner && receipt.journal !== undefined) return 0.85;
+                return 0;
+            }
+            try {
+                decodeRisc0Receipt(data);
+                return 0.7;
+            } catch (error) {
+                return 0;
+            }
+        },
+        parse: (data, publicSignals, verificationKey, options = {}) =>
+            decodeRisc0Receipt(data, { imageId: verificationKey, ...options }),
+        encode: encodeRisc0Receipt,
+        standardize: (data, publicSignals, verificationKey, options = {}) =>
+            standardizeRisc0Receipt(data, { imageId: verificationKey, ...options })
+    },
+    {
+        name: RECEIPT_SYSTEMS.STARK,
+        detect(data) {
+            const envelope = readJsonObject(data);
+            return envelope && (envelope.programHash || envelope.program_hash) ? 0.9 : 0;
+        },
+        parse: data => decodeStarkEnvelope(data),
+        encode: encodeStarkProof,
+        standardize: (data, publicSignals, verificationKey, options = {}) => standardizeStarkEnvelope(data, options)
+    }
+];
+
+module.exports = {
+    RECEIPT_SYSTEMS,
+    FORMATS,
+    decodeRisc0Receipt,
+    encodeRisc0Receipt,
+    decodeStarkEnvelope,
+    encodeStarkProof,
+    standardizeRisc0Receipt,
+    standardizeStarkEnvelope,
+    standardizeReceipt
+};
@@ -0,0 +1,158 @@
+/**
+ * SNARKtor Off-Chain Verifier
+ *
+ * Checks Groth16, PLONK and fflonk proofs against their verification keys with snarkjs
+ * before they are submitted, so invalid proofs are rejected locally instead of paying
+ * fees and entering the aggregation queue. Proofs are first parsed by the adapters, so
+ * malformed inputs are reported with the adapter's error rather than a bare `false`.
+ */
+
+const { readJson } = require('./common');
+const groth16 = require('./groth16');
+const plonk = require('./plonk');
+const { defaultRegistry } = require('./ProofFormatRegistry');
+
+// Proof systems snarkjs can verify, with the adapter parser used to check them first
+const VERIFIERS = Object.freeze({
+    [groth16.PROOF_SYSTEM]: groth16.parseGroth16Proof,
+    [plonk.PROOF_SYSTEMS.PLONK]: plonk.parsePlonkProof,
+    [plonk.PROOF_SYSTEMS.FFLONK]: plonk.parseFflonkProof
+});
+
+const SUPPORTED_SYSTEMS = Object.freeze(Object.keys(VERIFIERS));
+
+// snarkjs caches curves (and their worker threads) on globalThis under these names
+const CURVE_CACHE_KEYS = ['curve_bn128', 'curve_bls12381'];
+
+let activeVerifications = 0;
+
+/**
+ * Load snarkjs on first use; it is only needed for off-chain verification
+ */
+function loadSnarkjs() {
+    try {
+        return require('snarkjs');
+    } catch (error) {
+        throw new Error('Off-chain verification requires the snarkjs package');
+    }
+}
+
+/**
+ * Terminate the curves snarkjs cached, so their worker threads do not keep the process alive
+ */
+async function releaseCurves() {
+    for (const key of CURVE_CACHE_KEYS) {
+        if (globalThis[key]) {
+            await globalThis[key].terminate();
+        }
+    }
+}
+
+/**
+ * Split a `{ proof, publicSignals }` wrapper into its parts
+ * @param {Object|string} proof - Proof or wrapper object, or its JSON text
+ * @param {Array|string} publicSignals - Public signals (optional when the wrapper carries them)
+ */
+function unwrapVerificationInputs(proof, publicSignals) {
+    proof = readJson(proof, 'Proof');
+    if (proof && proof.proof && typeof proof.proof === 'object') {
+        publicSignals = publicSignals === null || publicSignals === undefined ? proof.publicSignals : publicSignals;
+        proof = proof.proof;
+    }
+    publicSignals = readJson(publicSignals, 'Public signals');
+    return { proof, publicSignals: publicSignals === null || publicSignals === undefined ? [] : publicSignals };
+}
+
+/**
+ * Resolve the proof system to verify with
+ * @param {*} proof - Proof data
+ * @param {Object} options - { format, registry }
+ */
+function resolveSystem(proof, options) {
+    const registry = options.registry || defaultRegistry;
+    const { format } = registry.resolveFormat(proof, options.format || 'auto');
+    if (!VERIFIERS[format.name]) {
+        throw new Error(
+            `Off-chain verification is not supported for ${format.name} proofs ` +
+            `(supported: ${SUPPORTED_SYSTEMS.join(', ')})`
+        );
+    }
+    return format.name;
+}
+
+/**
+ * Verify a proof against its verification key off-chain
+ * Never throws for invalid proofs; the result carries the reason instead.
+ * @param {Object|string} proof - snarkjs proof, `{ proof, publicSignals }` wrapper, or JSON text
+ * @param {Array|string} publicSignals - Public signals (optional when the wrapper carries them)
+ * @param {Object|string} verificationKey - snarkjs verification key
+ * @param {Object} options - Verification options
+ * @param {string} options.format - Proof system ('groth16', 'plonk', 'fflonk'), or 'auto' (default)
+ * @param {ProofFormatRegistry} options.registry - Registry used for detection (default: shared registry)
+ * @param {boolean} options.releaseCurves - Terminate snarkjs worker threads afterwards (default: true)
+ * @returns {Promise<Object>} { isValid, proofSystem, curve, error, details }
+ */
+async function verifyProof(proof, publicSignals = null, verificationKey = null, options = {}) {
+    let proofSystem = null;
+    let curve = null;
+
+    try {
+        proofSystem = resolveSystem(proof, options);
+        const inputs = unwrapVerificationInputs(proof, publicSignals);
+        const vk = readJson(verificationKey, 'Verification key');
+        if (!vk || typeof vk !== 'object') {
+            throw new Error('Verification key required for off-chain verification');
+        }
+
+        try {
+            curve = VERIFIERS[proofSystem](inputs.proof, inputs.publicSignals, vk).curve;
+        } catch (error) {
+            throw new Error(`Invalid ${proofSystem} proof inputs: ${error.message}`);
+        }
+
+        const details = [];
+        const logger = {
+            error: message => details.push(message),
+            warn: message => details.push(message),
+            info: () => {},
+            debug: () => {}
+        };
+
+        const snarkjs = loadSnarkjs();
+        activeVerifications++;
+        let verified;
+        try {
+            verified = await snarkjs[proofSystem].verify({ ...vk, curve }, inputs.publicSignals, inputs.proof, logger);
+        } finally {
+            activeVerifications--;
+            if (activeVerifications === 0 && options.releaseCurves !== false) {
+                await releaseCurves();
+            }
+        }
+
+        return {
+            isValid: verified === true,
+            proofSystem,
+            curve,
+            error: verified === true
+                ? null
+                : `${proofSystem} proof does not verify against the verification key` +
+                  (details.length > 0 ? `: ${details.join('; ')}` : ''),
+            details
+        };
+    } catch (error) {
+        return {
+            isValid: false,
+            proofSystem,
+            curve,
+            error: error.message,
+            details: []
+        };
+    }
+}
+
+module.exports = {
+    SUPPORTED_SYSTEMS,
+    verifyProof,
+    releaseCurves
+};
@@ -0,0 +1,161 @@
+/**
+ * SNARKtor Contract Binding
+ * 
+ * Connection and contract wiring shared by the SNARKtor clients: provider, optional
+ * signer, and the ethers contract instances bound to them. Accepts an RPC URL, any
+ * ethers Provider (FallbackProvider, Web3Provider, Hardhat's ethers.provider) or a
+ * Signer (browser wallet, hardware signer, Hardhat signer).
+ */
+
+const { ethers } = require('ethers');
+const { probeContract, assertFeatures } = require('./abi');
+
+// Revert reasons the SNARKtor contracts use when a record has not been provided
+const NOT_AVAILABLE_REASONS = [
+    'Base proof data not available',
+    'Aggregated proof data not available',
+    'Verification key not registered'
+];
+
+/**
+ * Resolve the provider and optional signer from the supported connection inputs
+ * @param {string|Provider|Signer} connection - RPC URL, ethers Provider, or ethers Signer
+ * @param {string|Signer} signerOrKey - Private key or ethers Signer (optional)
+ */
+function resolveConnection(connection, signerOrKey = null) {
+    let provider;
+    let signer = null;
+
+    if (typeof connection === 'string') {
+        provider = new ethers.providers.JsonRpcProvider(connection);
+    } else if (ethers.Signer.isSigner(connection)) {
+        signer = connection;
+        provider = connection.provider;
+    } else if (ethers.providers.Provider.isProvider(connection)) {
+        provider = connection;
+    } else {
+        throw new Error('Provider URL, Provider or Signer required');
+    }
+
+    if (signerOrKey) {
+        if (typeof signerOrKey === 'string') {
+            signer = new ethers.Wallet(signerOrKey, provider);
+        } else if (ethers.Signer.isSigner(signerOrKey)) {
+            // Attach providerless signers (e.g. an offline Wallet) to the given provider
+            signer = signerOrKey.provider || !provider ? signerOrKey : signerOrKey.connect(provider);
+        } else {
+            throw new Error('Signer must be a private key or ethers Signer');
+        }
+    }
+
+    provider = provider || signer?.provider;
+    if (!provider) {
+        throw new Error('Signer must be connected to a provider');
+    }
+
+    return { provider, signer };
+}
+
+class ContractBinding {
+    /**
+     * @param {string|Provider|Signer} connection - RPC URL, ethers Provider, or ethers Signer
+     * @param {string} contractAddress - Address of the SNARKtor contract
+     * @param {Array} abi - Contract ABI
+     * @param {string|Signer} signerOrKey - Private key or ethers Signer for signing (optional)
+     */
+    constructor(connection, contractAddress, abi, signerOrKey = null) {
+        const { provider, signer } = resolveConnection(connection, signerOrKey);
+
+        this.provider = provider;
+        this.contractAddress = contractAddress;
+        this.wallet = signer;
+        this.readContract = new ethers.Contract(contractAddress, abi, provider);
+        this.contract = signer ? this.readContract.connect(signer) : this.readContract;
+    }
+
+    /**
+     * Get the address of the configured signer
+     */
+    async getSignerAddress() {
+        return await this.requireWallet('signing').getAddress();
+    }
+
+    /**
+     * Return the wallet, throwing if the binding is read-only
+     * @param {string} purpose - What the wallet is needed for, used in the error
+     */
+    requireWallet(purpose) {
+        if (!this.wallet) {
+            throw new Error(`Wallet required for ${purpose}`);
+        }
+
+        return this.wallet;
+    }
+
+    /**
+     * Resolve an address argument, defaulting to the signer address
+     * @param {string} address - Explicit address (optional)
+     */
+    async resolveAddress(address = null) {
+        if (address) {
+            return address;
+        }
+        if (!this.wallet) {
+            throw new Error('Address required');
+        }
+
+        return await this.wallet.getAddress();
+    }
+
+    /**
+     * Send a transaction and wait for its receipt
+     * @param {string} method - Contract method name
+     * @param {Array} args - Method arguments, including transaction overrides
+     */
+    async send(method, args) {
+        const tx = await this.contract[method](...args);
+        return await tx.wait();
+    }
+
+    /**
+     * Call a getter that reverts when its record is missing, returning null instead
+     * @param {string} method - Contract method name
+     * @param {Array} args - Method arguments
+     */
+    async readOptional(method, args) {
+        try {
+            return await this.readContract[method](...args);
+        } catch (error) {
+            if (NOT_AVAILABLE_REASONS.some(reason => error.message?.includes(reason))) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Report which SNARKtor feature sets the bound contract implements
+     */
+    async probe() {
+        return await probeContract(this.provider, this.contractAddress);
+    }
+
+    /**
+     * Throw unless the bound contract implements every given feature set
+     * @param {Array<string>} features - Feature set names
+     */
+    async assertFeatures(features) {
+        return await assertFeatures(this.provider, this.contractAddress, features);
+    }
+
+    /**
+     * Subscribe to a contract event
+     * @param {string} eventName - Event name
+     * @param {Function} callback - Listener
+     */
+    on(eventName, callback) {
+        this.contract.on(eventName, callback);
+    }
+}
+
+module.exports = { ContractBinding, resolveConnection, NOT_AVAILABLE_REASONS };
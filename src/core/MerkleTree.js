@@ -0,0 +1,228 @@
+/**
+ * SNARKtor Merkle Tree
+ * 
+ * Persistent tree that builds every level once and caches it, so proofs for all N
+ * leaves cost O(N log N) instead of rebuilding the tree per leaf. Supports appending
+ * leaves in O(log N) and round-trips its layers through JSON.
+ */
+
+const {
+    TREE_MODES,
+    assertTreeMode,
+    hashLeaf,
+    hashNode,
+    buildNextLevel
+} = require('./merkle');
+
+const SERIALIZATION_VERSION = 1;
+
+class MerkleTree {
+    /**
+     * @param {Array<string>} leaves - Proof hashes (optional, leaves can be appended later)
+     * @param {number} mode - Tree mode (defaults to legacy)
+     */
+    constructor(leaves = [], mode = TREE_MODES.LEGACY) {
+        assertTreeMode(mode);
+        this.mode = mode;
+        this.leaves = [...leaves];
+        this.layers = [this.leaves.map(leaf => hashLeaf(leaf, mode))];
+
+        while (this.layers[this.layers.length - 1].length > 1) {
+            this.layers.push(buildNextLevel(this.layers[this.layers.length - 1], mode));
+        }
+    }
+
+    /**
+     * Number of leaves in the tree
+     */
+    get size() {
+        return this.leaves.length;
+    }
+
+    /**
+     * Append a leaf, recomputing only the nodes on its path to the root
+     * @param {string} leaf - Proof hash
+     */
+    append(leaf) {
+        this.leaves.push(leaf);
+        this.layers[0].push(hashLeaf(leaf, this.mode));
+
+        let level = 0;
+        let index = this.layers[0].length - 1;
+
+        // The new leaf's ancestors are always the last node of each level
+        while (this.layers[level].length > 1) {
+            const layer = this.layers[level];
+            const parentIndex = Math.floor(index / 2);
+            const parent = index % 2 === 1
+                ? hashNode(layer[index - 1], layer[index], this.mode)
+                : layer[index];
+
+            if (!this.layers[level + 1]) {
+                this.layers[level + 1] = [];
+            }
+            this.layers[level + 1][parentIndex] = parent;
+
+            level++;
+            index = parentIndex;
+        }
+
+        this.layers.length = level + 1;
+        return this.leaves.length - 1;
+    }
+
+    /**
+     * Get the merkle root
+     */
+    getRoot() {
+        if (this.leaves.length === 0) {
+            throw new Error('Empty proofs array');
+        }
+
+        return this.layers[this.layers.length - 1][0];
+    }
+
+    /**
+     * Get the inclusion proof for a leaf
+     * 
+     * Levels where the node is promoted contribute no sibling, so the returned index
+     * only carries the left/right bits of levels that are in the path. This is the
+     * index the on-chain verifier expects; leafIndex is the leaf's position.
+     * @param {number} leafIndex - Index of the leaf to prove
+     */
+    getProof(leafIndex) {
+        if (!Number.isInteger(leafIndex) || leafIndex < 0 || leafIndex >= this.leaves.length) {
+            throw new Error('Leaf index out of bounds');
+        }
+
+        const path = [];
+        let pathIndex = 0;
+        let index = leafIndex;
+
+        for (let level = 0; level < this.layers.length - 1; level++) {
+            const layer = this.layers[level];
+
+            if (index % 2 === 1) {
+                // Right child, sibling is left
+                pathIndex += 2 ** path.length;
+                path.push(layer[index - 1]);
+            } else if (index + 1 < layer.length) {
+                // Left child, sibling is right
+                path.push(layer[index + 1]);
+            }
+
+            index = Math.floor(index / 2);
+        }
+
+        return {
+            path,
+            index: pathIndex,
+            leafIndex,
+            leaf: this.leaves[leafIndex],
+            mode: this.mode
+        };
+    }
+
+    /**
+     * Get inclusion proofs for every leaf
+     */
+    getProofs() {
+        return this.leaves.map((_, index) => this.getProof(index));
+    }
+
+    /**
+     * Get a multiproof covering several leaves at once
+     * 
+     * Siblings shared between the proven leaves are not repeated: each hashing step
+     * has a flag that is true when the sibling is another node of the proven set and
+     * false when it is taken from `proof`. Nodes promoted on odd-sized levels have no
+     * hashing step and no flag.
+     * @param {Array<number>} leafIndices - Indices of the leaves to prove
+     */
+    getMultiProof(leafIndices) {
+        const indices = [...new Set(leafIndices)].sort((a, b) => a - b);
+        if (indices.length === 0) {
+            throw new Error('No leaves to prove');
+        }
+        for (const index of indices) {
+            if (!Number.isInteger(index) || index < 0 || index >= this.leaves.length) {
+                throw new Error('Leaf index out of bounds');
+            }
+        }
+
+        const proof = [];
+        const proofFlags = [];
+        let positions = indices;
+
+        for (let level = 0; level < this.layers.length - 1; level++) {
+            const layer = this.layers[level];
+            const nextPositions = [];
+
+            for (let i = 0; i < positions.length; i++) {
+                const position = positions[i];
+
+                if (position % 2 === 1) {
+                    // Right child whose left sibling is not in the proven set
+                    proofFlags.push(false);
+                    proof.push(layer[position - 1]);
+                } else if (position + 1 < layer.length) {
+                    if (positions[i + 1] === position + 1) {
+                        proofFlags.push(true);
+                        i++;
+                    } else {
+                        proofFlags.push(false);
+                        proof.push(layer[position + 1]);
+                    }
+                }
+
+                nextPositions.push(Math.floor(position / 2));
+            }
+
+            positions = nextPositions;
+        }
+
+        return {
+            leaves: indices.map(index => this.leaves[index]),
+            indices,
+            proof,
+            proofFlags,
+            leafCount: this.leaves.length,
+            mode: this.mode
+        };
+    }
+
+    /**
+     * Serialize the tree, including all cached layers
+     */
+    toJSON() {
+        return {
+            version: SERIALIZATION_VERSION,
+            mode: this.mode,
+            leaves: [...this.leaves],
+            layers: this.layers.map(layer => [...layer])
+        };
+    }
+
+    /**
+     * Restore a tree from toJSON() output without rehashing
+     * @param {Object|string} json - Serialized tree (object or JSON string)
+     */
+    static fromJSON(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+
+        if (data.version !== SERIALIZATION_VERSION) {
+            throw new Error(`Unsupported merkle tree serialization version: ${data.version}`);
+        }
+        assertTreeMode(data.mode);
+        if (!Array.isArray(data.layers) || data.layers.length === 0 || data.layers[0].length !== data.leaves.length) {
+            throw new Error('Invalid merkle tree layers');
+        }
+
+        const tree = new MerkleTree([], data.mode);
+        tree.leaves = [...data.leaves];
+        tree.layers = data.layers.map(layer => [...layer]);
+        return tree;
+    }
+}
+
+module.exports = { MerkleTree };
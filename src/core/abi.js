@@ -0,0 +1,360 @@
+/**
+ * SNARKtor Contract ABIs
+ * 
+ * Loads contract ABIs from the compiled Hardhat artifacts so the clients always match
+ * the Solidity sources, and inspects deployed bytecode to tell which SNARKtor feature
+ * sets a given address actually implements.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const DEFAULT_ARTIFACTS_DIR = path.join(__dirname, '..', '..', 'artifacts');
+
+// Human-readable ABIs used when the package is installed without compiled artifacts.
+// These must mirror contracts/*.sol; the artifacts take precedence whenever present.
+const FALLBACK_ABIS = {
+    SnarktorVerifier: [
+        // Events
+        "event ProofInclusionVerified(bytes32 indexed baseProofHash, bytes32 indexed aggregatedHash, bool verified)",
+        "event MerkleRootValidated(bytes32 indexed merkleRoot, bool isValid)",
+        "event MultiProofInclusionVerified(bytes32 indexed aggregatedHash, uint256 proofCount, bool verified)",
+
+        // Verification functions
+        "function verifyProofInclusion(bytes32 _baseProofHash, bytes32 _aggregatedHash, tuple(bytes32[] path, uint256 index, bytes32 leaf) _merkleProof) returns (bool)",
+        "function verifyMerkleRoot(bytes32 _merkleRoot, bytes32[] _proofs) returns (bool)",
+        "function getBaseProof(bytes32 _proofHash) view returns (tuple(bytes32 proofHash, bytes32 publicInput, bytes32 verificationKey, bool exists))",
+        "function getAggregatedProof(bytes32 _aggregatedHash) view returns (tuple(bytes32 aggregatedHash, bytes32 merkleRoot, bytes32[] includedProofs, uint8 treeMode, bool exists))",
+        "function isBaseProofAvailable(bytes32 _proofHash) view returns (bool)",
+        "function isAggregatedProofAvailable(bytes32 _aggregatedHash) view returns (bool)",
+        "function baseProofs(bytes32) view returns (bytes32 proofHash, bytes32 publicInput, bytes32 verificationKey, bool exists)",
+        "function aggregatedProofs(bytes32) view returns (bytes32 aggregatedHash, bytes32 merkleRoot, uint8 treeMode, bool exists)",
+        "function verifyMerkleRootWithMode(bytes32 _merkleRoot, bytes32[] _proofs, uint8 _treeMode) returns (bool)",
+        "function TREE_MODE_LEGACY() view returns (uint8)",
+        "function TREE_MODE_DOMAIN_SEPARATED() view returns (uint8)",
+        "function TREE_MODE_SORTED_PAIR() view returns (uint8)",
+        "function NO_PUBLIC_INPUT() view returns (bytes32)",
+        "function NO_VERIFICATION_KEY() view returns (bytes32)",
+        "function verifyMultiProofInclusion(bytes32 _aggregatedHash, tuple(bytes32[] leaves, uint256[] indices, bytes32[] proof, bool[] proofFlags) _multiProof) returns (bool)",
+        "function verifySortedProofInclusion(bytes32 _baseProofHash, bytes32 _aggregatedHash, bytes32[] _proof) returns (bool)",
+        "function verifyChainedInclusion(bytes32 _baseProofHash, bytes32 _aggregatedHash, tuple(bytes32[] path, uint256 index, bytes32 leaf)[] _chain) returns (bool)",
+
+        // Data provider functions
+        "function addBaseProofData(bytes32 _proofHash, bytes32 _publicInput, bytes32 _verificationKey)",
+        "function addAggregatedProofData(bytes32 _aggregatedHash, bytes32 _merkleRoot, bytes32[] _includedProofs)",
+        "function addAggregatedProofDataWithMode(bytes32 _aggregatedHash, bytes32 _merkleRoot, bytes32[] _includedProofs, uint8 _treeMode)",
+
+        // Access control
+        "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+        "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)",
+        "event Paused(address account)",
+        "event Unpaused(address account)",
+        "function ADMIN_ROLE() view returns (bytes32)",
+        "function DATA_PROVIDER_ROLE() view returns (bytes32)",
+        "function PAUSER_ROLE() view returns (bytes32)",
+        "function paused() view returns (bool)",
+        "function hasRole(bytes32 _role, address _account) view returns (bool)",
+        "function getRoleMembers(bytes32 _role) view returns (address[])",
+        "function grantRole(bytes32 _role, address _account)",
+        "function revokeRole(bytes32 _role, address _account)",
+        "function renounceRole(bytes32 _role)",
+        "function pause()",
+        "function unpause()",
+
+        // Attestations
+        "event AttestationThresholdUpdated(uint256 threshold)",
+        "event AggregatedProofAttested(bytes32 indexed aggregatedHash, address indexed attestor, uint256 attestations)",
+        "event AggregatedProofFinalized(bytes32 indexed aggregatedHash)",
+        "function ATTESTOR_ROLE() view returns (bytes32)",
+        "function ATTESTATION_TYPEHASH() view returns (bytes32)",
+        "function attestationThreshold() view returns (uint256)",
+        "function hasAttested(bytes32, address) view returns (bool)",
+        "function setAttestationThreshold(uint256 _threshold)",
+        "function getAttestationStatus(bytes32 _aggregatedHash) view returns (tuple(uint256 attestations, uint256 required, bool finalized))",
+        "function isAggregatedProofFinalized(bytes32 _aggregatedHash) view returns (bool)",
+        "function domainSeparator() view returns (bytes32)",
+        "function attestationDigest(bytes32 _aggregatedHash, bytes32 _merkleRoot, bytes32[] _includedProofs, uint8 _treeMode) view returns (bytes32)",
+        "function submitAttestations(bytes32 _aggregatedHash, bytes[] _signatures)",
+
+        // Aggregated proof verification
+        "event AggregatedProofVerifierUpdated(address indexed verifier)",
+        "function aggregatedProofVerifier() view returns (address)",
+        "function setAggregatedProofVerifier(address _verifier)",
+        "function aggregatedProofPublicInputs(bytes32 _merkleRoot) pure returns (uint256[] inputs)",
+        "function addVerifiedAggregatedProofData(bytes32 _aggregatedHash, bytes32 _merkleRoot, bytes32[] _includedProofs, uint8 _treeMode, bytes _proof)"
+    ],
+    VerificationKeyRegistry: [
+        // Events
+        "event VerificationKeyRegistered(bytes32 indexed keyHash, bytes32 indexed circuitId, string circuitName, string proofSystem, uint32 version, address indexed owner)",
+        "event VerificationKeyDeprecated(bytes32 indexed keyHash, bool deprecated)",
+        "event CircuitOwnershipTransferred(bytes32 indexed circuitId, address indexed previousOwner, address indexed newOwner)",
+
+        // Registration functions
+        "function registerVerificationKey(bytes32 _keyHash, string _circuitName, string _proofSystem, uint32 _version)",
+        "function setDeprecated(bytes32 _keyHash, bool _deprecated)",
+        "function transferCircuitOwnership(string _circuitName, address _newOwner)",
+
+        // Lookup functions
+        "function getVerificationKey(bytes32 _keyHash) view returns (tuple(bytes32 keyHash, string circuitName, string proofSystem, uint32 version, address owner, bool deprecated, uint256 registeredAt, bool exists))",
+        "function isRegistered(bytes32 _keyHash) view returns (bool)",
+        "function getCircuitVersion(string _circuitName, uint32 _version) view returns (bytes32)",
+        "function getCircuitKeys(string _circuitName) view returns (bytes32[])",
+        "function getLatestVerificationKey(string _circuitName) view returns (bytes32 keyHash)",
+        "function circuitOwners(bytes32) view returns (address)",
+        "function circuitId(string _circuitName) pure returns (bytes32)",
+        "function NO_VERIFICATION_KEY() view returns (bytes32)",
+
+        // Access control
+        "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+        "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)",
+        "event Paused(address account)",
+        "event Unpaused(address account)",
+        "function ADMIN_ROLE() view returns (bytes32)",
+        "function DATA_PROVIDER_ROLE() view returns (bytes32)",
+        "function PAUSER_ROLE() view returns (bytes32)",
+        "function REGISTRAR_ROLE() view returns (bytes32)",
+        "function paused() view returns (bool)",
+        "function hasRole(bytes32 _role, address _account) view returns (bool)",
+        "function getRoleMembers(bytes32 _role) view returns (address[])",
+        "function grantRole(bytes32 _role, address _account)",
+        "function revokeRole(bytes32 _role, address _account)",
+        "function renounceRole(bytes32 _role)",
+        "function pause()",
+        "function unpause()"
+    ],
+    ISnarktorVerifier: [
+        // Events
+        "event ProofVerified(bytes32 indexed proofHash, address indexed submitter, uint256 timestamp)",
+        "event AggregatedProofSubmitted(bytes32 indexed aggregatedHash, uint256 baseProofCount)",
+        "event MerkleRootValidated(bytes32 indexed merkleRoot, bytes32[] includedProofs)",
+        "event BaseProofRelayed(bytes32 indexed proofHash, address indexed user, address indexed relayer)",
+        "event Deposited(address indexed user, uint256 amount)",
+        "event Withdrawn(address indexed user, uint256 amount)",
+        "event FeesSettled(bytes32 indexed aggregatedHash, uint256 currentFee, uint256 inclusionFee, uint256 carriedFee)",
+        "event RewardsClaimed(address indexed account, uint256 amount)",
+
+        // Functions
+        "function submitBaseProof(bytes _proofData, bytes32 _publicInput, bytes32 _verificationKey, uint256 _fee, bytes _signature) payable",
+        "function submitBaseProofFor(address _user, bytes _proofData, bytes32 _publicInput, bytes32 _verificationKey, uint256 _fee, bytes _signature)",
+        "function submitAggregatedProof(bytes _aggregatedProofData, bytes32 _merkleRoot, tuple(bytes32 proofHash, address user, uint256 fee, uint256 nonce, bytes32 publicInput, bytes32 verificationKey, bytes signature)[] _provenData, bytes32[] _disabledNodes)",
+        "function submitAggregatedProofWithPayees(bytes _aggregatedProofData, bytes32 _merkleRoot, tuple(bytes32 proofHash, address user, uint256 fee, uint256 nonce, bytes32 publicInput, bytes32 verificationKey, bytes signature)[] _provenData, bytes32[] _disabledNodes, address[] _provers, address _scheduler)",
+        "function verifyProofInclusion(bytes32 _baseProofHash, bytes32 _aggregatedHash, tuple(bytes32[] path, uint256 index, bytes32 leaf) _merkleProof) view returns (bool)",
+        "function verifyMerkleRoot(bytes32 _merkleRoot, bytes32[] _proofs) pure returns (bool)",
+        "function verifyChainedInclusion(bytes32 _baseProofHash, bytes32 _aggregatedHash, tuple(bytes32[] path, uint256 index, bytes32 leaf)[] _chain) view returns (bool)",
+        "function aggregatedIn(bytes32 _proofHash) view returns (bytes32)",
+        "function parentAggregation(bytes32 _aggregatedHash) view returns (bytes32)",
+        "function getBaseProof(bytes32 _proofHash) view returns (tuple(bytes32 proofHash, address user, uint256 fee, uint256 nonce, bytes32 publicInput, bytes32 verificationKey, bytes signature))",
+        "function getAggregatedProof(bytes32 _aggregatedHash) view returns (tuple(bytes32 aggregatedHash, bytes32 merkleRoot, bytes32[] disabledNodes, tuple(bytes32 proofHash, address user, uint256 fee, uint256 nonce, bytes32 publicInput, bytes32 verificationKey, bytes signature)[] provenData, uint256 totalFee, address submitter, uint256 timestamp))",
+        "function isProofSubmitted(bytes32 _proofHash) view returns (bool)",
+        "function deposit() payable",
+        "function withdraw(uint256 _amount)",
+        "function userBalances(address _user) view returns (uint256)",
+        "function userNonces(address _user) view returns (uint256)",
+        "function pendingRewards(address _account) view returns (uint256)",
+        "function carriedFees(bytes32 _aggregatedHash) view returns (uint256)",
+        "function claimRewards()"
+    ]
+};
+
+// Function signatures that identify each feature set in deployed bytecode
+const FEATURE_SETS = {
+    verification: [
+        'verifyProofInclusion(bytes32,bytes32,(bytes32[],uint256,bytes32))',
+        'verifyMerkleRoot(bytes32,bytes32[])',
+        'isBaseProofAvailable(bytes32)',
+        'isAggregatedProofAvailable(bytes32)',
+        'addBaseProofData(bytes32,bytes32,bytes32)',
+        'addAggregatedProofData(bytes32,bytes32,bytes32[])'
+    ],
+    domainSeparation: [
+        'addAggregatedProofDataWithMode(bytes32,bytes32,bytes32[],uint8)',
+        'verifyMerkleRootWithMode(bytes32,bytes32[],uint8)'
+    ],
+    multiProof: [
+        'verifyMultiProofInclusion(bytes32,(bytes32[],uint256[],bytes32[],bool[]))'
+    ],
+    sortedPair: [
+        'verifySortedProofInclusion(bytes32,bytes32,bytes32[])'
+    ],
+    chainedInclusion: [
+        'verifyChainedInclusion(bytes32,bytes32,(bytes32[],uint256,bytes32)[])'
+    ],
+    accessControl: [
+        'hasRole(bytes32,address)',
+        'getRoleMembers(bytes32)',
+        'grantRole(bytes32,address)',
+        'revokeRole(bytes32,address)',
+        'pause()',
+        'unpause()'
+    ],
+    attestation: [
+        'setAttestationThreshold(uint256)',
+        'getAttestationStatus(bytes32)',
+        'submitAttestations(bytes32,bytes[])',
+        'isAggregatedProofFinalized(bytes32)'
+    ],
+    aggregatedProofVerification: [
+        'setAggregatedProofVerifier(address)',
+        'addVerifiedAggregatedProofData(bytes32,bytes32,bytes32[],uint8,bytes)'
+    ],
+    typedSubmission: [
+        'submissionDigest(address,bytes32,bytes32,bytes32,uint256,uint256)',
+        'legacySignaturesEnabled()',
+        'setLegacySignaturesEnabled(bool)'
+    ],
+    relayedSubmission: [
+        'submitBaseProofFor(address,bytes,bytes32,bytes32,uint256,bytes)'
+    ],
+    feeSettlement: [
+        'submitAggregatedProofWithPayees(bytes,bytes32,(bytes32,address,uint256,uint256,bytes32,bytes32,bytes)[],bytes32[],address[],address)',
+        'pendingRewards(address)',
+        'claimRewards()'
+    ],
+    verificationKeyRegistry: [
+        'registerVerificationKey(bytes32,string,string,uint32)',
+        'setDeprecated(bytes32,bool)',
+        'getVerificationKey(bytes32)',
+        'getLatestVerificationKey(string)'
+    ],
+    aggregation: [
+        'submitBaseProof(bytes,bytes32,bytes32,uint256,bytes)',
+        'submitAggregatedProof(bytes,bytes32,(bytes32,address,uint256,uint256,bytes32,bytes32,bytes)[],bytes32[])',
+        'isProofSubmitted(bytes32)',
+        'deposit()',
+        'withdraw(uint256)',
+        'userBalances(address)',
+        'userNonces(address)'
+    ]
+};
+
+/**
+ * Read the ABI of a compiled contract from the Hardhat artifacts directory
+ * @param {string} contractName - Contract name (also the source file name)
+ * @param {string} artifactsDir - Artifacts directory (optional)
+ * @returns {Array|null} The ABI, or null if the artifact has not been compiled
+ */
+function loadArtifactAbi(contractName, artifactsDir = null) {
+    const dir = artifactsDir || process.env.SNARKTOR_ARTIFACTS_DIR || DEFAULT_ARTIFACTS_DIR;
+    const artifactPath = path.join(dir, 'contracts', `${contractName}.sol`, `${contractName}.json`);
+
+    if (!fs.existsSync(artifactPath)) {
+        return null;
+    }
+
+    return JSON.parse(fs.readFileSync(artifactPath, 'utf8')).abi;
+}
+
+/**
+ * Get a contract ABI, preferring compiled artifacts over the bundled fallback
+ * @param {string} contractName - Contract name
+ * @param {string} artifactsDir - Artifacts directory (optional)
+ */
+function loadAbi(contractName, artifactsDir = null) {
+    const abi = loadArtifactAbi(contractName, artifactsDir) || FALLBACK_ABIS[contractName];
+    if (!abi) {
+        throw new Error(`No ABI available for ${contractName}`);
+    }
+
+    return abi;
+}
+
+/**
+ * Compute the 4-byte selector of a function signature
+ * @param {string} signature - Canonical signature, e.g. 'deposit()'
+ */
+function functionSelector(signature) {
+    return ethers.utils.id(signature).slice(0, 10);
+}
+
+/**
+ * Extract candidate selectors from runtime bytecode. solc's function dispatcher pushes
+ * each selector with PUSH4, or PUSH3 when the selector starts with a zero byte.
+ * @param {string} bytecode - Runtime bytecode as hex
+ */
+function extractSelectors(bytecode) {
+    const code = ethers.utils.arrayify(bytecode);
+    const selectors = new Set();
+
+    for (let i = 0; i < code.length; i++) {
+        const opcode = code[i];
+
+        // PUSH1 (0x60) .. PUSH32 (0x7f) carry inline data that must be skipped
+        if (opcode >= 0x60 && opcode <= 0x7f) {
+            const size = opcode - 0x5f;
+            if ((size === 3 || size === 4) && i + size < code.length) {
+                selectors.add(ethers.utils.hexZeroPad(code.slice(i + 1, i + 1 + size), 4));
+            }
+            i += size;
+        }
+    }
+
+    return selectors;
+}
+
+/**
+ * Inspect the code at an address and report which feature sets it supports
+ * @param {Provider} provider - ethers provider
+ * @param {string} address - Contract address
+ */
+async function probeContract(provider, address) {
+    const bytecode = await provider.getCode(address);
+    const selectors = extractSelectors(bytecode);
+    const features = {};
+
+    for (const [feature, signatures] of Object.entries(FEATURE_SETS)) {
+        const missing = signatures.filter(sig => !selectors.has(functionSelector(sig)));
+        features[feature] = {
+            supported: bytecode !== '0x' && missing.length === 0,
+            missing
+        };
+    }
+
+    return {
+        address,
+        deployed: bytecode !== '0x',
+        selectors: [...selectors],
+        features
+    };
+}
+
+/**
+ * Throw unless the contract at an address supports every required feature set
+ * @param {Provider} provider - ethers provider
+ * @param {string} address - Contract address
+ * @param {Array<string>} requiredFeatures - Feature set names
+ */
+async function assertFeatures(provider, address, requiredFeatures) {
+    const probe = await probeContract(provider, address);
+
+    if (!probe.deployed) {
+        throw new Error(`No contract deployed at ${address}`);
+    }
+
+    for (const feature of requiredFeatures) {
+        const result = probe.features[feature];
+        if (!result) {
+            throw new Error(`Unknown feature set: ${feature}`);
+        }
+        if (!result.supported) {
+            throw new Error(
+                `Contract at ${address} does not support the '${feature}' feature set ` +
+                `(missing: ${result.missing.join(', ')})`
+            );
+        }
+    }
+
+    return probe;
+}
+
+module.exports = {
+    DEFAULT_ARTIFACTS_DIR,
+    FALLBACK_ABIS,
+    FEATURE_SETS,
+    loadArtifactAbi,
+    loadAbi,
+    functionSelector,
+    extractSelectors,
+    probeContract,
+    assertFeatures
+};
@@ -0,0 +1,89 @@
+/**
+ * SNARKtor Aggregated Proof Attestations
+ *
+ * EIP-712 typed data attestors sign to finalize an aggregated proof record, mirroring
+ * SnarktorAttestation.sol: the (aggregatedHash, merkleRoot, includedProofs, treeMode) tuple
+ * under the "SnarktorVerifier" version "1" domain of a specific verifier deployment.
+ */
+
+const { ethers } = require('ethers');
+
+const ATTESTATION_DOMAIN_NAME = 'SnarktorVerifier';
+const ATTESTATION_DOMAIN_VERSION = '1';
+
+const ATTESTATION_TYPES = Object.freeze({
+    AggregatedProofAttestation: [
+        { name: 'aggregatedHash', type: 'bytes32' },
+        { name: 'merkleRoot', type: 'bytes32' },
+        { name: 'includedProofs', type: 'bytes32[]' },
+        { name: 'treeMode', type: 'uint8' }
+    ]
+});
+
+/**
+ * Build the EIP-712 domain of a verifier deployment
+ * @param {number} chainId - Chain ID
+ * @param {string} verifyingContract - Verifier contract address
+ */
+function attestationDomain(chainId, verifyingContract) {
+    return {
+        name: ATTESTATION_DOMAIN_NAME,
+        version: ATTESTATION_DOMAIN_VERSION,
+        chainId,
+        verifyingContract
+    };
+}
+
+/**
+ * Extract the attested fields from an aggregated proof record
+ * @param {Object} record - { aggregatedHash, merkleRoot, includedProofs, treeMode } (treeMode defaults to legacy)
+ */
+function attestationValue(record) {
+    return {
+        aggregatedHash: record.aggregatedHash,
+        merkleRoot: record.merkleRoot,
+        includedProofs: [...record.includedProofs],
+        treeMode: Number(record.treeMode || 0)
+    };
+}
+
+/**
+ * Compute the EIP-712 digest of an attestation (equals attestationDigest on-chain)
+ * @param {Object} domain - Domain from attestationDomain
+ * @param {Object} record - Aggregated proof record
+ */
+function hashAttestation(domain, record) {
+    return ethers.utils._TypedDataEncoder.hash(domain, ATTESTATION_TYPES, attestationValue(record));
+}
+
+/**
+ * Sign an attestation with an ethers Signer that supports EIP-712
+ * @param {Signer} signer - Attestor signer
+ * @param {Object} domain - Domain from attestationDomain
+ * @param {Object} record - Aggregated proof record
+ */
+async function signAttestation(signer, domain, record) {
+    if (typeof signer._signTypedData !== 'function') {
+        throw new Error('Signer does not support EIP-712 typed data signing');
+    }
+    return await signer._signTypedData(domain, ATTESTATION_TYPES, attestationValue(record));
+}
+
+/**
+ * Recover the attestor address from an attestation signature
+ * @param {Object} domain - Domain from attestationDomain
+ * @param {Object} record - Aggregated proof record
+ * @param {string} signature - 65-byte signature
+ */
+function recoverAttestor(domain, record, signature) {
+    return ethers.utils.verifyTypedData(domain, ATTESTATION_TYPES, attestationValue(record), signature);
+}
+
+module.exports = {
+    ATTESTATION_TYPES,
+    attestationDomain,
+    attestationValue,
+    hashAttestation,
+    signAttestation,
+    recoverAttestor
+};
@@ -0,0 +1,63 @@
+/**
+ * SNARKtor Fee Distribution
+ *
+ * Client-side mirror of SnarktorUtils.calculateFeeDistribution and the settlement performed by
+ * SnarktorAggregationHub, so payouts can be predicted before an aggregated proof is submitted.
+ */
+
+const { ethers } = require('ethers');
+
+// Percentages of an aggregation's fee pool
+const FEE_SHARES = Object.freeze({
+    CURRENT_LEVEL: 40,  // Scheduler and provers of the aggregation
+    INCLUSION: 5,       // Submitter of the aggregated proof
+    AGGREGATION: 55     // Carried forward to the next aggregation level
+});
+
+/**
+ * Split a fee pool per the SNARKtor protocol
+ * Rounding dust stays with the aggregation share, as on-chain.
+ * @param {BigNumberish} totalFee - Fee pool
+ * @returns {Object} { currentFee, inclusionFee, aggregationFee } as BigNumbers
+ */
+function calculateFeeDistribution(totalFee) {
+    const total = ethers.BigNumber.from(totalFee);
+    const currentFee = total.mul(FEE_SHARES.CURRENT_LEVEL).div(100);
+    const inclusionFee = total.mul(FEE_SHARES.INCLUSION).div(100);
+
+    return {
+        currentFee,
+        inclusionFee,
+        aggregationFee: total.sub(currentFee).sub(inclusionFee)
+    };
+}
+
+/**
+ * Compute the rewards an aggregation settles
+ * @param {BigNumberish} pool - Proven base proof fees plus the carried fees of the disabled nodes
+ * @param {Object} payees - { submitter, scheduler (default: submitter), provers (default: []) }
+ * @returns {Object} { rewards: address => BigNumber, carriedFee }
+ */
+function calculateSettlement(pool, payees) {
+    const { currentFee, inclusionFee, aggregationFee } = calculateFeeDistribution(pool);
+    const provers = payees.provers || [];
+    const scheduler = payees.scheduler || payees.submitter;
+    const share = currentFee.div(provers.length + 1);
+    const rewards = {};
+    const credit = (account, amount) => {
+        const key = ethers.utils.getAddress(account);
+        rewards[key] = (rewards[key] || ethers.constants.Zero).add(amount);
+    };
+
+    provers.forEach(prover => credit(prover, share));
+    credit(scheduler, currentFee.sub(share.mul(provers.length)));
+    credit(payees.submitter, inclusionFee);
+
+    return { rewards, carriedFee: aggregationFee };
+}
+
+module.exports = {
+    FEE_SHARES,
+    calculateFeeDistribution,
+    calculateSettlement
+};
@@ -0,0 +1,188 @@
+/**
+ * SNARKtor Hashing Helpers
+ * 
+ * Keccak256 helpers shared by the SNARKtor clients for hashing raw proof bytes,
+ * text and JSON structures into bytes32 values.
+ *
+ * Structured values are hashed through a canonical JSON encoding (sorted keys, field
+ * elements as decimal strings) so that equal proofs hash equally regardless of key
+ * order or whether a signal was supplied as a number or a string.
+ */
+
+const { ethers } = require('ethers');
+
+/**
+ * Hash raw bytes (hex string, Buffer or Uint8Array)
+ * @param {string|Buffer|Uint8Array} data - Bytes to hash
+ */
+function hashBytes(data) {
+    return ethers.utils.keccak256(data);
+}
+
+/**
+ * Hash a UTF-8 string
+ * @param {string} text - Text to hash
+ */
+function hashText(text) {
+    return ethers.utils.keccak256(ethers.utils.toUtf8Bytes(text));
+}
+
+/**
+ * Hash the JSON serialization of a value
+ * @param {*} value - Value to serialize and hash
+ */
+function hashJson(value) {
+    return hashText(JSON.stringify(value));
+}
+
+/**
+ * Normalize a field element to its canonical decimal string
+ * Accepts safe integers, bigints, BigNumbers, decimal strings and 0x-prefixed hex strings.
+ * @param {*} value - Field element
+ */
+function normalizeFieldElement(value) {
+    if (typeof value === 'bigint') {
+        return value.toString();
+    }
+    if (typeof value === 'number') {
+        if (!Number.isSafeInteger(value)) {
+            throw new Error(`Cannot canonicalize non-integer or unsafe number: ${value}`);
+        }
+        return value.toString();
+    }
+    if (ethers.BigNumber.isBigNumber(value)) {
+        return value.toString();
+    }
+    if (typeof value === 'string' && /^(-?[0-9]+|0x[0-9a-fA-F]+)$/.test(value)) {
+        const negative = value.startsWith('-');
+        const magnitude = BigInt(negative ? value.slice(1) : value);
+        return (negative && magnitude !== 0n ? '-' : '') + magnitude.toString();
+    }
+    throw new Error(`Invalid field element: ${value}`);
+}
+
+/**
+ * Check whether a value can be normalized as a field element
+ * @param {*} value - Value to check
+ */
+function isFieldElement(value) {
+    try {
+        normalizeFieldElement(value);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Convert a value into its canonical form
+ * Object keys are sorted, undefined members dropped, bytes become lowercase hex and
+ * bigints and BigNumbers decimal strings. Strings and finite numbers are kept as they are.
+ * @param {*} value - Value to canonicalize
+ */
+function canonicalize(value) {
+    if (value === null || typeof value === 'boolean' || typeof value === 'string') {
+        return value;
+    }
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) {
+            throw new Error(`Cannot canonicalize non-finite number: ${value}`);
+        }
+        return value;
+    }
+    if (typeof value === 'bigint' || ethers.BigNumber.isBigNumber(value)) {
+        return value.toString();
+    }
+    if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+        return ethers.utils.hexlify(value);
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => (item === undefined ? null : canonicalize(item)));
+    }
+    if (typeof value === 'object') {
+        return mapObject(value, canonicalize);
+    }
+
+    throw new Error(`Cannot canonicalize value of type ${typeof value}`);
+}
+
+/**
+ * Canonicalize a value whose leaves are field elements, such as public signals or curve points
+ * Leaves that parse as field elements become decimal strings (see normalizeFieldElement), so
+ * 7, '7', '007' and '0x07' agree; other leaves are canonicalized as is.
+ * @param {*} value - Field element, or array or object of field elements
+ */
+function canonicalizeFieldElements(value) {
+    if (isFieldElement(value)) {
+        return normalizeFieldElement(value);
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => (item === undefined ? null : canonicalizeFieldElements(item)));
+    }
+    if (isPlainObject(value)) {
+        return mapObject(value, canonicalizeFieldElements);
+    }
+    return canonicalize(value);
+}
+
+/**
+ * Check whether a value is a plain object (not bytes, a BigNumber or an array)
+ * @param {*} value - Value to check
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+        !Buffer.isBuffer(value) && !(value instanceof Uint8Array) && !ethers.BigNumber.isBigNumber(value);
+}
+
+/**
+ * Map the defined members of an object, with its keys sorted
+ * @param {Object} value - Object to map
+ * @param {Function} fn - Applied to each member
+ */
+function mapObject(value, fn) {
+    const result = {};
+    for (const key of Object.keys(value).sort()) {
+        if (value[key] !== undefined) {
+            result[key] = fn(value[key]);
+        }
+    }
+    return result;
+}
+
+/**
+ * Serialize a value as canonical JSON
+ * @param {*} value - Value to serialize
+ */
+function canonicalJson(value) {
+    return JSON.stringify(canonicalize(value));
+}
+
+/**
+ * Hash the canonical JSON serialization of a value
+ * @param {*} value - Value to serialize and hash
+ */
+function hashCanonical(value) {
+    return hashText(canonicalJson(value));
+}
+
+/**
+ * Hash a pair of bytes32 values the way the SNARKtor contracts do
+ * @param {string} left - Left node
+ * @param {string} right - Right node
+ */
+function hashPair(left, right) {
+    return ethers.utils.solidityKeccak256(['bytes32', 'bytes32'], [left, right]);
+}
+
+module.exports = {
+    hashBytes,
+    hashText,
+    hashJson,
+    hashCanonical,
+    canonicalize,
+    canonicalizeFieldElements,
+    canonicalJson,
+    normalizeFieldElement,
+    isFieldElement,
+    hashPair
+};
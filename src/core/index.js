@@ -0,0 +1,31 @@
+/**
+ * SNARKtor Core
+ * 
+ * Shared building blocks composed by the SNARKtor clients: hashing, Merkle trees,
+ * proof parsing, attestations, submission signatures, fees, proof lifecycle states, contract ABIs
+ * and contract binding.
+ */
+
+const hashing = require('./hashing');
+const merkle = require('./merkle');
+const proofs = require('./proofs');
+const abi = require('./abi');
+const attestations = require('./attestations');
+const submissions = require('./submissions');
+const fees = require('./fees');
+const status = require('./status');
+const { MerkleTree } = require('./MerkleTree');
+const { ContractBinding } = require('./ContractBinding');
+
+module.exports = {
+    ...hashing,
+    ...merkle,
+    ...proofs,
+    ...abi,
+    ...attestations,
+    ...submissions,
+    ...fees,
+    ...status,
+    MerkleTree,
+    ContractBinding
+};
@@ -0,0 +1,367 @@
+/**
+ * SNARKtor Merkle Helpers
+ * 
+ * Index-ordered Merkle tree used by SNARKtor aggregated proofs. Pairs are hashed
+ * left-to-right and an odd node at the end of a level is promoted unchanged,
+ * matching SnarktorVerifier and SnarktorUtils on-chain.
+ * 
+ * Tree modes (mirroring SnarktorMerkle.sol):
+ * - LEGACY: leaves used as-is, nodes keccak256(left || right)
+ * - DOMAIN_SEPARATED: leaves keccak256(0x00 || leaf), nodes keccak256(0x01 || left || right)
+ * - SORTED_PAIR: leaves used as-is, nodes keccak256(min || max); compatible with
+ *   OpenZeppelin's MerkleProof, so proofs need no index
+ * 
+ * An aggregation's tree is partial: its leaves are the base proofs it newly proves followed
+ * by its disabled nodes, the roots of earlier aggregations whose subtrees are not rebuilt.
+ * Chained proofs follow a base proof up through those roots to the top aggregation.
+ */
+
+const { ethers } = require('ethers');
+const { hashPair } = require('./hashing');
+
+const TREE_MODES = {
+    LEGACY: 0,
+    DOMAIN_SEPARATED: 1,
+    SORTED_PAIR: 2
+};
+
+const LEAF_PREFIX = '0x00';
+const NODE_PREFIX = '0x01';
+
+/**
+ * Throw if a tree mode is not supported
+ * @param {number} mode - Tree mode
+ */
+function assertTreeMode(mode) {
+    if (!Object.values(TREE_MODES).includes(mode)) {
+        throw new Error(`Unsupported tree mode: ${mode}`);
+    }
+}
+
+/**
+ * Hash a leaf for the given tree mode
+ * @param {string} leaf - Leaf value (proof hash)
+ * @param {number} mode - Tree mode
+ */
+function hashLeaf(leaf, mode = TREE_MODES.LEGACY) {
+    if (mode !== TREE_MODES.DOMAIN_SEPARATED) {
+        return leaf;
+    }
+
+    return ethers.utils.solidityKeccak256(['bytes1', 'bytes32'], [LEAF_PREFIX, leaf]);
+}
+
+/**
+ * Hash two child nodes for the given tree mode
+ * @param {string} left - Left node
+ * @param {string} right - Right node
+ * @param {number} mode - Tree mode
+ */
+function hashNode(left, right, mode = TREE_MODES.LEGACY) {
+    if (mode === TREE_MODES.LEGACY) {
+        return hashPair(left, right);
+    }
+    if (mode === TREE_MODES.SORTED_PAIR) {
+        return ethers.BigNumber.from(left).lt(right) ? hashPair(left, right) : hashPair(right, left);
+    }
+
+    return ethers.utils.solidityKeccak256(['bytes1', 'bytes32', 'bytes32'], [NODE_PREFIX, left, right]);
+}
+
+/**
+ * Compute the next level of the tree
+ * @param {Array<string>} level - Current level nodes
+ * @param {number} mode - Tree mode
+ */
+function buildNextLevel(level, mode = TREE_MODES.LEGACY) {
+    const nextLevel = [];
+
+    for (let i = 0; i < level.length; i += 2) {
+        if (i + 1 < level.length) {
+            nextLevel.push(hashNode(level[i], level[i + 1], mode));
+        } else {
+            // Odd number, promote the last element
+            nextLevel.push(level[i]);
+        }
+    }
+
+    return nextLevel;
+}
+
+/**
+ * Build merkle tree from proof hashes
+ * @param {Array<string>} proofHashes - Array of proof hashes
+ * @param {number} mode - Tree mode (defaults to legacy)
+ */
+function buildMerkleTree(proofHashes, mode = TREE_MODES.LEGACY) {
+    assertTreeMode(mode);
+    if (proofHashes.length === 0) {
+        throw new Error('Empty proofs array');
+    }
+
+    let currentLevel = proofHashes.map(leaf => hashLeaf(leaf, mode));
+
+    while (currentLevel.length > 1) {
+        currentLevel = buildNextLevel(currentLevel, mode);
+    }
+
+    return currentLevel[0];
+}
+
+/**
+ * Generate merkle proof for a specific leaf
+ * 
+ * Builds a MerkleTree for a single proof; use MerkleTree directly when proving
+ * many leaves of the same tree.
+ * @param {Array<string>} proofHashes - Array of proof hashes
+ * @param {number} leafIndex - Index of the leaf to prove
+ * @param {number} mode - Tree mode (defaults to legacy)
+ */
+function generateMerkleProof(proofHashes, leafIndex, mode = TREE_MODES.LEGACY) {
+    // Required lazily: MerkleTree is built on the primitives in this module
+    const { MerkleTree } = require('./MerkleTree');
+
+    if (leafIndex < 0 || leafIndex >= proofHashes.length) {
+        throw new Error('Leaf index out of bounds');
+    }
+
+    return new MerkleTree(proofHashes, mode).getProof(leafIndex);
+}
+
+/**
+ * Verify merkle proof
+ * @param {Array<string>} path - Merkle path
+ * @param {number} index - Leaf index (ignored in the sorted-pair mode)
+ * @param {string} leaf - Leaf hash
+ * @param {string} root - Root hash
+ * @param {number} mode - Tree mode (defaults to legacy)
+ */
+function verifyMerkleProof(path, index, leaf, root, mode = TREE_MODES.LEGACY) {
+    assertTreeMode(mode);
+    let computedHash = hashLeaf(leaf, mode);
+
+    for (let i = 0; i < path.length; i++) {
+        if (index % 2 === 0) {
+            computedHash = hashNode(computedHash, path[i], mode);
+        } else {
+            computedHash = hashNode(path[i], computedHash, mode);
+        }
+
+        index = Math.floor(index / 2);
+    }
+
+    return computedHash === root;
+}
+
+/**
+ * Verify an OpenZeppelin-style proof (sibling hashes only) against a sorted-pair root
+ * @param {Array<string>} proof - Sibling hashes from leaf to root
+ * @param {string} leaf - Leaf hash
+ * @param {string} root - Root hash
+ */
+function verifySortedProof(proof, leaf, root) {
+    return verifyMerkleProof(proof, 0, leaf, root, TREE_MODES.SORTED_PAIR);
+}
+
+/**
+ * Generate a multiproof for several leaves of the same tree
+ * @param {Array<string>} proofHashes - Array of proof hashes
+ * @param {Array<number>} leafIndices - Indices of the leaves to prove
+ * @param {number} mode - Tree mode (defaults to legacy)
+ */
+function generateMultiProof(proofHashes, leafIndices, mode = TREE_MODES.LEGACY) {
+    const { MerkleTree } = require('./MerkleTree');
+    return new MerkleTree(proofHashes, mode).getMultiProof(leafIndices);
+}
+
+/**
+ * Verify a multiproof against a root, mirroring SnarktorMerkle.verifyMulti on-chain
+ * @param {Object} multiProof - { leaves, indices, proof, proofFlags, leafCount, mode }
+ * @param {string} root - Root hash
+ */
+function verifyMultiProof(multiProof, root) {
+    const { leaves, indices, proof, proofFlags, leafCount } = multiProof;
+    const mode = multiProof.mode ?? TREE_MODES.LEGACY;
+    assertTreeMode(mode);
+
+    if (leaves.length === 0 || leaves.length !== indices.length) {
+        return false;
+    }
+    for (let i = 0; i < indices.length; i++) {
+        if (indices[i] >= leafCount || (i > 0 && indices[i] <= indices[i - 1])) {
+            return false;
+        }
+    }
+
+    let nodes = leaves.map(leaf => hashLeaf(leaf, mode));
+    let positions = [...indices];
+    let width = leafCount;
+    let proofPos = 0;
+    let flagPos = 0;
+
+    while (width > 1) {
+        const nextNodes = [];
+        const nextPositions = [];
+
+        for (let i = 0; i < nodes.length; i++) {
+            const position = positions[i];
+            let node = nodes[i];
+
+            if (position % 2 === 1) {
+                if (proofFlags[flagPos++] !== false || proofPos >= proof.length) {
+                    return false;
+                }
+                node = hashNode(proof[proofPos++], node, mode);
+            } else if (position + 1 < width) {
+                const siblingKnown = positions[i + 1] === position + 1;
+                if (flagPos >= proofFlags.length || proofFlags[flagPos++] !== siblingKnown) {
+                    return false;
+                }
+                if (siblingKnown) {
+                    node = hashNode(node, nodes[++i], mode);
+                } else {
+                    if (proofPos >= proof.length) {
+                        return false;
+                    }
+                    node = hashNode(node, proof[proofPos++], mode);
+                }
+            }
+
+            nextNodes.push(node);
+            nextPositions.push(Math.floor(position / 2));
+        }
+
+        nodes = nextNodes;
+        positions = nextPositions;
+        width = Math.ceil(width / 2);
+    }
+
+    return proofPos === proof.length && flagPos === proofFlags.length && nodes[0] === root;
+}
+
+/**
+ * Collect the leaves of a partial tree: proven proof hashes, then disabled nodes
+ * @param {Array<string>} provenHashes - Hashes of the base proofs the aggregation proves
+ * @param {Array<string>} disabledNodes - Roots of earlier aggregations it includes
+ */
+function partialTreeLeaves(provenHashes, disabledNodes = []) {
+    if (provenHashes.length === 0) {
+        throw new Error('No base proofs provided');
+    }
+
+    return [...provenHashes, ...disabledNodes];
+}
+
+/**
+ * Build the root of a partial tree, as SnarktorAggregationHub expects it
+ * @param {Array<string>} provenHashes - Hashes of the base proofs the aggregation proves
+ * @param {Array<string>} disabledNodes - Roots of earlier aggregations it includes
+ * @param {number} mode - Tree mode (defaults to legacy)
+ */
+function buildPartialMerkleTree(provenHashes, disabledNodes = [], mode = TREE_MODES.LEGACY) {
+    return buildMerkleTree(partialTreeLeaves(provenHashes, disabledNodes), mode);
+}
+
+/**
+ * Generate the proof of a proven hash or disabled node in a partial tree
+ * @param {Array<string>} provenHashes - Hashes of the base proofs the aggregation proves
+ * @param {Array<string>} disabledNodes - Roots of earlier aggregations it includes
+ * @param {string} leaf - Proof hash or disabled node to prove
+ * @param {number} mode - Tree mode (defaults to legacy)
+ */
+function generatePartialMerkleProof(provenHashes, disabledNodes, leaf, mode = TREE_MODES.LEGACY) {
+    const leaves = partialTreeLeaves(provenHashes, disabledNodes);
+    const leafIndex = leaves.findIndex(candidate => candidate.toLowerCase() === leaf.toLowerCase());
+
+    if (leafIndex === -1) {
+        throw new Error(`Leaf ${leaf} is not in the tree`);
+    }
+
+    return generateMerkleProof(leaves, leafIndex, mode);
+}
+
+/**
+ * Prove a leaf through a chain of trees, each including the previous tree's root as a leaf
+ * @param {string} leaf - Leaf of the first tree
+ * @param {Array<Array<string>|Object>} levels - Trees from the leaf's up to the final one, each
+ *   a list of leaves or a partial tree { provenHashes, disabledNodes }
+ * @param {number} mode - Tree mode (defaults to legacy)
+ * @returns {Object} { leaf, root, proofs }: one proof per tree, each proving the previous root
+ */
+function generateChainedInclusionProof(leaf, levels, mode = TREE_MODES.LEGACY) {
+    if (levels.length === 0) {
+        throw new Error('No trees to prove inclusion in');
+    }
+
+    const proofs = [];
+    let node = leaf;
+
+    for (const level of levels) {
+        const leaves = Array.isArray(level)
+            ? level
+            : partialTreeLeaves(level.provenHashes, level.disabledNodes);
+
+        proofs.push(generatePartialMerkleProof(leaves, [], node, mode));
+        node = buildMerkleTree(leaves, mode);
+    }
+
+    return { leaf, root: node, proofs };
+}
+
+/**
+ * Prove a base proof of an earlier aggregation through the aggregation that included the
+ * earlier root as a disabled node
+ * @param {string} leaf - Hash of a base proof proven by `subtree`
+ * @param {Object} subtree - { provenHashes, disabledNodes } of the earlier aggregation
+ * @param {Object} tree - { provenHashes, disabledNodes } of the including aggregation
+ * @param {number} mode - Tree mode (defaults to legacy)
+ * @returns {Object} { leaf, root, proofs }: a proof to the subtree root, then one from it to the root
+ */
+function generateDisabledNodeProof(leaf, subtree, tree, mode = TREE_MODES.LEGACY) {
+    return generateChainedInclusionProof(leaf, [subtree, tree], mode);
+}
+
+/**
+ * Verify a chained proof, where each proof's leaf is the root the previous one reaches
+ * @param {Object} chainedProof - { leaf, proofs } from generateChainedInclusionProof
+ * @param {string} root - Root of the last tree
+ * @param {number} mode - Tree mode (defaults to legacy)
+ */
+function verifyChainedMerkleProof(chainedProof, root, mode = TREE_MODES.LEGACY) {
+    const { proofs } = chainedProof;
+    let node = chainedProof.leaf;
+
+    if (proofs.length === 0) {
+        return false;
+    }
+    for (let i = 0; i < proofs.length; i++) {
+        const next = i + 1 < proofs.length ? proofs[i + 1].leaf : root;
+
+        if (proofs[i].leaf.toLowerCase() !== node.toLowerCase() ||
+            !verifyMerkleProof(proofs[i].path, proofs[i].index, node, next, mode)) {
+            return false;
+        }
+        node = next;
+    }
+
+    return true;
+}
+
+module.exports = {
+    TREE_MODES,
+    assertTreeMode,
+    hashLeaf,
+    hashNode,
+    buildNextLevel,
+    buildMerkleTree,
+    generateMerkleProof,
+    verifyMerkleProof,
+    verifySortedProof,
+    generateMultiProof,
+    verifyMultiProof,
+    buildPartialMerkleTree,
+    generatePartialMerkleProof,
+    generateChainedInclusionProof,
+    generateDisabledNodeProof,
+    verifyChainedMerkleProof
+};
@@ -0,0 +1,283 @@
+/**
+ * SNARKtor Proof Parsing Helpers
+ * 
+ * Normalizes proof data supplied as hex strings, Buffers or JSON objects into the
+ * proofHash/publicInput/verificationKey values used by the SNARKtor contracts.
+ */
+
+const { ethers } = require('ethers');
+const {
+    hashBytes,
+    hashText,
+    hashJson,
+    hashCanonical,
+    canonicalJson,
+    canonicalize,
+    canonicalizeFieldElements
+} = require('./hashing');
+
+/**
+ * Hash encodings reported in the `hashVersion` metadata of parsed proofs
+ * LEGACY hashes `JSON.stringify` output and is kept to reproduce hashes computed
+ * by earlier releases; CANONICAL_V1 is the default.
+ */
+const HASH_VERSIONS = Object.freeze({
+    LEGACY: 'legacy',
+    CANONICAL_V1: 'snarktor-canonical-v1'
+});
+
+/**
+ * How hashProofInputs treats omitted public inputs or verification keys
+ * SENTINEL stores NO_PUBLIC_INPUT / NO_VERIFICATION_KEY (matching the contract constants),
+ * STRICT throws, and LEGACY reproduces the old shared placeholder hashes.
+ */
+const MISSING_INPUT_MODES = Object.freeze({
+    SENTINEL: 'sentinel',
+    STRICT: 'strict',
+    LEGACY: 'legacy'
+});
+
+// Must match SnarktorVerifier.NO_PUBLIC_INPUT and NO_VERIFICATION_KEY
+const NO_PUBLIC_INPUT = hashText('SNARKTOR_NO_PUBLIC_INPUT');
+const NO_VERIFICATION_KEY = hashText('SNARKTOR_NO_VERIFICATION_KEY');
+
+/**
+ * Resolve and validate the hash version requested in parsing options
+ * @param {Object} options - Parsing options
+ */
+function resolveHashVersion(options = {}) {
+    const hashVersion = options.hashVersion || HASH_VERSIONS.CANONICAL_V1;
+    if (!Object.values(HASH_VERSIONS).includes(hashVersion)) {
+        throw new Error(`Unsupported hash version: ${hashVersion}`);
+    }
+    return hashVersion;
+}
+
+/**
+ * Normalize a list of public signals, canonicalizing every field element
+ * @param {Array} signals - Public signals
+ */
+function normalizePublicSignals(signals) {
+    if (!Array.isArray(signals)) {
+        return signals;
+    }
+    return canonicalizeFieldElements(signals);
+}
+
+/**
+ * Canonicalize the proof field of a JSON proof
+ * Arrays hold curve point coordinates (pi_a, pi_b, pi_c, PLONK commitments) and are normalized
+ * as field elements; every other member, such as protocol or curve, is kept as it is.
+ * @param {*} proof - Proof field
+ */
+function canonicalizeProof(proof) {
+    if (Array.isArray(proof)) {
+        return canonicalizeFieldElements(proof);
+    }
+    const bytesOrNumber = Buffer.isBuffer(proof) || proof instanceof Uint8Array || ethers.BigNumber.isBigNumber(proof);
+    if (proof !== null && typeof proof === 'object' && !bytesOrNumber) {
+        const result = {};
+        for (const key of Object.keys(proof).sort()) {
+            if (proof[key] !== undefined) {
+                result[key] = canonicalizeProof(proof[key]);
+            }
+        }
+        return result;
+    }
+    return canonicalize(proof);
+}
+
+/**
+ * Canonical schema for JSON proofs; fields missing from the input are encoded as null
+ * @param {Object} proofData - Proof object with a `proof` field
+ */
+function canonicalProofEnvelope(proofData) {
+    if (proofData.proof === undefined || proofData.proof === null) {
+        throw new Error('Proof object must contain a proof field');
+    }
+    return {
+        version: HASH_VERSIONS.CANONICAL_V1,
+        proof: canonicalizeProof(proofData.proof),
+        publicSignals: proofData.publicSignals === undefined
+            ? null
+            : normalizePublicSignals(proofData.publicSignals),
+        vk: proofData.vk === undefined ? null : proofData.vk
+    };
+}
+
+/**
+ * Parse generic proof data from various formats
+ * @param {*} proofData - Proof data in various formats
+ * @param {Object} options - Parsing options
+ * @param {string} options.hashVersion - Hash encoding from HASH_VERSIONS (defaults to CANONICAL_V1)
+ */
+function parseGenericProof(proofData, options = {}) {
+    const hashVersion = resolveHashVersion(options);
+
+    if (hashVersion === HASH_VERSIONS.LEGACY) {
+        return { ...parseLegacyProof(proofData), hashVersion };
+    }
+
+    if (typeof proofData === 'string') {
+        // Even-length hex strings are proof bytes; anything else is hashed as text
+        const isBytes = ethers.utils.isHexString(proofData) && proofData.length % 2 === 0;
+        return {
+            proofHash: isBytes ? hashBytes(proofData) : hashText(proofData),
+            rawData: proofData,
+            hashVersion
+        };
+    } else if (Buffer.isBuffer(proofData)) {
+        return {
+            proofHash: hashBytes(proofData),
+            rawData: ethers.utils.hexlify(proofData),
+            hashVersion
+        };
+    } else if (proofData && typeof proofData === 'object') {
+        const encoded = canonicalJson(canonicalProofEnvelope(proofData));
+        return {
+            proofHash: hashText(encoded),
+            rawData: encoded,
+            structured: proofData,
+            hashVersion
+        };
+    }
+
+    throw new Error('Unsupported proof data format');
+}
+
+/**
+ * Parse proof data the way releases before canonical hashing did
+ * @param {*} proofData - Proof data in various formats
+ */
+function parseLegacyProof(proofData) {
+    if (typeof proofData === 'string') {
+        // Hex string
+        return {
+            proofHash: hashBytes(proofData),
+            rawData: proofData
+        };
+    } else if (Buffer.isBuffer(proofData)) {
+        return {
+            proofHash: hashBytes(proofData),
+            rawData: ethers.utils.hexlify(proofData)
+        };
+    } else if (proofData && typeof proofData === 'object') {
+        // JSON object - extract proof components
+        const components = [];
+
+        // Try to extract common proof fields
+        if (proofData.proof) components.push(proofData.proof);
+        if (proofData.publicSignals) components.push(JSON.stringify(proofData.publicSignals));
+        if (proofData.vk) components.push(JSON.stringify(proofData.vk));
+
+        // If no standard fields, use the entire object
+        if (components.length === 0) {
+            components.push(JSON.stringify(proofData));
+        }
+
+        const combined = components.join('');
+        return {
+            proofHash: hashText(combined),
+            rawData: combined,
+            structured: proofData
+        };
+    }
+
+    throw new Error('Unsupported proof data format');
+}
+
+/**
+ * Resolve and validate the missing-input mode requested in hashing options
+ * Defaults to LEGACY for legacy hashes and SENTINEL otherwise.
+ * @param {Object} options - Hashing options
+ * @param {string} hashVersion - Resolved hash version
+ */
+function resolveMissingInputMode(options, hashVersion) {
+    const mode = options.missingInputs
+        || (hashVersion === HASH_VERSIONS.LEGACY ? MISSING_INPUT_MODES.LEGACY : MISSING_INPUT_MODES.SENTINEL);
+    if (!Object.values(MISSING_INPUT_MODES).includes(mode)) {
+        throw new Error(`Unsupported missing input mode: ${mode}`);
+    }
+    return mode;
+}
+
+/**
+ * Hash public inputs and verification key for submission
+ * @param {*} publicInputs - Public inputs (optional)
+ * @param {*} verificationKey - Verification key (optional)
+ * @param {Object} options - Hashing options
+ * @param {string} options.hashVersion - Hash encoding from HASH_VERSIONS (defaults to CANONICAL_V1)
+ * @param {string} options.missingInputs - Handling of omitted values from MISSING_INPUT_MODES
+ */
+function hashProofInputs(publicInputs = null, verificationKey = null, options = {}) {
+    const hashVersion = resolveHashVersion(options);
+    const missingInputs = resolveMissingInputMode(options, hashVersion);
+    const legacy = hashVersion === HASH_VERSIONS.LEGACY;
+    const warnings = [];
+
+    const resolveMissing = (label, sentinelName, sentinel, placeholder) => {
+        if (missingInputs === MISSING_INPUT_MODES.STRICT) {
+            throw new Error(`${label} required in strict mode`);
+        }
+        if (missingInputs === MISSING_INPUT_MODES.LEGACY) {
+            warnings.push(`${label} omitted; using the shared legacy placeholder, which collides across proofs`);
+            return hashText(placeholder);
+        }
+        warnings.push(`${label} omitted; using the ${sentinelName} sentinel`);
+        return sentinel;
+    };
+
+    let publicInputHash;
+    if (publicInputs === null || publicInputs === undefined) {
+        publicInputHash = resolveMissing('Public inputs', 'NO_PUBLIC_INPUT', NO_PUBLIC_INPUT, 'default_public_input');
+    } else {
+        publicInputHash = legacy
+            ? hashJson(publicInputs)
+            : hashCanonical({ version: hashVersion, publicInputs: normalizePublicSignals(publicInputs) });
+    }
+
+    let verificationKeyHash;
+    if (verificationKey === null || verificationKey === undefined) {
+        verificationKeyHash = resolveMissing(
+            'Verification key', 'NO_VERIFICATION_KEY', NO_VERIFICATION_KEY, 'default_verification_key'
+        );
+    } else {
+        verificationKeyHash = legacy
+            ? hashJson(verificationKey)
+            : hashCanonical({ version: hashVersion, verificationKey });
+    }
+
+    return { publicInputHash, verificationKeyHash, hashVersion, warnings };
+}
+
+/**
+ * Validate proof structure for SNARKtor compatibility
+ * @param {*} proofData - Proof data to validate
+ * @param {Object} options - Parsing options (see parseGenericProof)
+ */
+function validateProofStructure(proofData, options = {}) {
+    try {
+        const parsed = parseGenericProof(proofData, options);
+        return {
+            isValid: true,
+            proofHash: parsed.proofHash,
+            size: parsed.rawData.length,
+            hashVersion: parsed.hashVersion
+        };
+    } catch (error) {
+        return {
+            isValid: false,
+            error: error.message
+        };
+    }
+}
+
+module.exports = {
+    HASH_VERSIONS,
+    MISSING_INPUT_MODES,
+    NO_PUBLIC_INPUT,
+    NO_VERIFICATION_KEY,
+    parseGenericProof,
+    hashProofInputs,
+    validateProofStructure
+};
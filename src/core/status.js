@@ -0,0 +1,67 @@
+/**
+ * SNARKtor Proof Lifecycle
+ *
+ * States a base proof moves through on its way into a final aggregated proof:
+ *
+ *   unknown → submitted → queued → aggregated → finalized
+ *                           ↓
+ *                        expired
+ *
+ * - UNKNOWN: the contract has no record of the proof
+ * - SUBMITTED: recorded, but not yet buried under the required confirmations
+ * - QUEUED: confirmed and waiting for an aggregator
+ * - AGGREGATED: proven by an aggregated proof, possibly several levels below the top one
+ * - FINALIZED: an aggregated proof containing it is finalized on SnarktorVerifier
+ * - EXPIRED: queued for longer than the tracker's expiry window
+ */
+
+const PROOF_STATUS = Object.freeze({
+    UNKNOWN: 'unknown',
+    SUBMITTED: 'submitted',
+    QUEUED: 'queued',
+    AGGREGATED: 'aggregated',
+    FINALIZED: 'finalized',
+    EXPIRED: 'expired'
+});
+
+// Position of each state along the lifecycle; expired branches off after queued
+const STATUS_ORDER = Object.freeze({
+    [PROOF_STATUS.UNKNOWN]: 0,
+    [PROOF_STATUS.SUBMITTED]: 1,
+    [PROOF_STATUS.QUEUED]: 2,
+    [PROOF_STATUS.EXPIRED]: 3,
+    [PROOF_STATUS.AGGREGATED]: 3,
+    [PROOF_STATUS.FINALIZED]: 4
+});
+
+/**
+ * Throw if a proof status is not one of PROOF_STATUS
+ * @param {string} status - Proof status
+ */
+function assertProofStatus(status) {
+    if (!Object.values(PROOF_STATUS).includes(status)) {
+        throw new Error(`Unknown proof status: ${status}`);
+    }
+}
+
+/**
+ * Check whether a proof in `current` has reached `target` or moved past it
+ * Expired is only reached by expired proofs, and an expired proof reaches nothing further.
+ * @param {string} current - Current status
+ * @param {string} target - Status waited for
+ */
+function hasReachedStatus(current, target) {
+    assertProofStatus(current);
+    assertProofStatus(target);
+
+    if (current === PROOF_STATUS.EXPIRED || target === PROOF_STATUS.EXPIRED) {
+        return current === target || (current === PROOF_STATUS.EXPIRED && STATUS_ORDER[target] < STATUS_ORDER[current]);
+    }
+    return STATUS_ORDER[current] >= STATUS_ORDER[target];
+}
+
+module.exports = {
+    PROOF_STATUS,
+    assertProofStatus,
+    hasReachedStatus
+};
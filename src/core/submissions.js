@@ -0,0 +1,199 @@
+/**
+ * SNARKtor Base Proof Submission Signatures
+ *
+ * EIP-712 typed data users sign to submit a base proof, mirroring SnarktorSubmission.sol:
+ * the (user, proofHash, publicInput, verificationKey, fee, nonce) tuple under the
+ * "SnarktorSubmission" version "1" domain of a specific contract deployment. The legacy
+ * personal_sign scheme is kept for contracts that still accept it. Signed submissions travel
+ * to relayers as JSON payloads (serializeRelayedSubmission / parseRelayedSubmission).
+ */
+
+const { ethers } = require('ethers');
+
+const SUBMISSION_DOMAIN_NAME = 'SnarktorSubmission';
+const SUBMISSION_DOMAIN_VERSION = '1';
+
+const SIGNATURE_SCHEMES = Object.freeze({
+    EIP712: 'eip712',
+    LEGACY: 'legacy'
+});
+
+const SUBMISSION_TYPES = Object.freeze({
+    BaseProofSubmission: [
+        { name: 'user', type: 'address' },
+        { name: 'proofHash', type: 'bytes32' },
+        { name: 'publicInput', type: 'bytes32' },
+        { name: 'verificationKey', type: 'bytes32' },
+        { name: 'fee', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' }
+    ]
+});
+
+/**
+ * Build the EIP-712 domain of a submission contract deployment
+ * @param {number} chainId - Chain ID
+ * @param {string} verifyingContract - Contract address
+ */
+function submissionDomain(chainId, verifyingContract) {
+    return {
+        name: SUBMISSION_DOMAIN_NAME,
+        version: SUBMISSION_DOMAIN_VERSION,
+        chainId,
+        verifyingContract
+    };
+}
+
+/**
+ * Extract the signed fields of a submission
+ * The proof hash is keccak256 of the proof bytes, as the contract computes it; pass
+ * `proofHash` instead of `proofData` when the bytes are not at hand.
+ * @param {Object} submission - { user, proofData | proofHash, publicInput, verificationKey, fee, nonce }
+ */
+function submissionValue(submission) {
+    return {
+        user: submission.user,
+        proofHash: submission.proofHash || ethers.utils.keccak256(submission.proofData),
+        publicInput: submission.publicInput,
+        verificationKey: submission.verificationKey,
+        fee: ethers.BigNumber.from(submission.fee),
+        nonce: ethers.BigNumber.from(submission.nonce)
+    };
+}
+
+/**
+ * Compute the EIP-712 digest of a submission (equals submissionDigest on-chain)
+ * @param {Object} domain - Domain from submissionDomain
+ * @param {Object} submission - Submission fields
+ */
+function hashSubmission(domain, submission) {
+    return ethers.utils._TypedDataEncoder.hash(domain, SUBMISSION_TYPES, submissionValue(submission));
+}
+
+/**
+ * Compute the message of the legacy scheme, signed with personal_sign
+ * @param {Object} submission - { fee, nonce, publicInput, verificationKey }
+ */
+function legacySubmissionMessage(submission) {
+    return ethers.utils.solidityKeccak256(
+        ['uint256', 'uint256', 'bytes32', 'bytes32'],
+        [submission.fee, submission.nonce, submission.publicInput, submission.verificationKey]
+    );
+}
+
+/**
+ * Sign a submission with an ethers Signer
+ * @param {Signer} signer - Submitting user's signer
+ * @param {Object} domain - Domain from submissionDomain (ignored by the legacy scheme)
+ * @param {Object} submission - Submission fields
+ * @param {string} scheme - One of SIGNATURE_SCHEMES (default EIP-712)
+ */
+async function signSubmission(signer, domain, submission, scheme = SIGNATURE_SCHEMES.EIP712) {
+    if (scheme === SIGNATURE_SCHEMES.LEGACY) {
+        return await signer.signMessage(ethers.utils.arrayify(legacySubmissionMessage(submission)));
+    }
+    if (scheme !== SIGNATURE_SCHEMES.EIP712) {
+        throw new Error(`Unknown signature scheme: ${scheme}`);
+    }
+    if (typeof signer._signTypedData !== 'function') {
+        throw new Error('Signer does not support EIP-712 typed data signing');
+    }
+    return await signer._signTypedData(domain, SUBMISSION_TYPES, submissionValue(submission));
+}
+
+/**
+ * Recover the address that signed a submission
+ * @param {Object} domain - Domain from submissionDomain
+ * @param {Object} submission - Submission fields
+ * @param {string} signature - 65-byte signature
+ * @param {string} scheme - One of SIGNATURE_SCHEMES (default EIP-712)
+ */
+function recoverSubmitter(domain, submission, signature, scheme = SIGNATURE_SCHEMES.EIP712) {
+    if (scheme === SIGNATURE_SCHEMES.LEGACY) {
+        return ethers.utils.verifyMessage(ethers.utils.arrayify(legacySubmissionMessage(submission)), signature);
+    }
+    return ethers.utils.verifyTypedData(domain, SUBMISSION_TYPES, submissionValue(submission), signature);
+}
+
+/**
+ * Convert a signed submission to the JSON-safe payload handed to a relayer
+ * @param {Object} signed - signSubmission fields plus { proofData, chainId, contractAddress }
+ */
+function serializeRelayedSubmission(signed) {
+    return {
+        user: signed.user,
+        proofData: ethers.utils.hexlify(signed.proofData),
+        publicInput: signed.publicInput,
+        verificationKey: signed.verificationKey,
+        fee: ethers.BigNumber.from(signed.fee).toString(),
+        nonce: ethers.BigNumber.from(signed.nonce).toString(),
+        signature: signed.signature,
+        scheme: signed.scheme || SIGNATURE_SCHEMES.EIP712,
+        chainId: Number(signed.chainId),
+        contractAddress: signed.contractAddress
+    };
+}
+
+/**
+ * Validate the shape of a relayer payload and convert its values
+ * @param {Object} payload - Payload from serializeRelayedSubmission (e.g. parsed from a request body)
+ * @returns {Object} Submission with checksummed addresses, BigNumber fee and nonce, and proofHash
+ */
+function parseRelayedSubmission(payload) {
+    if (!payload || typeof payload !== 'object') {
+        throw new Error('Relayed submission must be an object');
+    }
+    for (const field of ['user', 'proofData', 'publicInput', 'verificationKey', 'fee', 'nonce', 'signature']) {
+        if (payload[field] === undefined || payload[field] === null) {
+            throw new Error(`Relayed submission is missing ${field}`);
+        }
+    }
+    if (!ethers.utils.isHexString(payload.proofData) || ethers.utils.hexDataLength(payload.proofData) === 0) {
+        throw new Error('Relayed submission proofData must be non-empty hex');
+    }
+    for (const field of ['publicInput', 'verificationKey']) {
+        if (!ethers.utils.isHexString(payload[field], 32)) {
+            throw new Error(`Relayed submission ${field} must be bytes32`);
+        }
+    }
+    if (!ethers.utils.isHexString(payload.signature, 65)) {
+        throw new Error('Relayed submission signature must be 65 bytes');
+    }
+    const scheme = payload.scheme || SIGNATURE_SCHEMES.EIP712;
+    if (!Object.values(SIGNATURE_SCHEMES).includes(scheme)) {
+        throw new Error(`Unknown signature scheme: ${scheme}`);
+    }
+
+    let user;
+    try {
+        user = ethers.utils.getAddress(payload.user);
+    } catch (error) {
+        throw new Error('Relayed submission user must be an address');
+    }
+
+    return {
+        user,
+        proofData: payload.proofData,
+        proofHash: ethers.utils.keccak256(payload.proofData),
+        publicInput: payload.publicInput,
+        verificationKey: payload.verificationKey,
+        fee: ethers.BigNumber.from(payload.fee),
+        nonce: ethers.BigNumber.from(payload.nonce),
+        signature: payload.signature,
+        scheme,
+        chainId: payload.chainId === undefined ? null : Number(payload.chainId),
+        contractAddress: payload.contractAddress ? ethers.utils.getAddress(payload.contractAddress) : null
+    };
+}
+
+module.exports = {
+    SIGNATURE_SCHEMES,
+    SUBMISSION_TYPES,
+    submissionDomain,
+    submissionValue,
+    hashSubmission,
+    legacySubmissionMessage,
+    signSubmission,
+    recoverSubmitter,
+    serializeRelayedSubmission,
+    parseRelayedSubmission
+};
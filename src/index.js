@@ -0,0 +1,30 @@
+/**
+ * SNARKtor Proof Library
+ * 
+ * Entry point exposing the role-specific clients, the relayer, the proof tracker and the
+ * verification-key registry client, together with the shared core they are built from and
+ * the proof-format adapters.
+ */
+
+const { GenericSnarktorClient } = require('./GenericSnarktorClient');
+const { SnarktorClient } = require('./SnarktorClient');
+const { SnarktorVerificationClient, ROLES } = require('./SnarktorVerificationClient');
+const { VerificationKeyRegistryClient } = require('./VerificationKeyRegistryClient');
+const { SnarktorRelayer } = require('./SnarktorRelayer');
+const { SnarktorProofTracker } = require('./SnarktorProofTracker');
+const core = require('./core');
+const adapters = require('./adapters');
+const { MerkleTree } = require('./core/MerkleTree');
+
+module.exports = {
+    GenericSnarktorClient,
+    SnarktorClient,
+    SnarktorVerificationClient,
+    VerificationKeyRegistryClient,
+    SnarktorRelayer,
+    SnarktorProofTracker,
+    MerkleTree,
+    ROLES,
+    core,
+    adapters
+};
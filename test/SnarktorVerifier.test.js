@@ -7,9 +7,13 @@
 const { expect } = require('chai');
 const { ethers } = require('hardhat');
 const { GenericSnarktorClient } = require('../src/GenericSnarktorClient');
+const { SnarktorClient } = require('../src/SnarktorClient');
+const { SnarktorVerificationClient } = require('../src/SnarktorVerificationClient');
+const { MerkleTree } = require('../src/core/MerkleTree');
 
 describe('SnarktorVerifier', function() {
     let snarktorVerifier;
+    let hub;
     let owner, user1, user2, aggregator;
     let client;
 
@@ -21,14 +25,69 @@ describe('SnarktorVerifier', function() {
         snarktorVerifier = await SnarktorVerifier.deploy();
         await snarktorVerifier.deployed();
 
+        // Deploy the submission hub; the submission tests sign with the legacy scheme
+        const SnarktorUtils = await ethers.getContractFactory('SnarktorUtils');
+        const snarktorUtils = await SnarktorUtils.deploy();
+        await snarktorUtils.deployed();
+        const SnarktorAggregationHub = await ethers.getContractFactory('SnarktorAggregationHub', {
+            libraries: { SnarktorUtils: snarktorUtils.address }
+        });
+        hub = await SnarktorAggregationHub.deploy();
+        await hub.deployed();
+        await hub.setLegacySignaturesEnabled(true);
+
         // Create client instance
         client = new GenericSnarktorClient(
             ethers.provider,
             snarktorVerifier.address,
-            user1.privateKey
+            user1
         );
     });
 
+    describe('Client Connections', function() {
+        it('should accept a provider and signer instead of a URL and key', async function() {
+            expect(await client.binding.getSignerAddress()).to.equal(user1.address);
+            expect(client.provider).to.equal(ethers.provider);
+
+            const readOnly = new SnarktorVerificationClient(ethers.provider, snarktorVerifier.address);
+            expect(readOnly.wallet).to.be.null;
+            expect(await readOnly.isBaseProofAvailable(ethers.constants.HashZero)).to.be.false;
+        });
+
+        it('should derive the provider from a connected signer', async function() {
+            const verifier = new SnarktorVerificationClient(owner, snarktorVerifier.address);
+            expect(verifier.provider).to.equal(owner.provider);
+            expect(await verifier.binding.getSignerAddress()).to.equal(owner.address);
+        });
+
+        it('should reject unsupported connection arguments', function() {
+            expect(() => new SnarktorVerificationClient({}, snarktorVerifier.address))
+                .to.throw('Provider URL, Provider or Signer required');
+        });
+
+        it('should probe the feature sets a deployed contract supports', async function() {
+            const verifier = new SnarktorVerificationClient(ethers.provider, snarktorVerifier.address);
+            const probe = await verifier.probeContract();
+
+            expect(probe.deployed).to.be.true;
+            expect(probe.features.verification.supported).to.be.true;
+            expect(probe.features.aggregation.supported).to.be.false;
+            expect(probe.features.aggregation.missing).to.include('deposit()');
+
+            await verifier.ensureCompatible();
+        });
+
+        it('should detect a client bound to an incompatible contract', async function() {
+            let error;
+            try {
+                await client.ensureCompatible();
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.include("does not support the 'aggregation' feature set");
+        });
+    });
+
     describe('Base Proof Submission', function() {
         it('should submit a base proof successfully', async function() {
             const proofData = ethers.utils.toUtf8Bytes('test_proof_data');
@@ -36,14 +95,14 @@ describe('SnarktorVerifier', function() {
             const verificationKey = ethers.utils.keccak256(ethers.utils.toUtf8Bytes('verification_key'));
             const fee = ethers.utils.parseEther('0.01');
 
-            const nonce = await snarktorVerifier.userNonces(user1.address);
+            const nonce = await hub.userNonces(user1.address);
             const message = ethers.utils.solidityKeccak256(
                 ['uint256', 'uint256', 'bytes32', 'bytes32'],
                 [fee, nonce, publicInput, verificationKey]
             );
             const signature = await user1.signMessage(ethers.utils.arrayify(message));
 
-            const tx = await snarktorVerifier.connect(user1).submitBaseProof(
+            const tx = await hub.connect(user1).submitBaseProof(
                 proofData,
                 publicInput,
                 verificationKey,
@@ -56,12 +115,12 @@ describe('SnarktorVerifier', function() {
             const proofHash = ethers.utils.keccak256(proofData);
 
             // Check that proof was stored
-            const storedProof = await snarktorVerifier.getBaseProof(proofHash);
+            const storedProof = await hub.getBaseProof(proofHash);
             expect(storedProof.user).to.equal(user1.address);
             expect(storedProof.fee).to.equal(fee);
 
             // Check that proof is marked as submitted
-            expect(await snarktorVerifier.isProofSubmitted(proofHash)).to.be.true;
+            expect(await hub.isProofSubmitted(proofHash)).to.be.true;
 
             // Check that event was emitted
             expect(receipt.events[0].event).to.equal('ProofVerified');
@@ -75,14 +134,14 @@ describe('SnarktorVerifier', function() {
             const fee = ethers.utils.parseEther('0.01');
 
             // Submit first time
-            const nonce = await snarktorVerifier.userNonces(user1.address);
+            const nonce = await hub.userNonces(user1.address);
             const message = ethers.utils.solidityKeccak256(
                 ['uint256', 'uint256', 'bytes32', 'bytes32'],
                 [fee, nonce, publicInput, verificationKey]
             );
             const signature = await user1.signMessage(ethers.utils.arrayify(message));
 
-            await snarktorVerifier.connect(user1).submitBaseProof(
+            await hub.connect(user1).submitBaseProof(
                 proofData,
                 publicInput,
                 verificationKey,
@@ -93,7 +152,7 @@ describe('SnarktorVerifier', function() {
 
             // Try to submit again - should fail
             await expect(
-                snarktorVerifier.connect(user1).submitBaseProof(
+                hub.connect(user1).submitBaseProof(
                     proofData,
                     publicInput,
                     verificationKey,
@@ -114,7 +173,7 @@ describe('SnarktorVerifier', function() {
             const invalidSignature = '0x' + '00'.repeat(65);
 
             await expect(
-                snarktorVerifier.connect(user1).submitBaseProof(
+                hub.connect(user1).submitBaseProof(
                     proofData,
                     publicInput,
                     verificationKey,
@@ -159,7 +218,7 @@ describe('SnarktorVerifier', function() {
             ];
 
             const merkleRoot = GenericSnarktorClient.buildMerkleTree(proofHashes);
-            const isValid = await snarktorVerifier.verifyMerkleRoot(merkleRoot, proofHashes);
+            const isValid = await hub.verifyMerkleRoot(merkleRoot, proofHashes);
             expect(isValid).to.be.true;
         });
 
@@ -169,9 +228,238 @@ describe('SnarktorVerifier', function() {
             
             expect(merkleRoot).to.equal(proofHashes[0]);
             
-            const isValid = await snarktorVerifier.verifyMerkleRoot(merkleRoot, proofHashes);
+            const isValid = await hub.verifyMerkleRoot(merkleRoot, proofHashes);
             expect(isValid).to.be.true;
         });
+
+        it('should share merkle and parsing logic across clients', function() {
+            const proofHashes = [
+                ethers.utils.keccak256(ethers.utils.toUtf8Bytes('proof1')),
+                ethers.utils.keccak256(ethers.utils.toUtf8Bytes('proof2')),
+                ethers.utils.keccak256(ethers.utils.toUtf8Bytes('proof3'))
+            ];
+            const jsonProof = { proof: 'data', publicSignals: ['1', '2'] };
+
+            const root = GenericSnarktorClient.buildMerkleTree(proofHashes);
+            expect(SnarktorClient.buildMerkleTree(proofHashes)).to.equal(root);
+            expect(SnarktorVerificationClient.buildMerkleTree(proofHashes)).to.equal(root);
+
+            const proofHash = GenericSnarktorClient.parseGenericProof(jsonProof).proofHash;
+            expect(SnarktorVerificationClient.generateProofHash(jsonProof).proofHash).to.equal(proofHash);
+        });
+    });
+
+    describe('Domain-Separated Merkle Trees', function() {
+        const { TREE_MODES } = require('../src/core/merkle');
+        let proofHashes;
+
+        beforeEach(function() {
+            proofHashes = ['proof1', 'proof2', 'proof3', 'proof4']
+                .map(p => ethers.utils.keccak256(ethers.utils.toUtf8Bytes(p)));
+        });
+
+        it('should produce different roots than the legacy mode', function() {
+            const legacyRoot = GenericSnarktorClient.buildMerkleTree(proofHashes);
+            const separatedRoot = GenericSnarktorClient.buildMerkleTree(proofHashes, TREE_MODES.DOMAIN_SEPARATED);
+            expect(separatedRoot).to.not.equal(legacyRoot);
+
+            const single = GenericSnarktorClient.buildMerkleTree([proofHashes[0]], TREE_MODES.DOMAIN_SEPARATED);
+            expect(single).to.not.equal(proofHashes[0]);
+        });
+
+        it('should reject an internal node presented as a leaf', function() {
+            const { hashLeaf, hashNode } = require('../src/core/merkle');
+
+            // Present the node over leaves 0 and 1 as a leaf, with the right subtree as its path
+            for (const mode of [TREE_MODES.LEGACY, TREE_MODES.DOMAIN_SEPARATED]) {
+                const [l0, l1, l2, l3] = proofHashes.map(h => hashLeaf(h, mode));
+                const root = GenericSnarktorClient.buildMerkleTree(proofHashes, mode);
+                const forged = GenericSnarktorClient.verifyMerkleProof(
+                    [hashNode(l2, l3, mode)], 0, hashNode(l0, l1, mode), root, mode
+                );
+
+                // Only the legacy mode accepts the forged leaf
+                expect(forged).to.equal(mode === TREE_MODES.LEGACY);
+            }
+        });
+
+        it('should verify inclusion on-chain with the mode stored per aggregated proof', async function() {
+            const mode = TREE_MODES.DOMAIN_SEPARATED;
+            const aggregatedHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes('aggregated_v1'));
+            const root = GenericSnarktorClient.buildMerkleTree(proofHashes, mode);
+
+            await snarktorVerifier.addBaseProofData(proofHashes[2], ethers.constants.HashZero, ethers.constants.HashZero);
+            await snarktorVerifier.addAggregatedProofDataWithMode(aggregatedHash, root, proofHashes, mode);
+
+            const merkleProof = GenericSnarktorClient.generateMerkleProof(proofHashes, 2, mode);
+            expect(await snarktorVerifier.callStatic.verifyProofInclusion(proofHashes[2], aggregatedHash, merkleProof)).to.be.true;
+
+            const verifier = new SnarktorVerificationClient(ethers.provider, snarktorVerifier.address);
+            expect(await verifier.verifyMerkleRoot(root, proofHashes, mode)).to.be.true;
+            expect(await verifier.verifyMerkleRoot(root, proofHashes)).to.be.false;
+        });
+
+        it('should generate on-chain proofs that verify on odd-sized levels in every mode', async function() {
+            const SnarktorUtils = await ethers.getContractFactory('SnarktorUtils');
+            const utils = await SnarktorUtils.deploy();
+            const generate = utils['generateMerkleProof(bytes32[],uint256,uint8)'];
+            const verify = utils['verifyMerkleProof(bytes32[],uint256,bytes32,bytes32,uint8)'];
+
+            for (const leaves of [proofHashes.slice(0, 3), [...proofHashes, proofHashes[0]]]) {
+                for (const mode of Object.values(TREE_MODES)) {
+                    const root = GenericSnarktorClient.buildMerkleTree(leaves, mode);
+
+                    for (let i = 0; i < leaves.length; i++) {
+                        const { path, index } = await generate(leaves, i, mode);
+                        const expected = GenericSnarktorClient.generateMerkleProof(leaves, i, mode);
+
+                        expect(path).to.deep.equal(expected.path);
+                        expect(index.toNumber()).to.equal(expected.index);
+                        expect(await verify(path, index, leaves[i], root, mode)).to.be.true;
+                    }
+                }
+            }
+        });
+    });
+
+    describe('Sorted-Pair Merkle Trees', function() {
+        const { TREE_MODES, verifySortedProof } = require('../src/core/merkle');
+        const mode = TREE_MODES.SORTED_PAIR;
+        let proofHashes;
+
+        // Reference implementation of OpenZeppelin's MerkleProof.processProof
+        function processProofOZ(proof, leaf) {
+            return proof.reduce((computed, sibling) => {
+                const [a, b] = ethers.BigNumber.from(computed).lt(sibling) ? [computed, sibling] : [sibling, computed];
+                return ethers.utils.solidityKeccak256(['bytes32', 'bytes32'], [a, b]);
+            }, leaf);
+        }
+
+        beforeEach(function() {
+            proofHashes = ['proof1', 'proof2', 'proof3', 'proof4', 'proof5']
+                .map(p => ethers.utils.keccak256(ethers.utils.toUtf8Bytes(p)));
+        });
+
+        it('should produce proofs that verify with OpenZeppelin-style processing', function() {
+            const root = GenericSnarktorClient.buildMerkleTree(proofHashes, mode);
+
+            for (let i = 0; i < proofHashes.length; i++) {
+                const merkleProof = GenericSnarktorClient.generateMerkleProof(proofHashes, i, mode);
+                expect(processProofOZ(merkleProof.path, merkleProof.leaf)).to.equal(root);
+                expect(verifySortedProof(merkleProof.path, merkleProof.leaf, root)).to.be.true;
+            }
+        });
+
+        it('should verify index-free proofs on-chain', async function() {
+            const aggregatedHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes('aggregated_sorted'));
+            const root = GenericSnarktorClient.buildMerkleTree(proofHashes, mode);
+
+            await snarktorVerifier.addBaseProofData(proofHashes[3], ethers.constants.HashZero, ethers.constants.HashZero);
+            await snarktorVerifier.addAggregatedProofDataWithMode(aggregatedHash, root, proofHashes, mode);
+
+            const { path } = GenericSnarktorClient.generateMerkleProof(proofHashes, 3, mode);
+            const verifier = new SnarktorVerificationClient(ethers.provider, snarktorVerifier.address);
+            expect(await verifier.verifySortedProofInclusion(proofHashes[3], aggregatedHash, path)).to.be.true;
+            expect(await verifier.verifySortedProofInclusion(proofHashes[3], aggregatedHash, path.slice(1))).to.be.false;
+        });
+
+        it('should reject sorted proofs against other tree modes', async function() {
+            const aggregatedHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes('aggregated_legacy'));
+            await snarktorVerifier.addBaseProofData(proofHashes[0], ethers.constants.HashZero, ethers.constants.HashZero);
+            await snarktorVerifier.addAggregatedProofData(aggregatedHash, GenericSnarktorClient.buildMerkleTree(proofHashes), proofHashes);
+
+            await expect(
+                snarktorVerifier.verifySortedProofInclusion(proofHashes[0], aggregatedHash, [])
+            ).to.be.revertedWith('Not a sorted-pair tree');
+        });
+    });
+
+    describe('Persistent Merkle Tree', function() {
+        let proofHashes;
+
+        beforeEach(function() {
+            proofHashes = [...Array(7).keys()]
+                .map(i => ethers.utils.keccak256(ethers.utils.toUtf8Bytes(`proof${i}`)));
+        });
+
+        it('should match the functional helpers and prove every leaf', function() {
+            const tree = new MerkleTree(proofHashes);
+            const root = GenericSnarktorClient.buildMerkleTree(proofHashes);
+            expect(tree.getRoot()).to.equal(root);
+
+            // Includes leaves whose nodes are promoted on odd-sized levels
+            for (const proof of tree.getProofs()) {
+                expect(GenericSnarktorClient.verifyMerkleProof(proof.path, proof.index, proof.leaf, root)).to.be.true;
+            }
+        });
+
+        it('should append leaves incrementally', function() {
+            const tree = new MerkleTree();
+            proofHashes.forEach(hash => tree.append(hash));
+
+            expect(tree.size).to.equal(proofHashes.length);
+            expect(tree.layers).to.deep.equal(new MerkleTree(proofHashes).layers);
+        });
+
+        it('should round-trip through JSON', function() {
+            const tree = new MerkleTree(proofHashes, 1);
+            const restored = MerkleTree.fromJSON(JSON.stringify(tree));
+
+            expect(restored.getRoot()).to.equal(tree.getRoot());
+            expect(restored.getProof(6)).to.deep.equal(tree.getProof(6));
+        });
+
+        it('should verify promoted leaves on-chain', async function() {
+            const aggregatedHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes('aggregated_odd'));
+            const tree = new MerkleTree(proofHashes);
+
+            await snarktorVerifier.addBaseProofData(proofHashes[6], ethers.constants.HashZero, ethers.constants.HashZero);
+            await snarktorVerifier.addAggregatedProofData(aggregatedHash, tree.getRoot(), proofHashes);
+
+            const merkleProof = tree.getProof(6);
+            expect(await snarktorVerifier.callStatic.verifyProofInclusion(proofHashes[6], aggregatedHash, merkleProof)).to.be.true;
+        });
+    });
+
+    describe('Multiproofs', function() {
+        let proofHashes;
+
+        beforeEach(function() {
+            proofHashes = [...Array(11).keys()]
+                .map(i => ethers.utils.keccak256(ethers.utils.toUtf8Bytes(`proof${i}`)));
+        });
+
+        it('should share siblings between proven leaves', function() {
+            const tree = new MerkleTree(proofHashes, 1);
+            const multiProof = tree.getMultiProof([0, 1, 2, 10]);
+            const singlePathLength = [0, 1, 2, 10]
+                .reduce((total, i) => total + tree.getProof(i).path.length, 0);
+
+            expect(multiProof.proof.length).to.be.lessThan(singlePathLength);
+            expect(GenericSnarktorClient.verifyMultiProof(multiProof, tree.getRoot())).to.be.true;
+
+            const tampered = { ...multiProof, leaves: [...multiProof.leaves].reverse() };
+            expect(GenericSnarktorClient.verifyMultiProof(tampered, tree.getRoot())).to.be.false;
+        });
+
+        it('should verify a multiproof on-chain in a single call', async function() {
+            const aggregatedHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes('aggregated_multi'));
+            const mode = 1;
+            const tree = new MerkleTree(proofHashes, mode);
+            const indices = [3, 4, 9, 10];
+
+            for (const i of indices) {
+                await snarktorVerifier.addBaseProofData(proofHashes[i], ethers.constants.HashZero, ethers.constants.HashZero);
+            }
+            await snarktorVerifier.addAggregatedProofDataWithMode(aggregatedHash, tree.getRoot(), proofHashes, mode);
+
+            const verifier = new SnarktorVerificationClient(ethers.provider, snarktorVerifier.address);
+            const multiProof = SnarktorVerificationClient.generateMultiProof(proofHashes, indices, mode);
+            expect(await verifier.verifyMultiProofInclusion(aggregatedHash, multiProof)).to.be.true;
+
+            const wrongFlags = { ...multiProof, proofFlags: multiProof.proofFlags.map(flag => !flag) };
+            expect(await verifier.verifyMultiProofInclusion(aggregatedHash, wrongFlags)).to.be.false;
+        });
     });
 
     describe('Aggregated Proof Submission', function() {
@@ -188,14 +476,14 @@ describe('SnarktorVerifier', function() {
                 const fee = ethers.utils.parseEther('0.01');
                 const user = i % 2 === 0 ? user1 : user2;
 
-                const nonce = await snarktorVerifier.userNonces(user.address);
+                const nonce = await hub.userNonces(user.address);
                 const message = ethers.utils.solidityKeccak256(
                     ['uint256', 'uint256', 'bytes32', 'bytes32'],
                     [fee, nonce, publicInput, verificationKey]
                 );
                 const signature = await user.signMessage(ethers.utils.arrayify(message));
 
-                await snarktorVerifier.connect(user).submitBaseProof(
+                await hub.connect(user).submitBaseProof(
                     proofData,
                     publicInput,
                     verificationKey,
@@ -222,7 +510,7 @@ describe('SnarktorVerifier', function() {
             const merkleRoot = GenericSnarktorClient.buildMerkleTree(proofHashes);
 
             // Submit aggregated proof (would normally be done by authorized aggregator)
-            const tx = await snarktorVerifier.connect(owner).submitAggregatedProof(
+            const tx = await hub.connect(owner).submitAggregatedProof(
                 aggregatedProofData,
                 merkleRoot,
                 baseProofs,
@@ -233,7 +521,7 @@ describe('SnarktorVerifier', function() {
             const aggregatedHash = ethers.utils.keccak256(aggregatedProofData);
 
             // Check that aggregated proof was stored
-            const storedProof = await snarktorVerifier.getAggregatedProof(aggregatedHash);
+            const storedProof = await hub.getAggregatedProof(aggregatedHash);
             expect(storedProof.submitter).to.equal(owner.address);
             expect(storedProof.merkleRoot).to.equal(merkleRoot);
 
@@ -266,6 +554,21 @@ describe('SnarktorVerifier', function() {
 
             expect(isValid).to.be.true;
         });
+
+        it('should return the inclusion result from signer and read-only clients', async function() {
+            const proofHashes = ['proof1', 'proof2', 'proof3'].map(p => ethers.utils.keccak256(ethers.utils.toUtf8Bytes(p)));
+            const aggregatedHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes('inclusion-aggregate'));
+            await snarktorVerifier.addBaseProofData(proofHashes[1], ethers.constants.HashZero, ethers.constants.HashZero);
+            await snarktorVerifier.addAggregatedProofData(aggregatedHash, GenericSnarktorClient.buildMerkleTree(proofHashes), proofHashes);
+            const merkleProof = GenericSnarktorClient.generateMerkleProof(proofHashes, 1);
+
+            const readOnly = new SnarktorVerificationClient(ethers.provider, snarktorVerifier.address);
+            const withSigner = new SnarktorVerificationClient(ethers.provider, snarktorVerifier.address, user1);
+            expect(await readOnly.verifyProofInclusion(proofHashes[1], aggregatedHash, merkleProof)).to.be.true;
+            expect(await withSigner.verifyProofInclusion(proofHashes[1], aggregatedHash, merkleProof)).to.be.true;
+            const wrongProof = GenericSnarktorClient.generateMerkleProof(proofHashes, 2);
+            expect(await readOnly.verifyProofInclusion(proofHashes[1], aggregatedHash, wrongProof)).to.be.false;
+        });
     });
 
     describe('Balance Management', function() {
@@ -273,18 +576,18 @@ describe('SnarktorVerifier', function() {
             const depositAmount = ethers.utils.parseEther('1.0');
 
             // Deposit
-            await snarktorVerifier.connect(user1).deposit({ value: depositAmount });
-            expect(await snarktorVerifier.userBalances(user1.address)).to.equal(depositAmount);
+            await hub.connect(user1).deposit({ value: depositAmount });
+            expect(await hub.userBalances(user1.address)).to.equal(depositAmount);
 
             // Withdraw
             const withdrawAmount = ethers.utils.parseEther('0.5');
             const initialBalance = await ethers.provider.getBalance(user1.address);
             
-            const tx = await snarktorVerifier.connect(user1).withdraw(withdrawAmount);
+            const tx = await hub.connect(user1).withdraw(withdrawAmount);
             const receipt = await tx.wait();
             const gasUsed = receipt.gasUsed.mul(receipt.effectiveGasPrice);
 
-            expect(await snarktorVerifier.userBalances(user1.address))
+            expect(await hub.userBalances(user1.address))
                 .to.equal(depositAmount.sub(withdrawAmount));
 
             const finalBalance = await ethers.provider.getBalance(user1.address);
@@ -295,7 +598,7 @@ describe('SnarktorVerifier', function() {
 
         it('should reject withdrawal of insufficient funds', async function() {
             await expect(
-                snarktorVerifier.connect(user1).withdraw(ethers.utils.parseEther('1.0'))
+                hub.connect(user1).withdraw(ethers.utils.parseEther('1.0'))
             ).to.be.revertedWith('Insufficient balance');
         });
     });
@@ -356,5 +659,1447 @@ describe('SnarktorVerifier', function() {
             expect(standardized.verificationKey).to.not.be.null;
             expect(standardized.fee).to.equal(fee);
         });
+
+        it('should hash equivalent JSON proofs identically', function() {
+            const proof = { pi_a: ['1', '2'], pi_c: ['3', '4'], protocol: 'groth16' };
+            const reordered = { protocol: 'groth16', pi_c: [3, 4], pi_a: [1, 2] };
+
+            const a = GenericSnarktorClient.standardizeProofSubmission(
+                { proof, publicSignals: ['10', '11'] }, ['10', '11'], { curve: 'bn128', nPublic: 2 }
+            );
+            const b = GenericSnarktorClient.standardizeProofSubmission(
+                { publicSignals: [10, '0x0b'], proof: reordered }, [10, 11], { nPublic: 2, curve: 'bn128' }
+            );
+
+            expect(a.proofHash).to.equal(b.proofHash);
+            expect(a.publicInput).to.equal(b.publicInput);
+            expect(a.verificationKey).to.equal(b.verificationKey);
+            expect(a.hashVersion).to.equal('snarktor-canonical-v1');
+        });
+
+        it('should hash non-field numbers and strings as they are', function() {
+            const hash = proof => GenericSnarktorClient.parseGenericProof({ proof }).proofHash;
+
+            expect(hash({ score: 1.5 })).to.not.equal(hash({ score: 1 }));
+            expect(hash({ nonce: 2 ** 60 })).to.be.a('string');
+            expect(hash({ id: '007' })).to.not.equal(hash({ id: '7' }));
+            expect(hash({ pi_a: ['007', 1] })).to.equal(hash({ pi_a: ['7', '0x01'] }));
+
+            const submission = GenericSnarktorClient.standardizeProofSubmission(
+                { proof: { score: 1.5 }, publicSignals: ['007'] }, ['007'], { curve: 'bn128' }
+            );
+            expect(submission.publicInput).to.equal(
+                GenericSnarktorClient.standardizeProofSubmission({ proof: 'x' }, [7], { curve: 'bn128' }).publicInput
+            );
+            expect(() => hash({ score: NaN })).to.throw('Cannot canonicalize non-finite number: NaN');
+        });
+
+        it('should reject JSON proofs without a proof field unless hashing in legacy mode', function() {
+            const { HASH_VERSIONS } = require('../src/core/proofs');
+            const unstructured = { pi_a: ['1', '2'] };
+
+            expect(() => GenericSnarktorClient.parseGenericProof(unstructured))
+                .to.throw('Proof object must contain a proof field');
+
+            const legacy = GenericSnarktorClient.parseGenericProof(unstructured, { hashVersion: HASH_VERSIONS.LEGACY });
+            expect(legacy.proofHash).to.equal(ethers.utils.keccak256(ethers.utils.toUtf8Bytes(JSON.stringify(unstructured))));
+            expect(legacy.hashVersion).to.equal(HASH_VERSIONS.LEGACY);
+        });
+
+        it('should mark omitted public inputs and verification keys explicitly', async function() {
+            const { MISSING_INPUT_MODES } = require('../src/core/proofs');
+
+            const sentinel = SnarktorVerificationClient.generateProofHash({ proof: 'data' });
+            expect(sentinel.publicInputHash).to.equal(await snarktorVerifier.NO_PUBLIC_INPUT());
+            expect(sentinel.verificationKeyHash).to.equal(await snarktorVerifier.NO_VERIFICATION_KEY());
+            expect(sentinel.warnings).to.have.lengthOf(2);
+
+            expect(() => SnarktorVerificationClient.generateProofHash(
+                { proof: 'data' }, ['1'], null, { missingInputs: MISSING_INPUT_MODES.STRICT }
+            )).to.throw('Verification key required in strict mode');
+
+            const legacy = SnarktorVerificationClient.generateProofHash(
+                { proof: 'data' }, null, { curve: 'bn128' }, { missingInputs: MISSING_INPUT_MODES.LEGACY }
+            );
+            expect(legacy.publicInputHash).to.equal(ethers.utils.keccak256(ethers.utils.toUtf8Bytes('default_public_input')));
+            expect(legacy.warnings).to.have.lengthOf(1);
+        });
+    });
+
+    describe('Groth16 Adapter', function() {
+        const groth16 = require('../src/adapters/groth16');
+
+        // BN254 generators are valid curve points for every proof and key element
+        const G1 = ['1', '2', '1'];
+        const G2 = [
+            ['10857046999023057135944570762232829481370756359578518086990519993285655852781',
+                '11559732032986387107991004021392285783925812861821192530917403151452391805634'],
+            ['8495653923123431417604973247489272438418190587263600148770280649306958101930',
+                '4082367875863433681332203403145435568316851327593401208105741076214120093531'],
+            ['1', '0']
+        ];
+        const proof = { pi_a: G1, pi_b: G2, pi_c: G1, protocol: 'groth16', curve: 'bn128' };
+        const publicSignals = ['33', '7'];
+        const verificationKey = {
+            protocol: 'groth16', curve: 'bn128', nPublic: 2,
+            vk_alpha_1: G1, vk_beta_2: G2, vk_gamma_2: G2, vk_delta_2: G2, IC: [G1, G1, G1]
+        };
+
+        it('should standardize snarkjs outputs and encode them for Solidity verifiers', function() {
+            const standardized = GenericSnarktorClient.standardizeGroth16Submission(
+                JSON.stringify(proof), JSON.stringify(publicSignals), verificationKey, ethers.utils.parseEther('0.01')
+            );
+            const calldata = groth16.encodeGroth16Calldata(standardized.originalData);
+
+            // pi_b coordinates are swapped for the pairing precompile
+            expect(calldata.b[0]).to.deep.equal([G2[0][1], G2[0][0]]);
+            const encodedPoints = ethers.utils.defaultAbiCoder.encode(
+                ['uint256[2]', 'uint256[2][2]', 'uint256[2]'], [calldata.a, calldata.b, calldata.c]
+            );
+            expect(standardized.proofData).to.equal(encodedPoints);
+            expect(standardized.proofHash).to.equal(ethers.utils.keccak256(encodedPoints));
+            expect(standardized.proofSystem).to.equal('groth16');
+            expect(standardized.warnings).to.be.empty;
+        });
+
+        it('should hash equal proofs identically regardless of encoding', function() {
+            const hexProof = {
+                ...proof,
+                pi_a: ['0x1', '0x2', '0x1'],
+                pi_b: G2.map(row => row.map(c => ethers.BigNumber.from(c).toHexString()))
+            };
+            const a = groth16.standardizeGroth16Proof({ proof, publicSignals }, null, verificationKey);
+            const b = groth16.standardizeGroth16Proof(hexProof, [33, '0x07'], verificationKey);
+
+            expect(a.proofHash).to.equal(b.proofHash);
+            expect(a.publicInput).to.equal(b.publicInput);
+            expect(a.verificationKey).to.equal(b.verificationKey);
+        });
+
+        it('should reject invalid points and field elements', function() {
+            const offCurve = groth16.validateGroth16Proof({ ...proof, pi_a: ['1', '3', '1'] });
+            expect(offCurve.isValid).to.be.false;
+            expect(offCurve.error).to.equal('pi_a is not on the bn128 G1 curve');
+
+            const badG2 = groth16.validateGroth16Proof({ ...proof, pi_b: [G2[1], G2[0], G2[2]] });
+            expect(badG2.error).to.equal('pi_b is not on the bn128 G2 curve');
+
+            const fieldOrder = '21888242871839275222246405745257275088548364400416034343698204186575808495617';
+            const outOfRange = groth16.validateGroth16Proof(proof, [fieldOrder]);
+            expect(outOfRange.error).to.equal('publicSignals[0] is out of range for the field');
+
+            const wrongArity = groth16.validateGroth16Proof(proof, ['1'], verificationKey);
+            expect(wrongArity.error).to.equal('Verification key expects 2 public signals, got 1');
+
+            expect(() => groth16.encodeGroth16Calldata({ ...groth16.parseGroth16Proof(proof), curve: 'bls12381' }))
+                .to.throw('only supported for BN254');
+        });
+    });
+
+    describe('PLONK Adapters', function() {
+        const plonk = require('../src/adapters/plonk');
+        const G1 = ['1', '2', '1'];
+        const word = value => ethers.utils.hexZeroPad(ethers.BigNumber.from(value).toHexString(), 32).slice(2);
+        const gnarkPoint = word(1) + word(2);
+
+        it('should standardize snarkjs PLONK proofs in Solidity verifier order', function() {
+            const proof = { protocol: 'plonk', curve: 'bn128' };
+            ['A', 'B', 'C', 'Z', 'T1', 'T2', 'T3', 'Wxi', 'Wxiw'].forEach(name => { proof[name] = G1; });
+            ['eval_a', 'eval_b', 'eval_c', 'eval_s1', 'eval_s2', 'eval_zw'].forEach((name, i) => { proof[name] = String(i + 10); });
+
+            const submission = GenericSnarktorClient.standardizePlonkSubmission(
+                { proof, publicSignals: ['5'] }, null, null, ethers.utils.parseEther('0.01')
+            );
+            const calldata = plonk.encodePlonkCalldata(submission.originalData);
+
+            expect(submission.proofSystem).to.equal('plonk');
+            expect(calldata.proof).to.have.lengthOf(24);
+            expect(ethers.BigNumber.from(calldata.proof[18]).toNumber()).to.equal(10);
+            expect(submission.proofHash).to.equal(ethers.utils.keccak256(submission.proofData));
+            expect(plonk.validatePlonkProof({ ...proof, eval_zw: '0x' + 'f'.repeat(64) }).error)
+                .to.equal('eval_zw is out of range for the field');
+        });
+
+        it('should detect fflonk proofs and report the proof system', function() {
+            const polynomials = { C1: G1, C2: G1, W1: G1, W2: G1 };
+            const evaluations = {};
+            ['ql', 'qr', 'qm', 'qo', 'qc', 's1', 's2', 's3', 'a', 'b', 'c', 'z', 'zw', 't1w', 't2w', 'inv']
+                .forEach((name, i) => { evaluations[name] = String(i); });
+
+            const submission = plonk.standardizePlonkProof({ protocol: 'fflonk', polynomials, evaluations }, ['1']);
+            expect(submission.proofSystem).to.equal('fflonk');
+            expect(ethers.utils.hexDataLength(submission.proofData)).to.equal(24 * 32);
+            expect(plonk.encodePlonkCalldata(submission.structured).proof[8]).to.equal(ethers.constants.HashZero);
+        });
+
+        it('should parse gnark PLONK binary proofs', function() {
+            // LRO, H, five claimed values, Z, z(ζω), two opening proofs, then one BSB22 commitment
+            const fixed = gnarkPoint.repeat(6) + [1, 2, 3, 4, 5].map(word).join('')
+                + gnarkPoint + word(6) + gnarkPoint.repeat(2);
+            const proofBytes = '0x' + fixed + word(7) + gnarkPoint;
+
+            const submission = plonk.standardizePlonkProof(proofBytes, ['42'], '0xABCD');
+            expect(submission.proofSystem).to.equal('gnark-plonk');
+            expect(submission.structured.proof.claimedValues.s2).to.equal('5');
+            expect(submission.structured.proof.qcpAtZeta).to.deep.equal(['7']);
+            expect(submission.proofHash).to.equal(ethers.utils.keccak256(proofBytes));
+
+            expect(plonk.validatePlonkProof('0x' + fixed + word(7)).error).to.match(/unexpected length/);
+            const offCurve = '0x' + word(1) + word(3) + fixed.slice(128);
+            expect(plonk.validatePlonkProof(offCurve).error).to.equal('L is not on the bn128 G1 curve');
+        });
+    });
+
+    describe('Receipt Adapter', function() {
+        const receipts = require('../src/adapters/receipt');
+        const imageId = '0x' + '11'.repeat(32);
+        const journal = ethers.utils.defaultAbiCoder.encode(['uint256', 'bool'], [7, true]);
+        const seal = '0xdeadbeef';
+        const envelope = ethers.utils.defaultAbiCoder.encode(['bytes32', 'bytes', 'bytes'], [imageId, journal, seal]);
+
+        it('should decode RISC Zero receipts from Telos transactions', function() {
+            const transaction = {
+                actions: [{
+                    act: { data: { snarktor_receipt_data: envelope.slice(2), game_name: 'battle', player_one: 'alice' } }
+                }]
+            };
+            const { receipt, gameName } = SnarktorClient.decodeTelosReceipt(transaction, { journalTypes: ['uint256', 'bool'] });
+
+            expect(gameName).to.equal('battle');
+            expect(receipt.imageId).to.equal(imageId);
+            expect(receipt.journalDigest).to.equal(ethers.utils.sha256(journal));
+            expect(receipt.decodedJournal[0].toNumber()).to.equal(7);
+            expect(receipt.decodedJournal[1]).to.be.true;
+        });
+
+        it('should standardize receipts with the image ID as key and journal digest as input', function() {
+            const fromEnvelope = SnarktorClient.standardizeReceiptSubmission(envelope, ethers.utils.parseEther('0.01'));
+            const serdeReceipt = {
+                inner: { Groth16: { seal: [0xde, 0xad, 0xbe, 0xef] } },
+                journal: { bytes: Array.from(ethers.utils.arrayify(journal)) }
+            };
+            const fromSerde = SnarktorClient.standardizeReceiptSubmission(
+                serdeReceipt,
+                ethers.utils.parseEther('0.01'),
+                { imageId }
+            );
+
+            expect(fromEnvelope.proofSystem).to.equal('risc0');
+            expect(fromEnvelope.verificationKey).to.equal(imageId);
+            expect(fromEnvelope.publicInput).to.equal(ethers.utils.sha256(journal));
+            expect(fromEnvelope.proofHash).to.equal(ethers.utils.keccak256(envelope));
+            expect(fromSerde.proofHash).to.equal(fromEnvelope.proofHash);
+            expect(fromSerde.journal).to.equal(journal);
+
+            expect(() => receipts.decodeRisc0Receipt({ journal, seal })).to.throw('Receipt image ID required');
+            expect(() => receipts.decodeRisc0Receipt('0x1234')).to.throw('not an (imageId, journal, seal) envelope');
+        });
+
+        it('should standardize generic STARK envelopes', function() {
+            const submission = receipts.standardizeReceipt({
+                programHash: '0xABCD',
+                publicInputs: [1, 2],
+                proof: { trace_commitment: '0x01', fri_proof: '0x02' }
+            });
+            const reordered = receipts.standardizeReceipt(JSON.stringify({
+                proof: { fri_proof: '0x02', trace_commitment: '0x01' },
+                publicInputs: ['1', '2'],
+                programHash: '0xabcd'
+            }));
+
+            expect(submission.proofSystem).to.equal('stark');
+            expect(submission.proofHash).to.equal(reordered.proofHash);
+            expect(submission.publicInput).to.equal(reordered.publicInput);
+            expect(submission.verificationKey).to.equal(reordered.verificationKey);
+            expect(() => receipts.standardizeReceipt({ programHash: '0x01' })).to.throw('must contain a proof');
+        });
+    });
+
+    describe('Proof Format Registry', function() {
+        const { ProofFormatRegistry, defaultRegistry } = require('../src/adapters/ProofFormatRegistry');
+
+        it('should detect the built-in formats with a confidence', function() {
+            const groth16Proof = { pi_a: ['1', '2', '1'], pi_b: [], pi_c: ['1', '2', '1'], protocol: 'groth16' };
+            const receiptObject = { imageId: '0x' + '11'.repeat(32), journal: '0x', seal: '0x01' };
+
+            expect(GenericSnarktorClient.detectFormat({ proof: groth16Proof, publicSignals: [] }))
+                .to.deep.equal({ format: 'groth16', confidence: 0.95 });
+            expect(SnarktorVerificationClient.detectFormat(JSON.stringify(receiptObject)).format).to.equal('risc0');
+            expect(GenericSnarktorClient.detectFormat({ programHash: '0x01', proof: '0x02' }).format).to.equal('stark');
+            expect(GenericSnarktorClient.detectFormat('example_proof')).to.deep.equal({ format: 'generic', confidence: 0.1 });
+            expect(GenericSnarktorClient.detectFormat(42)).to.be.null;
+
+            const matches = defaultRegistry.detectAll({ polynomials: {}, evaluations: {}, proof: 'x' });
+            expect(matches.map(match => match.format)).to.deep.equal(['fflonk', 'generic']);
+        });
+
+        it('should standardize custom formats registered by applications', function() {
+            const customFormat = {
+                name: 'custom-test',
+                detect: data => (data && data.customProof ? 0.99 : 0),
+                parse(data, publicSignals) {
+                    if (!/^0x[0-9a-f]+$/.test(data.customProof)) throw new Error('Bad custom proof');
+                    return { system: 'custom-test', publicSignals, verificationKey: data.key };
+                },
+                encode: () => '0x1234'
+            };
+            GenericSnarktorClient.registerProofFormat(customFormat);
+
+            try {
+                const data = { customProof: '0xab', key: 'k1' };
+                const submission = GenericSnarktorClient.standardizeProofSubmission(
+                    data, ['1'], null, ethers.utils.parseEther('0.01'), { format: 'auto' }
+                );
+                expect(submission.format).to.equal('custom-test');
+                expect(submission.confidence).to.equal(0.99);
+                expect(submission.proofHash).to.equal(ethers.utils.keccak256('0x1234'));
+
+                // Without an explicit format, proofs keep their generic hash
+                const generic = GenericSnarktorClient.standardizeProofSubmission({ proof: 'x' }, ['1'], null, 0);
+                expect(generic.format).to.equal('generic');
+
+                const invalid = defaultRegistry.validate({ customProof: 'zz' });
+                expect(invalid).to.deep.equal({ isValid: false, error: 'Bad custom proof' });
+            } finally {
+                defaultRegistry.unregister('custom-test');
+            }
+
+            expect(() => new ProofFormatRegistry().register({ name: 'broken', detect: () => 1 }))
+                .to.throw('Proof format broken must implement parse');
+            expect(() => new ProofFormatRegistry().standardize('0x01')).to.throw('Unrecognized proof format');
+        });
+    });
+
+    describe('Off-Chain Verification', function() {
+        // Synthetic key with every element at a generator: the pairing check reduces to
+        // a = alpha + IC[0] + s * IC[1] + c, so A = 6 * G1 satisfies it for s = 3 and C = G1
+        const G1 = ['1', '2', '1'];
+        const G2 = [
+            ['10857046999023057135944570762232829481370756359578518086990519993285655852781',
+                '11559732032986387107991004021392285783925812861821192530917403151452391805634'],
+            ['8495653923123431417604973247489272438418190587263600148770280649306958101930',
+                '4082367875863433681332203403145435568316851327593401208105741076214120093531'],
+            ['1', '0']
+        ];
+        const proof = {
+            pi_a: ['4503322228978077916651710446042370109107355802721800704639343137502100212473',
+                '6132642251294427119375180147349983541569387941788025780665104001559216576968', '1'],
+            pi_b: G2,
+            pi_c: G1,
+            protocol: 'groth16',
+            curve: 'bn128'
+        };
+        const verificationKey = {
+            protocol: 'groth16', curve: 'bn128', nPublic: 1,
+            vk_alpha_1: G1, vk_beta_2: G2, vk_gamma_2: G2, vk_delta_2: G2, IC: [G1, G1]
+        };
+
+        it('should verify a valid Groth16 proof', async function() {
+            const result = await GenericSnarktorClient.verifyProofOffChain(proof, ['3'], verificationKey);
+
+            expect(result.isValid).to.be.true;
+            expect(result.proofSystem).to.equal('groth16');
+            expect(result.curve).to.equal('bn128');
+        });
+
+        it('should report why a proof fails verification', async function() {
+            const wrongSignal = await GenericSnarktorClient.verifyProofOffChain(proof, ['4'], verificationKey);
+            expect(wrongSignal.isValid).to.be.false;
+            expect(wrongSignal.error).to.include('does not verify').and.to.include('Invalid proof');
+
+            const wrongCount = await GenericSnarktorClient.verifyProofOffChain(proof, ['3', '1'], verificationKey);
+            expect(wrongCount.error).to.include('expects 1 public signals, got 2');
+
+            const generic = await GenericSnarktorClient.verifyProofOffChain('0x1234', null, verificationKey);
+            expect(generic.error).to.include('not supported for generic proofs');
+        });
+
+        it('should refuse to submit proofs that fail or do not match verification', async function() {
+            const fee = ethers.utils.parseEther('0.01');
+            const submission = GenericSnarktorClient.standardizeGroth16Submission(
+                proof, ['3'], verificationKey, fee
+            );
+            const { proofData, publicInput, verificationKey: vkHash } = submission;
+
+            let error;
+            try {
+                await client.submitBaseProof(proofData, publicInput, vkHash, fee, {
+                    verify: { proof, publicSignals: ['4'], verificationKey }
+                });
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.include('Off-chain proof verification failed');
+            expect(error.verification.proofSystem).to.equal('groth16');
+
+            error = null;
+            try {
+                await GenericSnarktorClient.assertVerifiedSubmission(
+                    { proofData, publicInput: vkHash, verificationKey: vkHash },
+                    { proof, publicSignals: ['3'], verificationKey }
+                );
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.equal('Submitted publicInput does not match the verified groth16 proof');
+
+            const result = await GenericSnarktorClient.assertVerifiedSubmission(
+                submission, { proof, publicSignals: ['3'], verificationKey }
+            );
+            expect(result.isValid).to.be.true;
+        });
+    });
+
+    describe('Verification Key Registry', function() {
+        const { VerificationKeyRegistryClient } = require('../src/VerificationKeyRegistryClient');
+        const { NO_VERIFICATION_KEY } = require('../src/core/proofs');
+        let registry;
+        let registryClient;
+
+        const keyV1 = ethers.utils.keccak256(ethers.utils.toUtf8Bytes('battleship-vk-v1'));
+        const keyV2 = ethers.utils.keccak256(ethers.utils.toUtf8Bytes('battleship-vk-v2'));
+
+        beforeEach(async function() {
+            const VerificationKeyRegistry = await ethers.getContractFactory('VerificationKeyRegistry');
+            registry = await VerificationKeyRegistry.deploy();
+            await registry.deployed();
+            await registry.grantRole(await registry.REGISTRAR_ROLE(), user1.address);
+            await registry.grantRole(await registry.REGISTRAR_ROLE(), user2.address);
+
+            registryClient = new VerificationKeyRegistryClient(ethers.provider, registry.address, user1);
+        });
+
+        it('should register a key and resolve the circuit of a base proof', async function() {
+            await registryClient.registerVerificationKey(keyV1, {
+                circuitName: 'battleship', proofSystem: 'groth16', version: 1
+            });
+
+            const info = await registryClient.getVerificationKey(keyV1);
+            expect(info.circuitName).to.equal('battleship');
+            expect(info.proofSystem).to.equal('groth16');
+            expect(info.version).to.equal(1);
+            expect(info.owner).to.equal(user1.address);
+            expect(await registryClient.getVerificationKey(keyV2)).to.be.null;
+
+            const proofHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes('proof'));
+            await snarktorVerifier.addBaseProofData(proofHash, ethers.constants.HashZero, keyV1);
+            const verifier = new SnarktorVerificationClient(ethers.provider, snarktorVerifier.address);
+
+            const resolved = await registryClient.resolveBaseProof(proofHash, verifier);
+            expect(resolved.verificationKey.status).to.equal('active');
+            expect(resolved.verificationKey.circuitName).to.equal('battleship');
+            expect((await registryClient.resolveVerificationKey(keyV2)).status).to.equal('unregistered');
+            expect((await registryClient.resolveVerificationKey(NO_VERIFICATION_KEY)).status).to.equal('none');
+        });
+
+        it('should restrict circuit versions to the circuit owner', async function() {
+            await registryClient.registerVerificationKey(keyV1, {
+                circuitName: 'battleship', proofSystem: 'groth16', version: 1
+            });
+
+            await expect(
+                registry.connect(user2).registerVerificationKey(keyV2, 'battleship', 'groth16', 2)
+            ).to.be.revertedWith('Not the circuit owner');
+            await expect(
+                registry.connect(user1).registerVerificationKey(keyV2, 'battleship', 'groth16', 1)
+            ).to.be.revertedWith('Circuit version already registered');
+            await expect(
+                registry.connect(user1).registerVerificationKey(keyV1, 'other', 'groth16', 1)
+            ).to.be.revertedWith('Verification key already registered');
+            await expect(
+                registry.connect(user1).registerVerificationKey(NO_VERIFICATION_KEY, 'other', 'groth16', 1)
+            ).to.be.revertedWith('Invalid verification key hash');
+            await expect(
+                registry.connect(user2).setDeprecated(keyV1, true)
+            ).to.be.revertedWith('Not the circuit owner');
+        });
+
+        it('should stop other accounts from claiming a key hash', async function() {
+            await expect(
+                registry.connect(aggregator).registerVerificationKey(keyV1, 'squatted', 'groth16', 1)
+            ).to.be.revertedWith('Caller lacks required role');
+
+            await registryClient.registerVerificationKey(keyV1, {
+                circuitName: 'battleship', proofSystem: 'groth16', version: 1
+            });
+            await expect(
+                registry.connect(user2).registerVerificationKey(keyV1, 'squatted', 'groth16', 1)
+            ).to.be.revertedWith('Verification key already registered');
+
+            expect((await registryClient.resolveVerificationKey(keyV1)).circuitName).to.equal('battleship');
+            expect(await registryClient.getLatestVerificationKey('squatted')).to.be.null;
+        });
+
+        it('should skip deprecated keys when resolving the latest version', async function() {
+            await registryClient.registerVerificationKey(keyV1, {
+                circuitName: 'battleship', proofSystem: 'groth16', version: 1
+            });
+            await registryClient.registerVerificationKey(keyV2, {
+                circuitName: 'battleship', proofSystem: 'plonk', version: 2
+            });
+            expect((await registryClient.getLatestVerificationKey('battleship')).keyHash).to.equal(keyV2);
+
+            await registryClient.deprecateVerificationKey(keyV2);
+            expect((await registryClient.getLatestVerificationKey('battleship')).keyHash).to.equal(keyV1);
+            expect((await registryClient.resolveVerificationKey(keyV2)).status).to.equal('deprecated');
+
+            const versions = await registryClient.getCircuitVersions('battleship');
+            expect(versions.map(key => key.version)).to.deep.equal([1, 2]);
+            expect(await registryClient.getLatestVerificationKey('unknown')).to.be.null;
+        });
+    });
+
+    describe('Access Control', function() {
+        const { ROLES } = require('../src/SnarktorVerificationClient');
+        const proofHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes('provider-proof'));
+        const aggregatedHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes('provider-aggregate'));
+        let admin;
+
+        beforeEach(function() {
+            admin = new SnarktorVerificationClient(ethers.provider, snarktorVerifier.address, owner);
+        });
+
+        it('should only let data providers write verification data', async function() {
+            expect(await admin.listDataProviders()).to.deep.equal([owner.address]);
+            await expect(
+                snarktorVerifier.connect(user2).addBaseProofData(proofHash, ethers.constants.HashZero, ethers.constants.HashZero)
+            ).to.be.revertedWith('Caller lacks required role');
+
+            await admin.grantDataProvider(user2.address);
+            expect(await admin.isDataProvider(user2.address)).to.be.true;
+            expect(await admin.listDataProviders()).to.deep.equal([owner.address, user2.address]);
+            await snarktorVerifier.connect(user2).addBaseProofData(proofHash, ethers.constants.HashZero, ethers.constants.HashZero);
+
+            await admin.revokeDataProvider(user2.address);
+            expect(await admin.listDataProviders()).to.deep.equal([owner.address]);
+            await expect(
+                snarktorVerifier.connect(user2).addAggregatedProofData(aggregatedHash, proofHash, [proofHash])
+            ).to.be.revertedWith('Caller lacks required role');
+
+            const outsider = new SnarktorVerificationClient(ethers.provider, snarktorVerifier.address, user1);
+            let error;
+            try {
+                await outsider.grantDataProvider(user1.address);
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.include('Caller lacks required role');
+        });
+
+        it('should not replace existing verification data', async function() {
+            await snarktorVerifier.addBaseProofData(proofHash, ethers.constants.HashZero, ethers.constants.HashZero);
+            await expect(
+                snarktorVerifier.addBaseProofData(proofHash, proofHash, proofHash)
+            ).to.be.revertedWith('Base proof data already exists');
+
+            await snarktorVerifier.addAggregatedProofData(aggregatedHash, proofHash, [proofHash]);
+            await expect(
+                snarktorVerifier.addAggregatedProofDataWithMode(aggregatedHash, aggregatedHash, [proofHash], 1)
+            ).to.be.revertedWith('Aggregated proof data already exists');
+            expect((await admin.getAggregatedProof(aggregatedHash)).merkleRoot).to.equal(proofHash);
+        });
+
+        it('should pause writes and keep at least one admin', async function() {
+            await expect(snarktorVerifier.connect(user1).pause()).to.be.revertedWith('Caller lacks required role');
+
+            await admin.pause();
+            expect(await admin.isPaused()).to.be.true;
+            await expect(
+                snarktorVerifier.addBaseProofData(proofHash, ethers.constants.HashZero, ethers.constants.HashZero)
+            ).to.be.revertedWith('Contract is paused');
+
+            await admin.unpause();
+            await snarktorVerifier.addBaseProofData(proofHash, ethers.constants.HashZero, ethers.constants.HashZero);
+
+            await expect(snarktorVerifier.revokeRole(ROLES.ADMIN, owner.address))
+                .to.be.revertedWith('Cannot remove the last admin');
+            await admin.grantRole(ROLES.ADMIN, user1.address);
+            await snarktorVerifier.renounceRole(ROLES.ADMIN);
+            expect(await admin.getRoleMembers(ROLES.ADMIN)).to.deep.equal([user1.address]);
+        });
+    });
+
+    describe('Attestations', function() {
+        const { hashAttestation } = require('../src/core/attestations');
+        const proofHashes = [1, 2, 3].map(i => ethers.utils.keccak256(ethers.utils.toUtf8Bytes(`attested-${i}`)));
+        const aggregatedHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes('attested-aggregate'));
+        let admin;
+
+        beforeEach(async function() {
+            admin = new SnarktorVerificationClient(ethers.provider, snarktorVerifier.address, owner);
+            for (const signer of [user1, user2, aggregator]) {
+                await admin.grantAttestor(signer.address);
+            }
+            await admin.setAttestationThreshold(2);
+
+            const root = GenericSnarktorClient.buildMerkleTree(proofHashes);
+            await snarktorVerifier.addBaseProofData(proofHashes[0], ethers.constants.HashZero, ethers.constants.HashZero);
+            await snarktorVerifier.addAggregatedProofData(aggregatedHash, root, proofHashes);
+        });
+
+        it('should finalize an aggregated proof after M-of-N attestations', async function() {
+            const merkleProof = GenericSnarktorClient.generateMerkleProof(proofHashes, 0);
+            await expect(
+                snarktorVerifier.verifyProofInclusion(proofHashes[0], aggregatedHash, merkleProof)
+            ).to.be.revertedWith('Aggregated proof not finalized');
+            expect(await admin.getAttestationStatus(aggregatedHash))
+                .to.deep.equal({ attestations: 0, required: 2, finalized: false });
+
+            const first = await new SnarktorVerificationClient(ethers.provider, snarktorVerifier.address, user1)
+                .signAttestation(aggregatedHash);
+            await admin.submitAttestations(aggregatedHash, [first]);
+            expect((await admin.getAttestationStatus(aggregatedHash)).finalized).to.be.false;
+
+            const second = await new SnarktorVerificationClient(ethers.provider, snarktorVerifier.address, user2)
+                .signAttestation(aggregatedHash);
+            await admin.submitAttestations(aggregatedHash, [second]);
+            expect(await admin.getAttestationStatus(aggregatedHash))
+                .to.deep.equal({ attestations: 2, required: 2, finalized: true });
+
+            const verifier = new SnarktorVerificationClient(ethers.provider, snarktorVerifier.address);
+            expect(await verifier.isAggregatedProofFinalized(aggregatedHash)).to.be.true;
+            expect(await snarktorVerifier.callStatic.verifyProofInclusion(proofHashes[0], aggregatedHash, merkleProof))
+                .to.be.true;
+        });
+
+        it('should reject signatures from non-attestors and repeated attestors', async function() {
+            const record = await admin.getAggregatedProof(aggregatedHash);
+            const domain = await admin.getAttestationDomain();
+            expect(hashAttestation(domain, record)).to.equal(await snarktorVerifier.attestationDigest(
+                aggregatedHash, record.merkleRoot, record.includedProofs, record.treeMode
+            ));
+
+            const outsider = await admin.signAttestation(aggregatedHash);
+            const attestor = await new SnarktorVerificationClient(ethers.provider, snarktorVerifier.address, user1)
+                .signAttestation(aggregatedHash);
+            const wrongRoot = await new SnarktorVerificationClient(ethers.provider, snarktorVerifier.address, user2)
+                .signAttestation(aggregatedHash, { ...record, merkleRoot: aggregatedHash });
+
+            const { accepted, rejected } = await admin.collectAttestations(aggregatedHash, [attestor, outsider, attestor]);
+            expect(accepted.map(a => a.attestor)).to.deep.equal([user1.address]);
+            expect(rejected.map(r => r.reason)).to.deep.equal(['Signer is not an attestor', 'Duplicate attestation']);
+
+            await expect(snarktorVerifier.submitAttestations(aggregatedHash, [outsider]))
+                .to.be.revertedWith('Signer is not an attestor');
+            await expect(snarktorVerifier.submitAttestations(aggregatedHash, [wrongRoot]))
+                .to.be.revertedWith('Signer is not an attestor');
+            await expect(snarktorVerifier.submitAttestations(aggregatedHash, [attestor, attestor]))
+                .to.be.revertedWith('Duplicate attestation');
+        });
+
+        it('should only count attestors that still hold the role', async function() {
+            const sign = signer => new SnarktorVerificationClient(ethers.provider, snarktorVerifier.address, signer)
+                .signAttestation(aggregatedHash);
+
+            await admin.submitAttestations(aggregatedHash, [await sign(user1)]);
+            await admin.revokeAttestor(user1.address);
+            await admin.submitAttestations(aggregatedHash, [await sign(user2)]);
+            expect(await admin.getAttestationStatus(aggregatedHash))
+                .to.deep.equal({ attestations: 1, required: 2, finalized: false });
+
+            await expect(admin.revokeAttestor(user2.address)).to.be.revertedWith('Threshold exceeds attestor count');
+            await expect(snarktorVerifier.connect(aggregator).renounceRole(await snarktorVerifier.ATTESTOR_ROLE()))
+                .to.be.revertedWith('Threshold exceeds attestor count');
+
+            await admin.submitAttestations(aggregatedHash, [await sign(aggregator)]);
+            expect((await admin.getAttestationStatus(aggregatedHash)).finalized).to.be.true;
+        });
+
+        it('should cap the required attestations at the remaining attestors', async function() {
+            await admin.setAttestationThreshold(1);
+            await admin.revokeAttestor(user2.address);
+            await admin.revokeAttestor(aggregator.address);
+            expect(await admin.getAttestationStatus(aggregatedHash))
+                .to.deep.equal({ attestations: 0, required: 1, finalized: false });
+
+            const attestation = await new SnarktorVerificationClient(ethers.provider, snarktorVerifier.address, user1)
+                .signAttestation(aggregatedHash);
+            await admin.submitAttestations(aggregatedHash, [attestation]);
+            expect((await admin.getAttestationStatus(aggregatedHash)).finalized).to.be.true;
+        });
+
+        it('should keep records finalized immediately when no threshold is set', async function() {
+            await expect(snarktorVerifier.setAttestationThreshold(4)).to.be.revertedWith('Threshold exceeds attestor count');
+            await admin.setAttestationThreshold(0);
+
+            const otherHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes('unattested-aggregate'));
+            await snarktorVerifier.addAggregatedProofData(otherHash, GenericSnarktorClient.buildMerkleTree(proofHashes), proofHashes);
+            expect(await admin.getAttestationStatus(otherHash))
+                .to.deep.equal({ attestations: 0, required: 0, finalized: true });
+            expect((await admin.getAttestationStatus(aggregatedHash)).required).to.equal(2);
+        });
+    });
+
+    describe('Aggregated Proof Verification', function() {
+        const aggregated = require('../src/adapters/aggregated');
+        const R = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+        const G1 = ['1', '2', '1'];
+        const G2 = [
+            ['10857046999023057135944570762232829481370756359578518086990519993285655852781',
+                '11559732032986387107991004021392285783925812861821192530917403151452391805634'],
+            ['8495653923123431417604973247489272438418190587263600148770280649306958101930',
+                '4082367875863433681332203403145435568316851327593401208105741076214120093531'],
+            ['1', '0']
+        ];
+        // Synthetic final-circuit key with every element at a generator: a proof (A, G2, G1)
+        // verifies for the root limbs [hi, lo] exactly when A = (3 + hi + lo) * G1
+        const verificationKey = {
+            protocol: 'groth16', curve: 'bn128', nPublic: 2,
+            vk_alpha_1: G1, vk_beta_2: G2, vk_gamma_2: G2, vk_delta_2: G2, IC: [G1, G1, G1]
+        };
+        const proofHashes = [1, 2, 3, 4].map(i => ethers.utils.keccak256(ethers.utils.toUtf8Bytes(`recursive-${i}`)));
+        const aggregatedHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes('recursive-aggregate'));
+        let admin;
+
+        // Scalar multiplication of G1 through the ecMul precompile
+        async function mulG1(scalar) {
+            const result = await ethers.provider.call({
+                to: '0x0000000000000000000000000000000000000007',
+                data: ethers.utils.defaultAbiCoder.encode(['uint256', 'uint256', 'uint256'], [1, 2, scalar.toString()])
+            });
+            return ethers.utils.defaultAbiCoder.decode(['uint256', 'uint256'], result).map(v => v.toString());
+        }
+
+        async function proveRoot(root) {
+            const [hi, lo] = aggregated.aggregatedProofPublicInputs(root).map(BigInt);
+            return { pi_a: [...await mulG1((3n + hi + lo) % R), '1'], pi_b: G2, pi_c: G1, protocol: 'groth16' };
+        }
+
+        beforeEach(async function() {
+            const Verifier = await ethers.getContractFactory('Groth16AggregatedProofVerifier');
+            const verifier = await Verifier.deploy(...aggregated.formatGroth16VerifierKey(verificationKey));
+            await verifier.deployed();
+
+            admin = new SnarktorVerificationClient(ethers.provider, snarktorVerifier.address, owner);
+            await admin.setAggregatedProofVerifier(verifier.address);
+        });
+
+        it('should only record aggregated proofs whose proof commits to the merkle root', async function() {
+            const root = GenericSnarktorClient.buildMerkleTree(proofHashes);
+            const otherRoot = GenericSnarktorClient.buildMerkleTree(proofHashes.slice(0, 3));
+
+            await expect(
+                snarktorVerifier.addAggregatedProofData(aggregatedHash, root, proofHashes)
+            ).to.be.revertedWith('Aggregated proof verification required');
+
+            const wrongProof = await proveRoot(otherRoot);
+            const wrongHash = ethers.utils.keccak256(aggregated.encodeAggregatedProof(wrongProof));
+            let error;
+            try {
+                await admin.addVerifiedAggregatedProofData(wrongHash, root, proofHashes, wrongProof);
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.include('Aggregated proof verification failed');
+
+            const proof = await proveRoot(root);
+            const proofHash = ethers.utils.keccak256(aggregated.encodeAggregatedProof(proof));
+            await admin.addVerifiedAggregatedProofData(proofHash, root, proofHashes, proof);
+            expect((await admin.getAggregatedProof(proofHash)).merkleRoot).to.equal(root);
+
+            await snarktorVerifier.addBaseProofData(proofHashes[1], ethers.constants.HashZero, ethers.constants.HashZero);
+            const merkleProof = GenericSnarktorClient.generateMerkleProof(proofHashes, 1);
+            expect(await snarktorVerifier.callStatic.verifyProofInclusion(proofHashes[1], proofHash, merkleProof))
+                .to.be.true;
+        });
+
+        it('should reject records whose hash or included proofs do not match the proof', async function() {
+            const root = GenericSnarktorClient.buildMerkleTree(proofHashes);
+            const encoded = aggregated.encodeAggregatedProof(await proveRoot(root));
+            const proofHash = ethers.utils.keccak256(encoded);
+
+            await expect(
+                snarktorVerifier.addVerifiedAggregatedProofData(aggregatedHash, root, proofHashes, 0, encoded)
+            ).to.be.revertedWith('Aggregated hash does not match proof');
+            await expect(
+                snarktorVerifier.addVerifiedAggregatedProofData(proofHash, root, proofHashes.slice(0, 3), 0, encoded)
+            ).to.be.revertedWith('Merkle root does not match included proofs');
+            await expect(
+                snarktorVerifier.addVerifiedAggregatedProofData(proofHash, root, proofHashes, 1, encoded)
+            ).to.be.revertedWith('Merkle root does not match included proofs');
+        });
+
+        it('should format root limbs and proofs the way the contracts expect', async function() {
+            const root = GenericSnarktorClient.buildMerkleTree(proofHashes);
+            const limbs = aggregated.aggregatedProofPublicInputs(root);
+
+            const onChain = await snarktorVerifier.aggregatedProofPublicInputs(root);
+            expect(onChain.map(v => v.toString())).to.deep.equal(limbs);
+            expect(aggregated.merkleRootFromPublicInputs(limbs)).to.equal(root);
+
+            const proof = await proveRoot(root);
+            const encoded = aggregated.encodeAggregatedProof(proof);
+            expect(ethers.utils.hexDataLength(encoded)).to.equal(256);
+            expect(aggregated.encodeAggregatedProof(encoded)).to.equal(encoded);
+
+            expect(await admin.getAggregatedProofVerifier()).to.not.be.null;
+            await admin.setAggregatedProofVerifier(ethers.constants.AddressZero);
+            expect(await admin.getAggregatedProofVerifier()).to.be.null;
+            await snarktorVerifier.addAggregatedProofData(aggregatedHash, root, proofHashes);
+        });
+    });
+
+    describe('Submission Signatures', function() {
+        const submissions = require('../src/core/submissions');
+        const proofData = ethers.utils.toUtf8Bytes('typed_submission_proof');
+        const publicInput = ethers.utils.keccak256(ethers.utils.toUtf8Bytes('public_input'));
+        const verificationKey = ethers.utils.keccak256(ethers.utils.toUtf8Bytes('verification_key'));
+        const fee = ethers.utils.parseEther('0.01');
+
+        it('should bind EIP-712 submissions to the proof, chain and contract', async function() {
+            const signed = await client.signSubmission(proofData, publicInput, verificationKey, fee, { nonce: 0 });
+            expect(signed.scheme).to.equal(submissions.SIGNATURE_SCHEMES.EIP712);
+            expect(signed.proofHash).to.equal(ethers.utils.keccak256(proofData));
+
+            const domain = await client.getSubmissionDomain();
+            expect(domain.chainId).to.equal((await ethers.provider.getNetwork()).chainId);
+            expect(submissions.recoverSubmitter(domain, signed, signed.signature)).to.equal(user1.address);
+
+            const otherContract = submissions.submissionDomain(domain.chainId, user2.address);
+            const otherChain = submissions.submissionDomain(domain.chainId + 1, domain.verifyingContract);
+            const otherProof = { ...signed, proofHash: undefined, proofData: ethers.utils.toUtf8Bytes('other') };
+            expect(submissions.recoverSubmitter(otherContract, signed, signed.signature)).to.not.equal(user1.address);
+            expect(submissions.recoverSubmitter(otherChain, signed, signed.signature)).to.not.equal(user1.address);
+            expect(submissions.recoverSubmitter(domain, otherProof, signed.signature)).to.not.equal(user1.address);
+            expect(submissions.hashSubmission(domain, signed))
+                .to.not.equal(submissions.hashSubmission(domain, { ...signed, nonce: 1 }));
+        });
+
+        it('should keep producing legacy signatures on request', async function() {
+            const signed = await client.signSubmission(proofData, publicInput, verificationKey, fee, {
+                nonce: 3,
+                scheme: submissions.SIGNATURE_SCHEMES.LEGACY
+            });
+
+            const message = ethers.utils.solidityKeccak256(
+                ['uint256', 'uint256', 'bytes32', 'bytes32'],
+                [fee, 3, publicInput, verificationKey]
+            );
+            expect(signed.signature).to.equal(await user1.signMessage(ethers.utils.arrayify(message)));
+            expect(submissions.recoverSubmitter(null, signed, signed.signature, submissions.SIGNATURE_SCHEMES.LEGACY))
+                .to.equal(user1.address);
+
+            let error;
+            try {
+                await client.signSubmission(proofData, publicInput, verificationKey, fee, { nonce: 0, scheme: 'rsa' });
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.equal('Unknown signature scheme: rsa');
+        });
+    });
+
+    describe('Relayed Submissions', function() {
+        const { SnarktorRelayer } = require('../src/SnarktorRelayer');
+        const submissions = require('../src/core/submissions');
+        const proofData = ethers.utils.toUtf8Bytes('relayed_proof');
+        const publicInput = ethers.utils.keccak256(ethers.utils.toUtf8Bytes('public_input'));
+        const verificationKey = ethers.utils.keccak256(ethers.utils.toUtf8Bytes('verification_key'));
+        const fee = ethers.utils.parseEther('0.01');
+
+        async function rejection(promise) {
+            try {
+                await promise;
+            } catch (e) {
+                return e.message;
+            }
+            return null;
+        }
+
+        it('should produce JSON-safe payloads relayers can check', async function() {
+            const payload = await client.createRelayedSubmission(proofData, publicInput, verificationKey, fee, {
+                nonce: 0
+            });
+            expect(JSON.parse(JSON.stringify(payload))).to.deep.equal(payload);
+            expect(payload.fee).to.equal(fee.toString());
+            expect(payload.contractAddress).to.equal(snarktorVerifier.address);
+
+            const parsed = submissions.parseRelayedSubmission(payload);
+            expect(parsed.proofHash).to.equal(ethers.utils.keccak256(proofData));
+            expect(parsed.user).to.equal(user1.address);
+
+            const relayer = new SnarktorRelayer(ethers.provider, snarktorVerifier.address, aggregator, {
+                minFee: fee.mul(2)
+            });
+            expect(await rejection(relayer.checkSubmission(payload))).to.include('below the relayer minimum');
+
+            relayer.minFee = ethers.constants.Zero;
+            const tampered = { ...payload, fee: fee.mul(2).toString() };
+            expect(await rejection(relayer.checkSubmission(tampered))).to.equal('Invalid signature');
+
+            const elsewhere = new SnarktorRelayer(ethers.provider, user2.address, aggregator);
+            expect(await rejection(elsewhere.relay(payload))).to.include('Submission is for contract');
+
+            const legacy = await client.createRelayedSubmission(proofData, publicInput, verificationKey, fee, {
+                nonce: 0,
+                scheme: submissions.SIGNATURE_SCHEMES.LEGACY
+            });
+            expect(await rejection(relayer.checkSubmission(legacy))).to.equal('Relayer does not accept legacy signatures');
+        });
+
+        it('should reject malformed relayer payloads', async function() {
+            const payload = await client.createRelayedSubmission(proofData, publicInput, verificationKey, fee, {
+                nonce: 0
+            });
+
+            expect(() => submissions.parseRelayedSubmission(null)).to.throw('Relayed submission must be an object');
+            expect(() => submissions.parseRelayedSubmission({ ...payload, signature: undefined }))
+                .to.throw('Relayed submission is missing signature');
+            expect(() => submissions.parseRelayedSubmission({ ...payload, proofData: '0x' }))
+                .to.throw('Relayed submission proofData must be non-empty hex');
+            expect(() => submissions.parseRelayedSubmission({ ...payload, publicInput: '0x1234' }))
+                .to.throw('Relayed submission publicInput must be bytes32');
+            expect(() => submissions.parseRelayedSubmission({ ...payload, user: 'alice' }))
+                .to.throw('Relayed submission user must be an address');
+
+            const readOnly = new SnarktorRelayer(ethers.provider, snarktorVerifier.address);
+            expect(await rejection(readOnly.relay(payload))).to.equal('Wallet required for relaying submissions');
+            expect(readOnly.getRequiredFeatures()).to.include('relayedSubmission');
+        });
+
+        it('should answer bad requests to the relayer server without crashing it', async function() {
+            const { createRelayerServer } = require('../examples/relayer-server');
+            const relayer = new SnarktorRelayer(ethers.provider, snarktorVerifier.address);
+            const server = createRelayerServer(relayer);
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            const url = `http://127.0.0.1:${server.address().port}`;
+            const post = body => fetch(`${url}/relay`, { method: 'POST', body });
+
+            try {
+                expect((await post('null')).status).to.equal(400);
+                expect((await post('[1]')).status).to.equal(400);
+                expect((await post('not json')).status).to.equal(400);
+
+                // The read-only relayer has no wallet to relay with or report
+                const rejected = await post('{}');
+                expect(rejected.status).to.equal(422);
+                expect((await rejected.json()).error).to.equal('Wallet required for relaying submissions');
+
+                const health = await fetch(`${url}/health`);
+                expect(health.status).to.equal(500);
+                expect((await fetch(`${url}/unknown`)).status).to.equal(404);
+            } finally {
+                await new Promise(resolve => server.close(resolve));
+            }
+        });
+    });
+
+    describe('Aggregation Hub', function() {
+        const { SnarktorRelayer } = require('../src/SnarktorRelayer');
+        const submissions = require('../src/core/submissions');
+        const publicInput = ethers.utils.keccak256(ethers.utils.toUtf8Bytes('public_input'));
+        const verificationKey = ethers.utils.keccak256(ethers.utils.toUtf8Bytes('verification_key'));
+        const fee = ethers.utils.parseEther('0.01');
+        let hubClient;
+
+        beforeEach(async function() {
+            hubClient = new GenericSnarktorClient(ethers.provider, hub.address, user1);
+        });
+
+        it('should accept EIP-712 submissions from the client and match the on-chain digest', async function() {
+            await hubClient.ensureCompatible();
+            const probe = await hubClient.probeContract();
+            expect(probe.features.typedSubmission.supported).to.be.true;
+            expect(probe.features.relayedSubmission.supported).to.be.true;
+
+            const proofData = ethers.utils.toUtf8Bytes('typed_hub_proof');
+            const signed = await hubClient.signSubmission(proofData, publicInput, verificationKey, fee);
+            expect(await hub.submissionDigest(
+                user1.address, signed.proofHash, publicInput, verificationKey, fee, signed.nonce
+            )).to.equal(submissions.hashSubmission(await hubClient.getSubmissionDomain(), signed));
+
+            await hub.setLegacySignaturesEnabled(false);
+            let error;
+            try {
+                await hubClient.submitBaseProof(proofData, publicInput, verificationKey, fee, { signatureScheme: 'legacy' });
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.include('Invalid signature');
+
+            await hubClient.submitBaseProof(proofData, publicInput, verificationKey, fee);
+            const stored = await hubClient.getBaseProof(signed.proofHash);
+            expect(stored.user).to.equal(user1.address);
+            expect(stored.nonce).to.equal(0);
+            expect(await hubClient.getUserNonce()).to.equal(1);
+            expect(await ethers.provider.getBalance(hub.address)).to.equal(fee);
+        });
+
+        it('should relay signed submissions paid from the user deposit, once', async function() {
+            const relayer = new SnarktorRelayer(ethers.provider, hub.address, aggregator);
+            await relayer.ensureCompatible();
+
+            const proofData = ethers.utils.toUtf8Bytes('relayed_hub_proof');
+            const payload = await hubClient.createRelayedSubmission(proofData, publicInput, verificationKey, fee);
+
+            let error;
+            try {
+                await relayer.relay(payload);
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.include('Insufficient deposit');
+
+            await hubClient.deposit(fee.mul(3));
+            const userBalanceBefore = await ethers.provider.getBalance(user1.address);
+            const receipt = await relayer.relay(payload);
+
+            const relayed = receipt.events.find(e => e.event === 'BaseProofRelayed');
+            expect(relayed.args.user).to.equal(user1.address);
+            expect(relayed.args.relayer).to.equal(aggregator.address);
+            expect(await hubClient.getUserBalance()).to.equal(fee.mul(2));
+            expect(await ethers.provider.getBalance(user1.address)).to.equal(userBalanceBefore);
+            expect(await hubClient.isProofSubmitted(relayed.args.proofHash)).to.be.true;
+
+            error = null;
+            try {
+                await relayer.relay(payload);
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.include('Stale nonce: expected 1, got 0');
+
+            const replayed = hub.connect(user2).submitBaseProofFor(
+                user1.address,
+                ethers.utils.toUtf8Bytes('other_proof'),
+                publicInput,
+                verificationKey,
+                fee,
+                payload.signature
+            );
+            await expect(replayed).to.be.revertedWith('Invalid signature');
+        });
+
+        it('should refuse to relay legacy signatures, which do not cover the proof', async function() {
+            const proofData = ethers.utils.toUtf8Bytes('legacy_hub_proof');
+            const signed = await hubClient.signSubmission(proofData, publicInput, verificationKey, fee, {
+                scheme: submissions.SIGNATURE_SCHEMES.LEGACY
+            });
+            await hubClient.deposit(fee.mul(2));
+
+            const relay = (data) => hub.connect(aggregator).submitBaseProofFor(
+                user1.address, data, publicInput, verificationKey, fee, signed.signature
+            );
+            await expect(relay(ethers.utils.toUtf8Bytes('swapped_proof'))).to.be.revertedWith('Invalid signature');
+            await expect(relay(proofData)).to.be.revertedWith('Invalid signature');
+
+            await hub.connect(user1).submitBaseProof(proofData, publicInput, verificationKey, fee, signed.signature, {
+                value: fee
+            });
+            expect(await hubClient.isProofSubmitted(signed.proofHash)).to.be.true;
+        });
+
+        it('should only aggregate submitted proofs and earlier roots as disabled nodes', async function() {
+            const submit = async (label) => {
+                const proofData = ethers.utils.toUtf8Bytes(label);
+                await hubClient.submitBaseProof(proofData, publicInput, verificationKey, fee);
+                return ethers.utils.keccak256(proofData);
+            };
+            const asProvenData = (hashes) => Promise.all(hashes.map(hash => hub.getBaseProof(hash)));
+
+            const first = [await submit('hub_proof_1'), await submit('hub_proof_2')];
+            const firstRoot = GenericSnarktorClient.buildMerkleTree(first);
+            const firstData = ethers.utils.toUtf8Bytes('aggregate_1');
+
+            await expect(
+                hub.connect(user1).submitAggregatedProof(firstData, firstRoot, await asProvenData(first), [])
+            ).to.be.revertedWith('Caller lacks required role');
+            await expect(
+                hub.submitAggregatedProof(firstData, GenericSnarktorClient.buildMerkleTree([first[0]]), await asProvenData(first), [])
+            ).to.be.revertedWith('Merkle root mismatch');
+            await hub.submitAggregatedProof(firstData, firstRoot, await asProvenData(first), []);
+
+            const second = [await submit('hub_proof_3')];
+            const secondRoot = GenericSnarktorClient.buildMerkleTree([...second, firstRoot]);
+            await expect(
+                hub.submitAggregatedProof(ethers.utils.toUtf8Bytes('aggregate_2'), secondRoot, await asProvenData(first), [])
+            ).to.be.revertedWith('Base proof already aggregated');
+            await expect(
+                hub.submitAggregatedProof(
+                    ethers.utils.toUtf8Bytes('aggregate_2'), secondRoot, await asProvenData(second), [publicInput]
+                )
+            ).to.be.revertedWith('Unknown disabled node');
+            await hub.submitAggregatedProof(
+                ethers.utils.toUtf8Bytes('aggregate_2'), secondRoot, await asProvenData(second), [firstRoot]
+            );
+
+            const secondHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes('aggregate_2'));
+            const stored = await hubClient.getAggregatedProof(secondHash);
+            expect(stored.disabledNodes).to.deep.equal([firstRoot]);
+            expect(stored.provenData.map(p => p.proofHash)).to.deep.equal(second);
+            expect(stored.totalFee).to.equal(fee);
+            expect(await hub.aggregatedIn(second[0])).to.equal(secondHash);
+            expect(await hub.aggregatedByRoot(firstRoot)).to.equal(ethers.utils.keccak256(firstData));
+
+            const merkleProof = GenericSnarktorClient.generateMerkleProof([...second, firstRoot], 0);
+            expect(await hub.verifyProofInclusion(second[0], secondHash, merkleProof)).to.be.true;
+        });
+    });
+
+    describe('Fee Settlement', function() {
+        const fees = require('../src/core/fees');
+        const publicInput = ethers.utils.keccak256(ethers.utils.toUtf8Bytes('public_input'));
+        const verificationKey = ethers.utils.keccak256(ethers.utils.toUtf8Bytes('verification_key'));
+        const fee = ethers.utils.parseEther('0.01');
+        let userClient, aggregatorClient;
+
+        async function submit(label) {
+            const proofData = ethers.utils.toUtf8Bytes(label);
+            await userClient.submitBaseProof(proofData, publicInput, verificationKey, fee);
+            return hub.getBaseProof(ethers.utils.keccak256(proofData));
+        }
+
+        beforeEach(async function() {
+            userClient = new GenericSnarktorClient(ethers.provider, hub.address, user1);
+            aggregatorClient = new GenericSnarktorClient(ethers.provider, hub.address, owner);
+        });
+
+        it('should settle fees per level and carry the aggregation share forward', async function() {
+            const firstProofs = [await submit('fee_proof_1'), await submit('fee_proof_2')];
+            const firstRoot = GenericSnarktorClient.buildMerkleTree(firstProofs.map(p => p.proofHash));
+            const firstData = ethers.utils.toUtf8Bytes('fee_aggregate_1');
+            const firstHash = ethers.utils.keccak256(firstData);
+
+            await aggregatorClient.submitAggregatedProof(firstData, firstRoot, firstProofs, [], {
+                provers: [user2.address],
+                scheduler: aggregator.address
+            });
+
+            const first = fees.calculateSettlement(fee.mul(2), {
+                submitter: owner.address, scheduler: aggregator.address, provers: [user2.address]
+            });
+            expect(await aggregatorClient.getPendingRewards(user2.address)).to.equal(first.rewards[user2.address]);
+            expect(await aggregatorClient.getPendingRewards(aggregator.address)).to.equal(first.rewards[aggregator.address]);
+            expect(await aggregatorClient.getPendingRewards()).to.equal(first.rewards[owner.address]);
+            expect(await aggregatorClient.getCarriedFee(firstHash)).to.equal(fee.mul(2).mul(55).div(100));
+
+            // The next level settles its own base proof fee plus the share carried by its disabled node
+            const secondProofs = [await submit('fee_proof_3')];
+            const secondRoot = GenericSnarktorClient.buildMerkleTree([secondProofs[0].proofHash, firstRoot]);
+            const receipt = await aggregatorClient.submitAggregatedProof(
+                ethers.utils.toUtf8Bytes('fee_aggregate_2'), secondRoot, secondProofs, [firstRoot]
+            );
+
+            const pool = fee.add(first.carriedFee);
+            const settled = receipt.events.find(e => e.event === 'FeesSettled').args;
+            const expected = GenericSnarktorClient.calculateFeeDistribution(pool);
+            expect(settled.currentFee).to.equal(expected.currentFee);
+            expect(settled.inclusionFee).to.equal(expected.inclusionFee);
+            expect(settled.carriedFee).to.equal(expected.aggregationFee);
+            expect(await aggregatorClient.getCarriedFee(firstHash)).to.equal(0);
+            expect(await aggregatorClient.getPendingRewards()).to.equal(
+                first.rewards[owner.address].add(expected.currentFee).add(expected.inclusionFee)
+            );
+
+            await expect(
+                hub.submitAggregatedProof(
+                    ethers.utils.toUtf8Bytes('fee_aggregate_3'),
+                    GenericSnarktorClient.buildMerkleTree([(await submit('fee_proof_4')).proofHash, firstRoot]),
+                    [await hub.getBaseProof(ethers.utils.keccak256(ethers.utils.toUtf8Bytes('fee_proof_4')))],
+                    [firstRoot]
+                )
+            ).to.be.revertedWith('Disabled node already aggregated');
+        });
+
+        it('should let payees claim their rewards once', async function() {
+            const proofs = [await submit('claim_proof')];
+            await aggregatorClient.submitAggregatedProof(
+                ethers.utils.toUtf8Bytes('claim_aggregate'), proofs[0].proofHash, proofs, [], { provers: [user2.address] }
+            );
+
+            const reward = await aggregatorClient.getPendingRewards(user2.address);
+            expect(reward).to.equal(fee.mul(40).div(100).div(2));
+
+            const proverClient = new GenericSnarktorClient(ethers.provider, hub.address, user2);
+            const balanceBefore = await ethers.provider.getBalance(user2.address);
+            const receipt = await proverClient.claimRewards();
+            const gasUsed = receipt.gasUsed.mul(receipt.effectiveGasPrice);
+
+            expect(await ethers.provider.getBalance(user2.address)).to.equal(balanceBefore.add(reward).sub(gasUsed));
+            expect(await proverClient.getPendingRewards()).to.equal(0);
+            await expect(hub.connect(user2).claimRewards()).to.be.revertedWith('No rewards to claim');
+
+            const SnarktorUtils = await ethers.getContractFactory('SnarktorUtils');
+            const utils = await SnarktorUtils.deploy();
+            const odd = ethers.BigNumber.from(999);
+            const onChain = await utils.calculateFeeDistribution(odd);
+            const local = fees.calculateFeeDistribution(odd);
+            expect([onChain.currentFee, onChain.inclusionFee, onChain.aggregationFee])
+                .to.deep.equal([local.currentFee, local.inclusionFee, local.aggregationFee]);
+        });
+    });
+
+    describe('Disabled Nodes', function() {
+        const merkle = require('../src/core/merkle');
+        const publicInput = ethers.utils.keccak256(ethers.utils.toUtf8Bytes('public_input'));
+        const verificationKey = ethers.utils.keccak256(ethers.utils.toUtf8Bytes('verification_key'));
+        const fee = ethers.utils.parseEther('0.01');
+        const hashes = ['a', 'b', 'c', 'd', 'e'].map(label => ethers.utils.keccak256(ethers.utils.toUtf8Bytes(label)));
+
+        it('should build partial roots and chain proofs through disabled nodes', function() {
+            const subtree = { provenHashes: hashes.slice(0, 3), disabledNodes: [] };
+            const subtreeRoot = GenericSnarktorClient.buildPartialMerkleTree(subtree.provenHashes);
+            const tree = { provenHashes: hashes.slice(3), disabledNodes: [subtreeRoot] };
+            const root = GenericSnarktorClient.buildPartialMerkleTree(tree.provenHashes, tree.disabledNodes);
+            expect(root).to.equal(GenericSnarktorClient.buildMerkleTree([...hashes.slice(3), subtreeRoot]));
+
+            const nodeProof = GenericSnarktorClient.generatePartialMerkleProof(tree.provenHashes, tree.disabledNodes, subtreeRoot);
+            expect(nodeProof.leafIndex).to.equal(2);
+            expect(GenericSnarktorClient.verifyMerkleProof(nodeProof.path, nodeProof.index, subtreeRoot, root)).to.be.true;
+
+            const chained = GenericSnarktorClient.generateDisabledNodeProof(hashes[1], subtree, tree);
+            expect(chained.proofs).to.have.length(2);
+            expect(GenericSnarktorClient.verifyChainedMerkleProof(chained, root)).to.be.true;
+            expect(GenericSnarktorClient.verifyChainedMerkleProof(chained, subtreeRoot)).to.be.false;
+            expect(GenericSnarktorClient.verifyChainedMerkleProof({ ...chained, leaf: hashes[0] }, root)).to.be.false;
+
+            const mode = merkle.TREE_MODES.DOMAIN_SEPARATED;
+            const separatedTree = { ...tree, disabledNodes: [merkle.buildPartialMerkleTree(subtree.provenHashes, [], mode)] };
+            const separatedRoot = merkle.buildPartialMerkleTree(separatedTree.provenHashes, separatedTree.disabledNodes, mode);
+            const separated = merkle.generateDisabledNodeProof(hashes[1], subtree, separatedTree, mode);
+            expect(merkle.verifyChainedMerkleProof(separated, separatedRoot, mode)).to.be.true;
+
+            expect(() => GenericSnarktorClient.buildPartialMerkleTree([], [subtreeRoot])).to.throw('No base proofs provided');
+            expect(() => GenericSnarktorClient.generateDisabledNodeProof(hashes[4], subtree, tree)).to.throw('is not in the tree');
+        });
+
+        it('should prove a base proof through the aggregation that disabled its root', async function() {
+            const userClient = new GenericSnarktorClient(ethers.provider, hub.address, user1);
+            const aggregatorClient = new GenericSnarktorClient(ethers.provider, hub.address, owner);
+            const submit = async (label) => {
+                const proofData = ethers.utils.toUtf8Bytes(label);
+                await userClient.submitBaseProof(proofData, publicInput, verificationKey, fee);
+                return hub.getBaseProof(ethers.utils.keccak256(proofData));
+            };
+
+            const earlierProofs = [await submit('disabled_proof_1'), await submit('disabled_proof_2')];
+            const earlierRoot = GenericSnarktorClient.buildPartialMerkleTree(earlierProofs.map(p => p.proofHash));
+            const earlierData = ethers.utils.toUtf8Bytes('disabled_aggregate_1');
+            await aggregatorClient.submitAggregatedProof(earlierData, earlierRoot, earlierProofs, []);
+
+            const laterProofs = [await submit('disabled_proof_3')];
+            const laterRoot = GenericSnarktorClient.buildPartialMerkleTree([laterProofs[0].proofHash], [earlierRoot]);
+            const laterData = ethers.utils.toUtf8Bytes('disabled_aggregate_2');
+            await aggregatorClient.submitAggregatedProof(laterData, laterRoot, laterProofs, [earlierRoot]);
+
+            const earlierHash = ethers.utils.keccak256(earlierData);
+            const earlier = await userClient.getAggregationTree(earlierHash);
+            const later = await userClient.getAggregationTree(ethers.utils.keccak256(laterData));
+            expect(later.merkleRoot).to.equal(laterRoot);
+            expect(later.disabledNodes).to.deep.equal([earlierRoot]);
+            expect(await userClient.getAggregationTree(publicInput)).to.be.null;
+
+            const proofHash = earlierProofs[1].proofHash;
+            const chained = GenericSnarktorClient.generateDisabledNodeProof(proofHash, earlier, later);
+            expect(GenericSnarktorClient.verifyChainedMerkleProof(chained, later.merkleRoot)).to.be.true;
+            expect(await hub.verifyProofInclusion(proofHash, earlierHash, chained.proofs[0])).to.be.true;
+        });
+    });
+
+    describe('Chained Inclusion Proofs', function() {
+        const { TREE_MODES } = require('../src/core/merkle');
+        const hashOf = label => ethers.utils.keccak256(ethers.utils.toUtf8Bytes(label));
+
+        it('should verify a base proof through levels that have no record of their own', async function() {
+            const mode = TREE_MODES.DOMAIN_SEPARATED;
+            const proofHash = hashOf('chained_base');
+            const level1 = [hashOf('l1_a'), proofHash, hashOf('l1_b')];
+            const level2 = [hashOf('l2_a'), GenericSnarktorClient.buildMerkleTree(level1, mode)];
+            const top = [GenericSnarktorClient.buildMerkleTree(level2, mode), hashOf('top_a'), hashOf('top_b')];
+            const topRoot = GenericSnarktorClient.buildMerkleTree(top, mode);
+            const topHash = hashOf('chained_top');
+
+            const chained = SnarktorVerificationClient.generateChainedInclusionProof(proofHash, [level1, level2, top], mode);
+            expect(chained.root).to.equal(topRoot);
+            expect(chained.proofs).to.have.length(3);
+            expect(SnarktorVerificationClient.verifyChainedMerkleProof(chained, topRoot, mode)).to.be.true;
+
+            await snarktorVerifier.addBaseProofData(proofHash, ethers.constants.HashZero, ethers.constants.HashZero);
+            await snarktorVerifier.addAggregatedProofDataWithMode(topHash, topRoot, top, mode);
+
+            const verifier = new SnarktorVerificationClient(ethers.provider, snarktorVerifier.address);
+            expect(await verifier.verifyChainedInclusion(proofHash, topHash, chained)).to.be.true;
+
+            // Dropping a level or tampering with a step breaks the chain
+            const skipped = { ...chained, proofs: [chained.proofs[0], chained.proofs[2]] };
+            expect(await verifier.verifyChainedInclusion(proofHash, topHash, skipped)).to.be.false;
+            const tampered = { ...chained, proofs: [chained.proofs[0], { ...chained.proofs[1], index: 0 }, chained.proofs[2]] };
+            expect(await verifier.verifyChainedInclusion(proofHash, topHash, tampered)).to.be.false;
+            await expect(
+                snarktorVerifier.verifyChainedInclusion(proofHash, topHash, [])
+            ).to.be.revertedWith('Empty inclusion chain');
+            expect(() => GenericSnarktorClient.generateChainedInclusionProof(proofHash, [])).to.throw('No trees to prove inclusion in');
+        });
+
+        it('should build chained proofs from the aggregation hub records', async function() {
+            const fee = ethers.utils.parseEther('0.01');
+            const userClient = new GenericSnarktorClient(ethers.provider, hub.address, user1);
+            const aggregatorClient = new GenericSnarktorClient(ethers.provider, hub.address, owner);
+            const submit = async (label) => {
+                const proofData = ethers.utils.toUtf8Bytes(label);
+                await userClient.submitBaseProof(proofData, hashOf('public_input'), hashOf('verification_key'), fee);
+                return hub.getBaseProof(ethers.utils.keccak256(proofData));
+            };
+            const aggregate = async (label, proven, disabledNodes) => {
+                const root = GenericSnarktorClient.buildPartialMerkleTree(proven.map(p => p.proofHash), disabledNodes);
+                await aggregatorClient.submitAggregatedProof(ethers.utils.toUtf8Bytes(label), root, proven, disabledNodes);
+                return { hash: hashOf(label), root };
+            };
+
+            const base = await submit('chain_proof_1');
+            const first = await aggregate('chain_aggregate_1', [base, await submit('chain_proof_2')], []);
+            const second = await aggregate('chain_aggregate_2', [await submit('chain_proof_3')], [first.root]);
+            const third = await aggregate('chain_aggregate_3', [await submit('chain_proof_4')], [second.root]);
+
+            const chained = await userClient.buildChainedInclusionProof(base.proofHash);
+            expect(chained.aggregatedHash).to.equal(third.hash);
+            expect(chained.root).to.equal(third.root);
+            expect(chained.proofs).to.have.length(3);
+            expect(await userClient.verifyChainedInclusion(base.proofHash, third.hash, chained)).to.be.true;
+            expect(await userClient.verifyChainedInclusion(base.proofHash, second.hash, chained)).to.be.false;
+
+            const partial = await userClient.buildChainedInclusionProof(base.proofHash, second.hash);
+            expect(partial.proofs).to.have.length(2);
+            expect(await userClient.verifyChainedInclusion(base.proofHash, second.hash, partial)).to.be.true;
+
+            let error;
+            try {
+                await userClient.buildChainedInclusionProof((await submit('chain_proof_5')).proofHash);
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.include('Proof has not been aggregated');
+        });
+    });
+
+    describe('Proof Status', function() {
+        const { SnarktorProofTracker } = require('../src/SnarktorProofTracker');
+        const { PROOF_STATUS, hasReachedStatus } = require('../src/core/status');
+        const hashOf = label => ethers.utils.keccak256(ethers.utils.toUtf8Bytes(label));
+        const fee = ethers.utils.parseEther('0.01');
+        let userClient, aggregatorClient;
+
+        async function submit(label) {
+            const proofData = ethers.utils.toUtf8Bytes(label);
+            await userClient.submitBaseProof(proofData, hashOf('public_input'), hashOf('verification_key'), fee);
+            return hub.getBaseProof(ethers.utils.keccak256(proofData));
+        }
+
+        async function aggregate(label, proven, disabledNodes = []) {
+            const root = GenericSnarktorClient.buildPartialMerkleTree(proven.map(p => p.proofHash), disabledNodes);
+            await aggregatorClient.submitAggregatedProof(ethers.utils.toUtf8Bytes(label), root, proven, disabledNodes);
+            return { hash: hashOf(label), root, leaves: [...proven.map(p => p.proofHash), ...disabledNodes] };
+        }
+
+        beforeEach(async function() {
+            userClient = new GenericSnarktorClient(ethers.provider, hub.address, user1);
+            aggregatorClient = new GenericSnarktorClient(ethers.provider, hub.address, owner);
+        });
+
+        it('should follow a proof from submission to finalization', async function() {
+            const tracker = new SnarktorProofTracker(ethers.provider, hub.address, {
+                verifierAddress: snarktorVerifier.address,
+                confirmations: 2
+            });
+            await tracker.ensureCompatible();
+
+            const proofHash = hashOf('status_proof_1');
+            expect((await tracker.getProofStatus(proofHash)).status).to.equal(PROOF_STATUS.UNKNOWN);
+
+            const base = await submit('status_proof_1');
+            let status = await tracker.getProofStatus(proofHash);
+            expect(status.status).to.equal(PROOF_STATUS.SUBMITTED);
+            expect(status.submission.confirmations).to.equal(1);
+
+            await ethers.provider.send('evm_mine', []);
+            status = await tracker.getProofStatus(proofHash);
+            expect(status.status).to.equal(PROOF_STATUS.QUEUED);
+            expect(status.level).to.equal(0);
+
+            const first = await aggregate('status_aggregate_1', [base]);
+            status = await tracker.getProofStatus(proofHash);
+            expect(status.status).to.equal(PROOF_STATUS.AGGREGATED);
+            expect(status.level).to.equal(1);
+            expect(status.aggregatedHash).to.equal(first.hash);
+
+            const second = await aggregate('status_aggregate_2', [await submit('status_proof_2')], [first.root]);
+            status = await tracker.getProofStatus(proofHash);
+            expect(status.level).to.equal(2);
+            expect(status.aggregations).to.deep.equal([first.hash, second.hash]);
+            expect(status.aggregatedHash).to.equal(second.hash);
+
+            // Publishing the top aggregated proof to the verifier finalizes everything below it
+            await snarktorVerifier.addAggregatedProofData(second.hash, second.root, second.leaves);
+            status = await tracker.getProofStatus(proofHash);
+            expect(status.status).to.equal(PROOF_STATUS.FINALIZED);
+            expect(status.submission.blockNumber).to.be.greaterThan(0);
+        });
+
+        it('should wait for a status, and report expiry and timeouts', async function() {
+            const tracker = new SnarktorProofTracker(ethers.provider, hub.address, {
+                expiresAfter: 3600,
+                pollInterval: 20
+            });
+            const base = await submit('status_proof_3');
+
+            const waiting = tracker.waitForStatus(base.proofHash, PROOF_STATUS.AGGREGATED, 5000);
+            await aggregate('status_aggregate_3', [base]);
+            const reached = await waiting;
+            expect(reached.status).to.equal(PROOF_STATUS.AGGREGATED);
+            expect(reached.level).to.equal(1);
+
+            let error;
+            try {
+                await tracker.waitForStatus(hashOf('never_submitted'), PROOF_STATUS.QUEUED, 100);
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.include('Timed out waiting for proof');
+
+            const stale = await submit('status_proof_4');
+            await ethers.provider.send('evm_increaseTime', [7200]);
+            await ethers.provider.send('evm_mine', []);
+            expect((await tracker.getProofStatus(stale.proofHash)).status).to.equal(PROOF_STATUS.EXPIRED);
+            expect((await tracker.waitForStatus(stale.proofHash, PROOF_STATUS.QUEUED, 100)).status).to.equal(PROOF_STATUS.EXPIRED);
+
+            error = null;
+            try {
+                await tracker.waitForStatus(stale.proofHash, PROOF_STATUS.FINALIZED, 100);
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.include('expired before reaching finalized');
+
+            expect(hasReachedStatus(PROOF_STATUS.FINALIZED, PROOF_STATUS.QUEUED)).to.be.true;
+            expect(hasReachedStatus(PROOF_STATUS.AGGREGATED, PROOF_STATUS.EXPIRED)).to.be.false;
+            expect(() => hasReachedStatus('pending', PROOF_STATUS.QUEUED)).to.throw('Unknown proof status: pending');
+        });
+
+        it('should poll until the deadline and not wait for aggregated proofs to expire', async function() {
+            const tracker = new SnarktorProofTracker(ethers.provider, hub.address, {
+                expiresAfter: 3600,
+                pollInterval: 1000
+            });
+
+            let error;
+            const started = Date.now();
+            try {
+                await tracker.waitForStatus(hashOf('never_submitted'), PROOF_STATUS.QUEUED, 300);
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.include('Timed out waiting for proof');
+            expect(Date.now() - started).to.be.within(300, 1000);
+
+            const base = await submit('status_proof_5');
+            await aggregate('status_aggregate_5', [base]);
+            error = null;
+            try {
+                await tracker.waitForStatus(base.proofHash, PROOF_STATUS.EXPIRED, 60000);
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.include('is already aggregated and can no longer expire');
+        });
     });
 });
\ No newline at end of file